@@ -12,7 +12,12 @@ if (BABEL_ENV === 'es') {
     [
       '@babel/preset-env',
       {
-        targets: {
+        /**
+         * Jest runs specs on the current node, which supports async functions natively. Browser
+         * targets would compile async specs to generators requiring regeneratorRuntime, which is
+         * not bundled.
+         */
+        targets: NODE_ENV === 'test' ? { node: 'current' } : {
           ie: 11,
           edge: 14,
           firefox: 45,
@@ -32,9 +37,9 @@ module.exports = {
    */
   "comments": NODE_ENV !== 'production',
   /**
-   * Ignore test files in production build.
+   * Ignore test files and test helpers in production build.
    */
-  "ignore": NODE_ENV === 'production' ? ['**/*.test.js'] : [],
+  "ignore": NODE_ENV === 'production' ? ['**/*.test.js', 'src/testing'] : [],
   "plugins": [
     // Stage 1
     "@babel/plugin-proposal-export-default-from",
@@ -40,6 +40,8 @@ module.exports = {
     'no-param-reassign': 'off', // airbnb use error
     'no-prototype-builtins': 'off', // airbnb use error
     'operator-linebreak': 'off', // airbnb use error
+    // Every layer defines clearCache, even layers which keep no cache.
+    'class-methods-use-this': ['error', { exceptMethods: ['clearCache'] }],
 
     // It would be better to enable this rule, but it might slow us down.
     'import/no-extraneous-dependencies': 'off',
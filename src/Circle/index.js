@@ -0,0 +1,585 @@
+import PropTypes from 'prop-types';
+import { oneLineTrim } from 'common-tags';
+import diffData from '../utils/diffData';
+import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import redrawRegion from '../utils/redrawRegion';
+import Scheduler from '../Scheduler';
+import SpatialIndex from '../SpatialIndex';
+import SVGContext from '../SVGContext';
+import Viewport from '../Viewport';
+
+/**
+ * Return the bounding box of the last render of the given circle, undefined if it is not drawn.
+ */
+function getBoundingBox(circle) {
+  return isNullVoid(circle.renderProps) ? void 0 : circle.renderProps.boundingBox;
+}
+
+/**
+ * Save circle render properties in the batch of its style. Circles have the same border colour,
+ * border width, fill colour and opacity are batched.
+ */
+function addToBatch(batches, renderProps) {
+  const batchKey = oneLineTrim`
+    ${renderProps.borderColor},${renderProps.borderWidth},
+    ${renderProps.color},${renderProps.opacity}
+  `;
+  if (!batches.has(batchKey)) batches.set(batchKey, []);
+  batches.get(batchKey).push(renderProps);
+}
+
+class Circle {
+  /**
+   * Render a single circle on the given canvas context.
+   * If batches is given, circle is not drawn immediately but saved in the batch of its style, and
+   * circles of the same style are drawn together by renderBatches with a single path.
+   */
+  static render(
+    circleObject, ctx, batches,
+    borderColor, borderWidth, color, opacity, position, radius, visibleBoundingBox,
+  ) {
+    /**
+     * Round number values because decimal points significantly affects canvas performance.
+     */
+    const internalBorderWidth = Math.round(borderWidth);
+    const internalPosition = [Math.round(position[0]), Math.round(position[1])];
+    const internalRadius = Math.round(radius);
+
+    /**
+     * Persist render properties. Render properties are processed via use defined properties, i.e.
+     * rounding decimal points, and are passed to canvas render APIs directly.
+     */
+    const renderProps = {
+      borderColor,
+      borderWidth: internalBorderWidth,
+      color,
+      opacity,
+      position: internalPosition,
+      radius: internalRadius,
+    };
+    circleObject.renderProps = renderProps;
+
+    /**
+     * Skip if it doesn't have a radius.
+     */
+    if (renderProps.radius <= 0) return;
+
+    /**
+     * Bounding box is used to index circle for finding circles by position. Border extends half
+     * of its width outside of the circle. i.e. [minX, minY, maxX, maxY].
+     */
+    const outerRadius = renderProps.radius
+      + (isNullVoid(renderProps.borderColor) ? 0 : renderProps.borderWidth / 2);
+    renderProps.boundingBox = [
+      renderProps.position[0] - outerRadius,
+      renderProps.position[1] - outerRadius,
+      renderProps.position[0] + outerRadius,
+      renderProps.position[1] + outerRadius,
+    ];
+
+    /**
+     * Skip if it is entirely outside the visible area.
+     */
+    if (!isNullVoid(visibleBoundingBox)
+      && !isOverlapping(renderProps.boundingBox, visibleBoundingBox)) {
+      renderProps.culled = true;
+      return;
+    }
+
+    if (isNullVoid(batches)) {
+      Circle.renderCircles(ctx, [renderProps]);
+      return;
+    }
+
+    addToBatch(batches, renderProps);
+  }
+
+  /**
+   * Draw batched circles. Each batch costs a single fill and a single stroke.
+   */
+  static renderBatches(ctx, batches) {
+    batches.forEach((circles) => {
+      Circle.renderCircles(ctx, circles);
+    });
+  }
+
+  /**
+   * Draw circles of the same style with a single path.
+   */
+  static renderCircles(ctx, circles) {
+    const {
+      borderColor,
+      borderWidth,
+      color,
+      opacity,
+    } = circles[0];
+
+    /**
+     * Opacity must be restored as soon as render completes.
+     */
+    ctx.save();
+    ctx.globalAlpha = opacity;
+
+    /**
+     * Every circle is a closed sub path. Moving to the starting point of each arc avoids joining
+     * circles with lines.
+     */
+    ctx.beginPath();
+    circles.forEach(({ position, radius }) => {
+      ctx.moveTo(position[0] + radius, position[1]);
+      ctx.arc(position[0], position[1], radius, 0, 2 * Math.PI);
+    });
+
+    if (!isNullVoid(color)) {
+      ctx.fillStyle = color;
+      ctx.fill();
+    }
+    if (!isNullVoid(borderColor) && borderWidth !== 0) {
+      ctx.strokeStyle = borderColor;
+      ctx.lineWidth = borderWidth;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  constructor(props = {}) {
+    /**
+     * Save props.
+     */
+    this.config(props);
+    /**
+     * Scheduler helps to split a time consuming function to be executed in multiple frames.
+     * In this way, time consuming function won't block UI thread.
+     */
+    this.scheduler = new Scheduler();
+    /**
+     * Incremental updates redraw canvas regions one after another. This promise resolves as soon
+     * as the last redraw completes.
+     */
+    this.redrawing = Promise.resolve();
+  }
+
+  /**
+   * Update ctx and dataset.
+   */
+  config(props) {
+    const {
+      canvas,
+      data = [],
+      dpr = 1,
+      getSnapshotBeforeRender,
+      height,
+      scaleWithZoom = true,
+      stepSize = 1000,
+      viewport = new Viewport(),
+      width,
+    } = props;
+
+    /**
+     * These are required properties.
+     */
+    if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
+
+    this.dpr = dpr;
+    /**
+     * Canvas size in CSS pixels. Circles entirely outside canvas are culled.
+     */
+    this.height = height;
+    this.width = width;
+
+    /**
+     * We will manipulate canvas context later.
+     */
+    this.ctx = canvas.getContext('2d');
+    /**
+     * Clear canvas. Always clear canvas before render.
+     * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
+     * by half shall we have sharp images.
+     * Change canvas width restores canvas scale. Always set the correct scale so that callers are
+     * unaware of the implementation details of DPR.
+     */
+    canvas.height = height * this.dpr;
+    canvas.width = width * this.dpr;
+    this.ctx.scale(this.dpr, this.dpr);
+
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
+    /**
+     * Whether radiuses and border widths scale with viewport zoom or stay fixed in CSS pixels.
+     */
+    this.scaleWithZoom = scaleWithZoom;
+    /**
+     * Number of circles drawn in a scheduler step.
+     */
+    this.stepSize = stepSize;
+    this.data = data;
+    this.getSnapshotBeforeRender = getSnapshotBeforeRender;
+    /**
+     * Circles are indexed by their bounding boxes as soon as they are rendered so that finding
+     * circles by position doesn't go through the whole dataset.
+     */
+    this.spatialIndex = new SpatialIndex();
+  }
+
+  /**
+   * Circle layer keeps no cache. It is defined so that every layer releases its caches the same
+   * way.
+   */
+  clearCache() {}
+
+  /**
+   * Cancel pending render and drop circles.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.clearCache();
+    this.data = [];
+    if (!isNullVoid(this.spatialIndex)) this.spatialIndex.clear();
+  }
+
+  /**
+   * Return a list of circles that contains the given position.
+   */
+  findByPosition({ x, y }) {
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
+
+    return this.spatialIndex.search({ x, y }).filter(({ renderProps }) => {
+      const {
+        borderColor,
+        borderWidth,
+        position,
+        radius,
+      } = renderProps;
+      const outerRadius = radius + (isNullVoid(borderColor) ? 0 : borderWidth / 2);
+
+      /**
+       * Render properties are not scaled by DPR, therefore, they can compare with mouse pointer
+       * position directly.
+       */
+      return (x - position[0]) ** 2 + (y - position[1]) ** 2 <= outerRadius ** 2;
+    }).map(({ renderProps, ...other }) => {
+      /**
+       * Internal render properties should not expose.
+       */
+      return other;
+    });
+  }
+
+  /**
+   * Render a single circle and index it by its bounding box.
+   * Circle is batched if batches is given. See Circle.render for more details.
+   */
+  renderItem(eachCircle, batches) {
+    let {
+      borderColor,
+      borderWidth = 1,
+      color = 'black',
+      opacity = 1,
+      position,
+      radius = 5,
+    } = eachCircle;
+
+    /**
+     * If there exists a getSnapshotBeforeRender function, apply each circle to
+     * getSnapshotBeforeRender.
+     */
+    if (this.getSnapshotBeforeRender) {
+      const snapshot = this.getSnapshotBeforeRender(eachCircle);
+      borderColor = snapshot.borderColor;
+      borderWidth = snapshot.borderWidth !== void 0 ? snapshot.borderWidth : 1;
+      color = snapshot.color !== void 0 ? snapshot.color : 'black';
+      opacity = snapshot.opacity !== void 0 ? snapshot.opacity : 1;
+      position = snapshot.position;
+      radius = snapshot.radius !== void 0 ? snapshot.radius : 5;
+    }
+
+    /**
+     * Project circle to canvas.
+     */
+    const sizeScale = this.scaleWithZoom ? this.viewport.scale : 1;
+
+    Circle.render(
+      eachCircle, this.ctx, batches,
+      borderColor, borderWidth * sizeScale, color, opacity,
+      this.viewport.toScreen(position), radius * sizeScale,
+      [0, 0, this.width, this.height],
+    );
+
+    /**
+     * Circles which are not drawn don't have bounding boxes. Culled circles are not drawn either.
+     */
+    if (isNullVoid(eachCircle.renderProps.boundingBox) || eachCircle.renderProps.culled) {
+      this.spatialIndex.remove(eachCircle);
+    } else {
+      this.spatialIndex.insert(eachCircle, eachCircle.renderProps.boundingBox);
+    }
+  }
+
+  /**
+   * Go through circles step by step, stepSize circles a step, and draw circles of the same style
+   * together at the end of each step. Within a step, circles are painted in the order their styles
+   * first appear.
+   * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of circles culled outside canvas. i.e. { culled: 3 }.
+   */
+  render() {
+    /**
+     * Circles rendered previously are no longer on canvas.
+     */
+    this.spatialIndex.clear();
+
+    /**
+     * Each step is a scheduler item so that large data sets are drawn across frames rather than
+     * blocking a single frame.
+     */
+    const steps = [];
+    for (let index = 0; index < this.data.length; index += this.stepSize) {
+      steps.push(this.data.slice(index, index + this.stepSize));
+    }
+
+    return this.scheduler.execute(steps, (circles) => {
+      const batches = new Map();
+      circles.forEach((eachCircle) => {
+        this.renderItem(eachCircle, batches);
+      });
+      Circle.renderBatches(this.ctx, batches);
+    }).then(() => {
+      return {
+        culled: this.data.filter(({ renderProps }) => renderProps.culled).length,
+      };
+    });
+  }
+
+  /**
+   * Clear the given bounding box and redraw circles inside it once previous redraws complete.
+   * Circles in the given list are always rendered so that their render properties are refreshed.
+   */
+  redraw(boundingBox, circles = []) {
+    const redrawing = this.redrawing.then(() => redrawRegion(
+      this.ctx, this.data, this.spatialIndex, boundingBox, circles,
+      (eachCircle) => this.renderItem(eachCircle),
+    ));
+    /**
+     * A failed redraw should not block the following redraws.
+     */
+    this.redrawing = redrawing.catch(() => {});
+    return redrawing;
+  }
+
+  /**
+   * Redraw where the circle was and then where the circle is.
+   */
+  async redrawCircle(circle, previousBoundingBox) {
+    await this.redraw(previousBoundingBox, [circle]);
+
+    const boundingBox = getBoundingBox(circle);
+    if (!isNullVoid(boundingBox)) {
+      await this.redraw(boundingBox);
+    }
+  }
+
+  /**
+   * Append circles to data and draw them without redrawing the whole canvas.
+   */
+  add(circles) {
+    this.data = [...this.data, ...circles];
+    return Promise.all(circles.map((circle) => this.redrawCircle(circle)));
+  }
+
+  /**
+   * Apply patch to the circle with the given id and redraw only the affected area.
+   */
+  update(id, patch) {
+    const circle = this.data.find((eachCircle) => eachCircle.id === id);
+    if (isNullVoid(circle)) return Promise.resolve();
+
+    const previousBoundingBox = getBoundingBox(circle);
+    Object.assign(circle, patch);
+    return this.redrawCircle(circle, previousBoundingBox);
+  }
+
+  /**
+   * Remove the circle with the given id and redraw only the area it used to cover.
+   */
+  remove(id) {
+    const circle = this.data.find((eachCircle) => eachCircle.id === id);
+    if (isNullVoid(circle)) return Promise.resolve();
+
+    this.data = this.data.filter((eachCircle) => eachCircle !== circle);
+    this.spatialIndex.remove(circle);
+    return this.redraw(getBoundingBox(circle));
+  }
+
+  /**
+   * Replace data with a new list of circles keyed by id, and redraw only circles which are added,
+   * removed or updated. Canvas is fully rendered if the order of existing circles changes.
+   */
+  setData(data) {
+    const {
+      added,
+      removed,
+      reordered,
+      unchanged,
+      updated,
+    } = diffData(this.data, data);
+
+    if (reordered) {
+      this.data = data;
+      return this.render();
+    }
+
+    /**
+     * New circle objects take over render properties and index entries from the previous ones.
+     */
+    [...unchanged, ...updated].forEach(([previousCircle, nextCircle]) => {
+      nextCircle.renderProps = previousCircle.renderProps;
+      this.spatialIndex.replace(previousCircle, nextCircle);
+    });
+    removed.forEach((circle) => {
+      this.spatialIndex.remove(circle);
+    });
+
+    this.data = data;
+
+    return Promise.all([
+      ...removed.map((circle) => this.redraw(getBoundingBox(circle))),
+      ...updated.map(([previousCircle, nextCircle]) => {
+        return this.redrawCircle(nextCircle, getBoundingBox(previousCircle));
+      }),
+      ...added.map((circle) => this.redrawCircle(circle)),
+    ]);
+  }
+
+  /**
+   * Draw circles of the last render on the given context in the same order. Circles are batched
+   * by style step by step as render does. Context is either a canvas context, i.e. to export
+   * images, or an SVG context.
+   */
+  replay(ctx) {
+    for (let index = 0; index < this.data.length; index += this.stepSize) {
+      const batches = new Map();
+      this.data.slice(index, index + this.stepSize).forEach(({ renderProps }) => {
+        if (isNullVoid(renderProps)
+          || isNullVoid(renderProps.boundingBox)
+          || renderProps.culled) return;
+        addToBatch(batches, renderProps);
+      });
+      Circle.renderBatches(ctx, batches);
+    }
+  }
+
+  /**
+   * Return an SVG document of circles drawn by the last render, see SVGContext. Render
+   * properties are replayed so that the document looks the same as canvas.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+    this.replay(ctx);
+    return ctx.toString();
+  }
+}
+
+Circle.propTypes = {
+  /**
+   * Circles are drawn on this canvas.
+   */
+  canvas: PropTypes.object.isRequired,
+  /**
+   * A list of circles.
+   * Data structure must contain the following properties if getSnapshotBeforeRender is not defined,
+   * can be anything if getSnapshotBeforeRender is defined, only if getSnapshotBeforeRender returns
+   * a data structure of this kind.
+   * Internally, there is a renderProps property which persists properties calling canvas APIs.
+   * These properties are returned value from getSnapshotBeforeRender function.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Circle border colour. Border is not drawn if it is omitted.
+     */
+    borderColor: PropTypes.string,
+    /**
+     * Circle border width.
+     * Default 1.
+     */
+    borderWidth: PropTypes.number,
+    /**
+     * Circle fill colour. Circle is not filled if it is null.
+     * Default black.
+     */
+    color: PropTypes.string,
+    /**
+     * Unique key of the circle. It is required by add, update, remove and setData which redraw
+     * single circles without redrawing the whole canvas.
+     */
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    /**
+     * Circle opacity applied to both fill and border, from 0 to 1.
+     * Default 1.
+     */
+    opacity: PropTypes.number,
+    /**
+     * Circle centre. i.e. [x, y].
+     */
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * Circle radius.
+     * Default 5.
+     */
+    radius: PropTypes.number,
+  })),
+  /**
+   * Device pixel ratio.
+   * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
+   * by half shall we have sharp images. It is caller's duty to scale down canvas area to
+   * device screen size by setting CSS.
+   * https://www.html5rocks.com/en/tutorials/canvas/hidpi
+   * Default 1.
+   * I don't want to expose the implementation details of supporting high DPR devices to the user.
+   * Therefore, all configuration properties have unit of CSS pixel.
+   */
+  dpr: PropTypes.number,
+  /**
+   * getSnapshotBeforeRender is invoked right before calling canvas API to draw a circle.
+   * It enables you to do time consuming manipulations of each circle while taking advantage of
+   * none UI blocking tricks. If those time consuming works are done by yourself before passing
+   * them to Circle, it ultimately results to a noticeable time elapse even though you have enough
+   * skills in writing non blocking javascript code. getSnapshotBeforeRender must return properties
+   * defined in data property (borderColor, borderWidth, color, opacity, position and radius).
+   */
+  getSnapshotBeforeRender: PropTypes.func,
+  /**
+   * Canvas height.
+   */
+  height: PropTypes.number.isRequired,
+  /**
+   * Whether radiuses and border widths scale with viewport zoom. Set false to keep them fixed in
+   * CSS pixels no matter how viewport zooms.
+   * Default true.
+   */
+  scaleWithZoom: PropTypes.bool,
+  /**
+   * Number of circles drawn in a scheduler step. Circles of the same style are batched within a
+   * step, larger steps cost fewer fills and strokes but block frames longer.
+   * Default 1000.
+   */
+  stepSize: PropTypes.number,
+  /**
+   * Viewport shared by layers to pan, zoom and rotate. Data coordinates are projected through
+   * viewport, therefore, render properties and findByPosition are in canvas CSS pixels.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
+  /**
+   * Canvas width.
+   */
+  width: PropTypes.number.isRequired,
+};
+
+export default Circle;
@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+import Platform from '../Platform';
+import createCanvas from '../testing/createCanvas';
+import Circle from '.';
+
+/**
+ * Return how many times the given context has filled.
+ */
+function countFills(ctx) {
+  return ctx.calls.filter(([name]) => name === 'fill').length;
+}
+
+describe('Circle', () => {
+  afterEach(() => {
+    Platform.global.config({});
+  });
+
+  it('draws batches of each step inside the step', async () => {
+    const canvas = createCanvas();
+    const { ctx } = canvas;
+    /**
+     * A frame ends as soon as something is filled, hence steps drawing their own batches take a
+     * frame each.
+     */
+    const fillsByFrame = [];
+    Platform.global.config({
+      requestFrame: (callback) => {
+        const id = setTimeout(() => {
+          const fills = countFills(ctx);
+          callback({ timeRemaining: () => (countFills(ctx) === fills ? 1000 : 0) });
+          fillsByFrame.push(countFills(ctx) - fills);
+        }, 0);
+        return () => clearTimeout(id);
+      },
+    });
+    const circle = new Circle({
+      canvas,
+      data: Array.from({ length: 2500 }, (value, index) => ({ position: [index % 100, 50] })),
+      height: 100,
+      stepSize: 1000,
+      width: 100,
+    });
+
+    await expect(circle.render()).resolves.toEqual({ culled: 0 });
+    expect(fillsByFrame).toEqual([1, 1, 1]);
+    expect(circle.findByPosition({ x: 10, y: 50 })).toHaveLength(275);
+  });
+});
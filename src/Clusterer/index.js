@@ -0,0 +1,91 @@
+import PropTypes from 'prop-types';
+import SpatialIndex from '../SpatialIndex';
+
+/**
+ * Clusterer groups items which are close to each other on canvas. Items are { position } in data
+ * coordinate system, and they are compared by their canvas positions so that clusters follow
+ * viewport zoom.
+ */
+class Clusterer {
+  constructor(props = {}) {
+    const {
+      minCount = 2,
+      radius = 40,
+    } = props;
+
+    this.minCount = minCount;
+    this.radius = radius;
+  }
+
+  /**
+   * Group the given items within radius. toScreen projects data positions to canvas, i.e.
+   * viewport.toScreen.
+   * Items are visited in the given order, and each unvisited item collects all unvisited items
+   * within radius around it, including itself. They form a cluster if there are at least
+   * minCount of them. Return a map from the item which forms every cluster to its cluster, i.e.
+   * { count, items, position }, where position is the centre of items in data coordinate system.
+   */
+  cluster(items, toScreen) {
+    const { minCount, radius } = this;
+    /**
+     * Cells as large as radius make neighbour search touch at most four cells.
+     */
+    const pointIndex = new SpatialIndex({ cellSize: radius });
+    const screenPositions = new Map();
+
+    items.forEach((item) => {
+      const [screenX, screenY] = toScreen(item.position);
+      screenPositions.set(item, [screenX, screenY]);
+      pointIndex.insert(item, [screenX, screenY, screenX, screenY]);
+    });
+
+    const clusters = new Map();
+    const clustered = new Set();
+
+    items.forEach((item) => {
+      if (clustered.has(item)) return;
+
+      const [screenX, screenY] = screenPositions.get(item);
+      const neighbours = pointIndex.searchBoundingBox([
+        screenX - radius, screenY - radius, screenX + radius, screenY + radius,
+      ]).filter((neighbour) => {
+        const [neighbourX, neighbourY] = screenPositions.get(neighbour);
+        return !clustered.has(neighbour)
+          && (neighbourX - screenX) ** 2 + (neighbourY - screenY) ** 2 <= radius ** 2;
+      });
+
+      if (neighbours.length < minCount) return;
+
+      neighbours.forEach((neighbour) => {
+        clustered.add(neighbour);
+        pointIndex.remove(neighbour);
+      });
+
+      clusters.set(item, {
+        count: neighbours.length,
+        items: neighbours,
+        position: [
+          neighbours.reduce((sum, { position }) => sum + position[0], 0) / neighbours.length,
+          neighbours.reduce((sum, { position }) => sum + position[1], 0) / neighbours.length,
+        ],
+      });
+    });
+
+    return clusters;
+  }
+}
+
+Clusterer.propTypes = {
+  /**
+   * The minimum number of items to form a cluster.
+   * Default 2.
+   */
+  minCount: PropTypes.number,
+  /**
+   * Items within this radius in CSS pixels are grouped.
+   * Default 40.
+   */
+  radius: PropTypes.number,
+};
+
+export default Clusterer;
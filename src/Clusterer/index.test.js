@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+import Clusterer from '.';
+
+describe('Clusterer', () => {
+  const identity = (position) => position;
+
+  it('groups items within radius around the first unvisited item', () => {
+    const a = { id: 'a', position: [0, 0] };
+    const b = { id: 'b', position: [3, 4] };
+    const c = { id: 'c', position: [8, 0] };
+    const far = { id: 'far', position: [100, 100] };
+    const clusterer = new Clusterer({ radius: 5 });
+
+    const clusters = clusterer.cluster([a, b, c, far], identity);
+
+    /**
+     * c is within radius of b but not of a, therefore, it is left out of the cluster of a.
+     */
+    expect(Array.from(clusters.keys())).toEqual([a]);
+    expect(clusters.get(a)).toEqual({ count: 2, items: [a, b], position: [1.5, 2] });
+  });
+
+  it('forms clusters of minimum count only', () => {
+    const items = [
+      { position: [0, 0] },
+      { position: [1, 0] },
+      { position: [50, 0] },
+      { position: [51, 0] },
+      { position: [52, 0] },
+    ];
+    const clusterer = new Clusterer({ minCount: 3, radius: 5 });
+
+    const clusters = clusterer.cluster(items, identity);
+
+    expect(Array.from(clusters.keys())).toEqual([items[2]]);
+    expect(clusters.get(items[2]).count).toBe(3);
+  });
+
+  it('compares canvas positions so that clusters follow zoom', () => {
+    const items = [{ position: [0, 0] }, { position: [10, 0] }];
+    const clusterer = new Clusterer({ radius: 15 });
+
+    expect(clusterer.cluster(items, identity).size).toBe(1);
+    expect(clusterer.cluster(items, ([x, y]) => [x * 2, y * 2]).size).toBe(0);
+  });
+});
@@ -0,0 +1,212 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+
+/**
+ * Linear colours are rounded to this number of steps between two ramp colours so that grids
+ * share cached images.
+ */
+const LINEAR_STEPS = 256;
+
+/**
+ * Whether the given value can be mapped to a colour.
+ */
+function isValue(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Parse colours in hex or rgb() notation to [r, g, b, a]. Return undefined for other notations.
+ */
+function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!isNullVoid(hex)) {
+    const digits = hex[1].length === 3
+      ? hex[1].split('').map((digit) => `${digit}${digit}`)
+      : hex[1].match(/../g);
+    return [...digits.map((digit) => parseInt(digit, 16)), 1];
+  }
+
+  const rgb = /^rgba?\(([^)]+)\)$/i.exec(color);
+  if (!isNullVoid(rgb)) {
+    const [r, g, b, a = 1] = rgb[1].split(',').map((channel) => parseFloat(channel));
+    return [r, g, b, a];
+  }
+
+  return void 0;
+}
+
+/**
+ * Return the value at the given fraction of sorted values. Values between two samples are
+ * interpolated.
+ */
+function getQuantile(sortedValues, fraction) {
+  const position = (sortedValues.length - 1) * fraction;
+  const lower = Math.floor(position);
+  if (lower + 1 >= sortedValues.length) return sortedValues[sortedValues.length - 1];
+  return sortedValues[lower] + (position - lower) * (sortedValues[lower + 1] - sortedValues[lower]);
+}
+
+/**
+ * ColorScale maps numbers to colours of a colour ramp.
+ * Linear scales interpolate ramp colours across domain. Quantize scales split domain into equal
+ * bins, quantile scales split values into bins of equal counts, and threshold scales split
+ * values at the given thresholds. Each bin takes a ramp colour.
+ * Domain is computed from values unless it is given.
+ */
+class ColorScale {
+  constructor(props = {}) {
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Update scale definition and resolve domain and thresholds.
+   */
+  config(props) {
+    const {
+      colors = [],
+      domain,
+      nullColor = null,
+      type = 'linear',
+      values = [],
+    } = props;
+
+    this.colors = colors;
+    this.nullColor = nullColor;
+    this.type = type;
+
+    const sortedValues = values.filter(isValue).sort((a, b) => a - b);
+
+    if (type === 'threshold') {
+      this.domain = isNullVoid(domain) ? [] : domain;
+      this.thresholds = this.domain;
+      return;
+    }
+
+    if (type === 'quantile') {
+      this.domain = isNullVoid(domain) ? sortedValues : [...domain].sort((a, b) => a - b);
+      this.thresholds = this.domain.length === 0 ? [] : colors.slice(1).map((color, index) => {
+        return getQuantile(this.domain, (index + 1) / colors.length);
+      });
+      return;
+    }
+
+    /**
+     * Linear and quantize scales span the extent of values by default.
+     */
+    if (!isNullVoid(domain)) {
+      this.domain = domain;
+    } else if (sortedValues.length === 0) {
+      this.domain = [0, 1];
+    } else {
+      this.domain = [sortedValues[0], sortedValues[sortedValues.length - 1]];
+    }
+
+    const [min, max] = this.domain;
+    this.thresholds = type === 'quantize'
+      ? colors.slice(1).map((color, index) => min + (max - min) * ((index + 1) / colors.length))
+      : [];
+    this.parsedColors = colors.map(parseColor);
+  }
+
+  /**
+   * Return the colour of the given value. Values which are not numbers take null colour.
+   */
+  getColor(value) {
+    if (!isValue(value) || this.colors.length === 0) return this.nullColor;
+
+    if (this.type !== 'linear') {
+      const index = this.thresholds.filter((threshold) => threshold <= value).length;
+      return this.colors[Math.min(index, this.colors.length - 1)];
+    }
+
+    const [min, max] = this.domain;
+    const lastIndex = this.colors.length - 1;
+    const fraction = max === min ? 0 : Math.max(0, Math.min(1, (value - min) / (max - min)));
+    const position = fraction * lastIndex;
+    const index = Math.min(Math.floor(position), Math.max(lastIndex - 1, 0));
+    const step = Math.round((position - index) * LINEAR_STEPS) / LINEAR_STEPS;
+
+    const start = this.parsedColors[index];
+    const end = this.parsedColors[index + 1];
+    /**
+     * Colours which can't be interpolated are used as they are.
+     */
+    if (isNullVoid(start) || isNullVoid(end)) {
+      return step < 0.5 || isNullVoid(this.colors[index + 1])
+        ? this.colors[index]
+        : this.colors[index + 1];
+    }
+
+    const [r, g, b, a] = start.map((channel, channelIndex) => {
+      return channel + (end[channelIndex] - channel) * step;
+    });
+    const rgb = [r, g, b].map(Math.round).join(', ');
+    return a < 1 ? `rgba(${rgb}, ${Math.round(a * 100) / 100})` : `rgb(${rgb})`;
+  }
+
+  /**
+   * Return legend entries in ramp order.
+   * Linear scales return colour stops, i.e. { color, value }. The other scales return bins, i.e.
+   * { color, range: [min, max] }, where the first and the last bins of threshold scales are
+   * unbounded.
+   */
+  getLegend() {
+    const [min, max] = this.type === 'quantile'
+      ? [this.domain[0], this.domain[this.domain.length - 1]]
+      : this.domain;
+
+    if (this.type === 'linear') {
+      return this.colors.map((color, index) => {
+        return {
+          color,
+          value: this.colors.length === 1
+            ? min
+            : min + (max - min) * (index / (this.colors.length - 1)),
+        };
+      });
+    }
+
+    const bounds = this.type === 'threshold'
+      ? [-Infinity, ...this.thresholds, Infinity]
+      : [min, ...this.thresholds, max];
+    return this.colors.map((color, index) => {
+      return {
+        color,
+        range: [bounds[index], bounds[index + 1]],
+      };
+    });
+  }
+}
+
+ColorScale.propTypes = {
+  /**
+   * Colour ramp from the lowest to the highest values. Linear scales interpolate colours given in
+   * hex or rgb() notation.
+   */
+  colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+  /**
+   * Linear and quantize scales take [min, max], default the extent of values. Quantile scales
+   * take sample values, default values. Threshold scales take ascending thresholds, one less than
+   * colours.
+   */
+  domain: PropTypes.arrayOf(PropTypes.number),
+  /**
+   * Colour of values which are not numbers.
+   * Default null, which is not drawn.
+   */
+  nullColor: PropTypes.string,
+  /**
+   * One of linear, quantize, quantile and threshold.
+   * Default linear.
+   */
+  type: PropTypes.oneOf(['linear', 'quantize', 'quantile', 'threshold']),
+  /**
+   * Values from which domain is computed if it is not given.
+   */
+  values: PropTypes.arrayOf(PropTypes.number),
+};
+
+export default ColorScale;
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import ColorScale from '.';
+
+describe('ColorScale', () => {
+  it('interpolates colours of linear scales and clamps values outside domain', () => {
+    const colorScale = new ColorScale({ colors: ['#000', 'rgb(255, 255, 255)'], values: [0, 10] });
+
+    expect(colorScale.getColor(5)).toBe('rgb(128, 128, 128)');
+    expect(colorScale.getColor(-5)).toBe('rgb(0, 0, 0)');
+    expect(colorScale.getColor(50)).toBe('rgb(255, 255, 255)');
+    expect(colorScale.getLegend()).toEqual([
+      { color: '#000', value: 0 },
+      { color: 'rgb(255, 255, 255)', value: 10 },
+    ]);
+  });
+
+  it('interpolates opacity and uses colours which cannot be interpolated as they are', () => {
+    const transparent = new ColorScale({ colors: ['rgba(0, 0, 0, 0)', '#ff0000'], domain: [0, 1] });
+    const named = new ColorScale({ colors: ['red', 'blue'], domain: [0, 1] });
+
+    expect(transparent.getColor(0.5)).toBe('rgba(128, 0, 0, 0.5)');
+    expect(named.getColor(0.25)).toBe('red');
+    expect(named.getColor(0.75)).toBe('blue');
+  });
+
+  it('gives values which are not numbers null colour', () => {
+    const colorScale = new ColorScale({ colors: ['#000', '#fff'], nullColor: 'grey' });
+
+    expect(colorScale.getColor(NaN)).toBe('grey');
+    expect(colorScale.getColor(void 0)).toBe('grey');
+    expect(new ColorScale({ colors: ['#000'] }).getColor('1')).toBe(null);
+  });
+
+  it('splits domain into equal bins for quantize scales', () => {
+    const colorScale = new ColorScale({
+      colors: ['a', 'b', 'c'],
+      type: 'quantize',
+      values: [30, 0],
+    });
+    const colors = [0, 10, 25, 40].map((value) => colorScale.getColor(value));
+
+    expect(colors).toEqual(['a', 'b', 'c', 'c']);
+    expect(colorScale.getLegend()).toEqual([
+      { color: 'a', range: [0, 10] },
+      { color: 'b', range: [10, 20] },
+      { color: 'c', range: [20, 30] },
+    ]);
+  });
+
+  it('splits values into bins of equal counts for quantile scales', () => {
+    const colorScale = new ColorScale({
+      colors: ['a', 'b'],
+      type: 'quantile',
+      values: [100, 1, 2, 3, 4],
+    });
+
+    expect(colorScale.thresholds).toEqual([3]);
+    expect([2, 3].map((value) => colorScale.getColor(value))).toEqual(['a', 'b']);
+    expect(colorScale.getLegend()).toEqual([
+      { color: 'a', range: [1, 3] },
+      { color: 'b', range: [3, 100] },
+    ]);
+  });
+
+  it('splits values at thresholds with unbounded outer bins for threshold scales', () => {
+    const colorScale = new ColorScale({ colors: ['a', 'b'], domain: [0], type: 'threshold' });
+
+    expect([-1, 0].map((value) => colorScale.getColor(value))).toEqual(['a', 'b']);
+    expect(colorScale.getLegend()).toEqual([
+      { color: 'a', range: [-Infinity, 0] },
+      { color: 'b', range: [0, Infinity] },
+    ]);
+  });
+});
@@ -0,0 +1,162 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+import Platform from '../Platform';
+
+/**
+ * FrameBudget runs tasks of schedulers in idle periods of frames.
+ * Schedulers sharing a frame budget take turns to process one item at a time, therefore, a long
+ * task doesn't starve the other tasks. Tasks of higher priority are processed first.
+ * A task waiting for an asynchronous item, i.e. a marker image, is skipped until the item
+ * resolves so that the other tasks keep going. It resumes in the same frame if the frame still
+ * has time left when the item resolves.
+ */
+class FrameBudget {
+  constructor(props = {}) {
+    const {
+      budget,
+    } = props;
+
+    /**
+     * Maximum milliseconds spent by all tasks in a frame. Tasks use all idle time if it is
+     * undefined.
+     */
+    this.budget = budget;
+    /**
+     * Tasks which have not completed. The task processed last is moved to the end.
+     */
+    this.tasks = [];
+    /**
+     * Function cancelling the requested frame. It is undefined if no frame is requested.
+     */
+    this.cancelFrame = void 0;
+    /**
+     * Whether tasks are being processed in the current frame.
+     */
+    this.running = false;
+    /**
+     * Deadline of the last frame and the moment it started. Tasks resuming from asynchronous
+     * items keep processing until this deadline runs out.
+     */
+    this.deadline = void 0;
+    this.frameStart = 0;
+  }
+
+  /**
+   * Add a task and process it in the following frames.
+   */
+  add(task) {
+    this.tasks.push(task);
+    this.schedule();
+  }
+
+  /**
+   * Remove a task. Frame is no longer requested if there are no tasks.
+   */
+  remove(task) {
+    this.tasks = this.tasks.filter((eachTask) => eachTask !== task);
+
+    if (this.tasks.length === 0 && !isNullVoid(this.cancelFrame)) {
+      this.cancelFrame();
+      this.cancelFrame = void 0;
+    }
+  }
+
+  /**
+   * Request a frame if any task is ready to be processed.
+   */
+  schedule() {
+    if (this.running || !isNullVoid(this.cancelFrame)) return;
+    if (!this.tasks.some((task) => task.isReady())) return;
+
+    this.cancelFrame = Platform.global.requestFrame(this.run);
+  }
+
+  /**
+   * Process ready tasks in what is left of the last frame, i.e. after an asynchronous item
+   * resolves. Request a new frame if the last frame has run out of time.
+   */
+  resume() {
+    if (this.running) return;
+
+    if (!isNullVoid(this.deadline) && this.timeRemaining() > 0) {
+      this.process();
+      return;
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Milliseconds left in the last frame, limited by budget if it is defined.
+   */
+  timeRemaining() {
+    const frameRemaining = this.deadline.timeRemaining();
+    if (isNullVoid(this.budget)) return frameRemaining;
+    return Math.min(frameRemaining, this.budget - (Platform.global.now() - this.frameStart));
+  }
+
+  /**
+   * Return the ready task of the highest priority which waits the longest, and move it to the end
+   * of tasks.
+   */
+  next() {
+    const task = this.tasks.reduce((nextTask, eachTask) => {
+      if (!eachTask.isReady()) return nextTask;
+      if (isNullVoid(nextTask) || eachTask.priority < nextTask.priority) return eachTask;
+      return nextTask;
+    }, void 0);
+
+    if (!isNullVoid(task)) {
+      this.tasks = [...this.tasks.filter((eachTask) => eachTask !== task), task];
+    }
+
+    return task;
+  }
+
+  /**
+   * Process tasks one item after another until the frame runs out of time.
+   */
+  run = (deadline) => {
+    this.cancelFrame = void 0;
+    this.deadline = deadline;
+    this.frameStart = Platform.global.now();
+
+    /**
+     * Every frame restarts time budgets of tasks.
+     */
+    this.tasks.forEach((task) => {
+      task.spent = 0;
+    });
+
+    this.process();
+  }
+
+  /**
+   * Step tasks until the last frame runs out of time or no task is ready.
+   */
+  process() {
+    this.running = true;
+
+    while (this.timeRemaining() > 0) {
+      const task = this.next();
+      if (isNullVoid(task)) break;
+
+      const stepStart = Platform.global.now();
+      task.step();
+      task.spent += Platform.global.now() - stepStart;
+    }
+
+    this.running = false;
+    this.schedule();
+  }
+}
+
+FrameBudget.propTypes = {
+  /**
+   * Maximum milliseconds spent by all tasks in a frame.
+   * Default all idle time of a frame, or 8 milliseconds if idle callbacks are unavailable.
+   */
+  budget: PropTypes.number,
+};
+
+export default FrameBudget;
@@ -1,17 +1,95 @@
 import PropTypes from 'prop-types';
 import { oneLineTrim } from 'common-tags';
+import ColorScale from '../ColorScale';
+import Platform from '../Platform';
 import Scheduler from '../Scheduler';
+import SpatialIndex from '../SpatialIndex';
+import SVGContext from '../SVGContext';
+import Viewport from '../Viewport';
+import WorkerLayer from '../WorkerLayer';
+import diffData from '../utils/diffData';
 import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import LRUCache from '../LRUCache';
+import redrawRegion from '../utils/redrawRegion';
+import traceRoundedRect from '../utils/traceRoundedRect';
+
+/**
+ * Grid sides in clockwise order.
+ */
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Border colour and width are given either for all sides or per side, i.e. { top, left }. Return
+ * the value of every side. Sides which are not given have no border.
+ */
+function resolveSides(value, emptyValue) {
+  return SIDES.reduce((sides, side) => {
+    if (isNullVoid(value) || typeof value !== 'object') return { ...sides, [side]: value };
+    return { ...sides, [side]: isNullVoid(value[side]) ? emptyValue : value[side] };
+  }, {});
+}
+
+/**
+ * Rotate the given vector clockwise by rotation in radians, the same as viewport.
+ */
+function rotate([x, y], rotation) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [x * cos - y * sin, x * sin + y * cos];
+}
+
+/**
+ * Return the bounding box of a rectangle of the given size which rotates about its top left
+ * corner, i.e. [minX, minY, maxX, maxY].
+ */
+function getRotatedBoundingBox(origin, height, width, rotation) {
+  const corners = [[0, 0], [width, 0], [width, height], [0, height]].map((corner) => {
+    const [x, y] = rotate(corner, rotation);
+    return [origin[0] + x, origin[1] + y];
+  });
+  return [
+    Math.min(...corners.map(([x]) => x)),
+    Math.min(...corners.map(([, y]) => y)),
+    Math.max(...corners.map(([x]) => x)),
+    Math.max(...corners.map(([, y]) => y)),
+  ];
+}
+
+/**
+ * Return the given canvas position relative to the top left corner of a rectangle which rotates
+ * about that corner, i.e. [x, y]. Positions inside rectangle are between [0, 0] and its size.
+ */
+function toLocal([x, y], origin, rotation) {
+  return rotate([x - origin[0], y - origin[1]], -rotation);
+}
+
+/**
+ * Return the bounding box of the last render of the given grid, undefined if it is not drawn.
+ */
+function getBoundingBox(grid) {
+  return isNullVoid(grid.renderProps) ? void 0 : grid.renderProps.boundingBox;
+}
 
 class Grid {
   /**
    * Render a single grid on the given canvas context.
+   * Style is optional and defines border dash, radius and width. See propTypes of data.
    * Apply image cache to reduce the number of canvas API calls.
+   * Rotated grids rotate about origin, i.e. along with a rotated viewport. They are drawn as paths
+   * because image data is always copied axis aligned.
    */
   static render(
     gridObject, ctx, cache, cacheCanvas, cacheCtx,
-    borderColor, color, dpr, height, origin, width,
+    borderColor, color, dpr, height, origin, rotation, width, style = {}, region,
+    visibleBoundingBox,
   ) {
+    const {
+      borderDash = [],
+      borderRadius = 0,
+      borderWidth = 1,
+    } = style;
+
     /**
      * Round number values because decimal points significantly affects canvas performance.
      */
@@ -24,10 +102,14 @@ class Grid {
      * rounding decimal points, and are passed to canvas render APIs directly.
      */
     const renderProps = {
-      borderColor,
+      borderColor: resolveSides(borderColor, void 0),
+      borderDash,
+      borderRadius,
+      borderWidth: resolveSides(borderWidth, 0),
       color,
       height: internalHeight,
       origin: internalOrigin,
+      rotation,
       width: internalWidth,
     };
     gridObject.renderProps = renderProps;
@@ -36,97 +118,364 @@ class Grid {
      * Skip if any one of width or height is 0.
      */
     if (renderProps.width === 0 || renderProps.height === 0) return;
+    /**
+     * Bounding box is used to index grid for finding grids by position. i.e.
+     * [minX, minY, maxX, maxY].
+     */
+    renderProps.boundingBox = getRotatedBoundingBox(
+      renderProps.origin, renderProps.height, renderProps.width, rotation,
+    );
+
+    /**
+     * Skip if it is entirely outside the visible area.
+     */
+    if (!isNullVoid(visibleBoundingBox)
+      && !isOverlapping(renderProps.boundingBox, visibleBoundingBox)) {
+      renderProps.culled = true;
+      return;
+    }
+    /**
+     * Clipping applies to paths, therefore, region is not needed.
+     */
+    if (rotation !== 0) {
+      Grid.draw(ctx, renderProps);
+      return;
+    }
+    /**
+     * Grid edges are rounded to device pixels so that adjacent grids share edges without
+     * overlapping or leaving gaps at any DPR.
+     */
+    const deviceOrigin = [
+      Math.round(renderProps.origin[0] * dpr),
+      Math.round(renderProps.origin[1] * dpr),
+    ];
+    const deviceHeight = Math.round((renderProps.origin[1] + renderProps.height) * dpr)
+      - deviceOrigin[1];
+    const deviceWidth = Math.round((renderProps.origin[0] + renderProps.width) * dpr)
+      - deviceOrigin[0];
+
     /**
      * Declare image variable. Get image either from cache or calling canvas API.
      */
     let image;
     /**
-     * Grids have the same width, height, color and borderColor is cached.
+     * Grids have the same size in device pixels, colour and borders is cached.
      */
     const cacheKey = oneLineTrim`
-      ${renderProps.width},${renderProps.height},${renderProps.color},${renderProps.borderColor}
+      ${deviceWidth},${deviceHeight},${renderProps.color},
+      ${SIDES.map((side) => renderProps.borderColor[side]).join(' ')},
+      ${SIDES.map((side) => renderProps.borderWidth[side]).join(' ')},
+      ${renderProps.borderDash.join(' ')},${renderProps.borderRadius}
     `;
-    if (cache.hasOwnProperty(cacheKey)) {
-      /**
-       * Use cached image.
-       */
-      image = cache[cacheKey];
-    } else {
+    /**
+     * Use cached image.
+     */
+    image = cache.get(cacheKey);
+    if (isNullVoid(image)) {
       /**
        * Each grid will be drawn on an offscreen canvas and cached in memory so that we simply
        * return the cached image at the next time.
        */
-      image = Grid.renderOffscreen(
-        cacheCanvas, cacheCtx,
-        renderProps.borderColor, renderProps.color, dpr,
-        renderProps.height, renderProps.width,
-      );
+      image = Grid.renderOffscreen(cacheCanvas, cacheCtx, deviceHeight, deviceWidth, renderProps);
       /**
-       * Save image in cache.
+       * Save image in cache. Images used least recently are evicted once cache is full.
        */
-      cache[cacheKey] = image;
+      cache.set(cacheKey, image);
     }
 
     /**
      * Put image data method is not affected by ctx.scale.
      */
-    ctx.putImageData(image, renderProps.origin[0] * dpr, renderProps.origin[1] * dpr);
+    if (isNullVoid(region)) {
+      ctx.putImageData(image, deviceOrigin[0], deviceOrigin[1]);
+      return;
+    }
+    /**
+     * Put image data method is not affected by clipping either. Only copy the part of image
+     * inside the given region. i.e. [minX, minY, maxX, maxY].
+     */
+    const deviceRegion = region.map((value) => Math.round(value * dpr));
+    ctx.putImageData(
+      image,
+      deviceOrigin[0], deviceOrigin[1],
+      deviceRegion[0] - deviceOrigin[0], deviceRegion[1] - deviceOrigin[1],
+      deviceRegion[2] - deviceRegion[0], deviceRegion[3] - deviceRegion[1],
+    );
   }
 
   /**
-   * Return the grid image with minimal size.
+   * Return the grid image with minimal size. Grid is stretched to the given size in device
+   * pixels.
    */
-  static renderOffscreen(canvas, ctx, borderColor, color, dpr, height, width) {
+  static renderOffscreen(canvas, ctx, deviceHeight, deviceWidth, renderProps) {
     /**
      * Clear canvas and adjust the size appropriate to this grid.
      */
-    canvas.width = width * dpr;
-    canvas.height = height * dpr;
-    ctx.scale(dpr, dpr);
+    canvas.width = deviceWidth;
+    canvas.height = deviceHeight;
+    ctx.scale(deviceWidth / renderProps.width, deviceHeight / renderProps.height);
+
+    Grid.draw(ctx, {
+      ...renderProps,
+      origin: [0, 0],
+    });
+    /**
+     * Get image data method is not affected by ctx.scale.
+     */
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Draw a single grid with its render properties on the given canvas context.
+   * Borders are drawn inside grid so that grid never paints outside its bounding box.
+   */
+  static draw(ctx, renderProps) {
+    const {
+      borderColor,
+      borderDash,
+      borderRadius,
+      borderWidth,
+      color,
+      height,
+      origin,
+      rotation = 0,
+      width,
+    } = renderProps;
+    const radius = Math.max(Math.min(borderRadius, width / 2, height / 2), 0);
+    let [x, y] = origin;
+
+    ctx.save();
+
+    /**
+     * Rotated grid is drawn axis aligned in a coordinate system which rotates about its origin.
+     */
+    if (rotation !== 0) {
+      ctx.translate(x, y);
+      ctx.rotate(rotation);
+      [x, y] = [0, 0];
+    }
+
+    /**
+     * Rounded corners clip everything drawn afterwards, including borders of single sides.
+     */
+    traceRoundedRect(ctx, [x, y, x + width, y + height], radius);
+    if (radius > 0) ctx.clip();
 
     /**
      * Draw grid background colour.
      */
     if (!isNullVoid(color)) {
       ctx.fillStyle = color;
-      ctx.fillRect(0, 0, width, height);
+      ctx.fill();
+    }
+
+    ctx.setLineDash(borderDash);
+
+    const drawnSides = SIDES.filter((side) => {
+      return !isNullVoid(borderColor[side]) && borderWidth[side] > 0;
+    });
+    const isUniform = drawnSides.length === SIDES.length && SIDES.every((side) => {
+      return borderColor[side] === borderColor.top && borderWidth[side] === borderWidth.top;
+    });
+
+    if (isUniform) {
+      /**
+       * Stroke is centred on path. Path is inset by half border width so that border stays
+       * inside grid, and corners follow grid radius.
+       */
+      const inset = borderWidth.top / 2;
+      ctx.strokeStyle = borderColor.top;
+      ctx.lineWidth = borderWidth.top;
+      traceRoundedRect(
+        ctx, [x + inset, y + inset, x + width - inset, y + height - inset], radius - inset,
+      );
+      ctx.stroke();
+    } else {
+      /**
+       * Sides of different colours or widths are drawn one by one along grid edges.
+       */
+      drawnSides.forEach((side) => {
+        const inset = borderWidth[side] / 2;
+        const [start, end] = {
+          bottom: [[x, y + height - inset], [x + width, y + height - inset]],
+          left: [[x + inset, y], [x + inset, y + height]],
+          right: [[x + width - inset, y], [x + width - inset, y + height]],
+          top: [[x, y + inset], [x + width, y + inset]],
+        }[side];
+
+        ctx.strokeStyle = borderColor[side];
+        ctx.lineWidth = borderWidth[side];
+        ctx.beginPath();
+        ctx.moveTo(...start);
+        ctx.lineTo(...end);
+        ctx.stroke();
+      });
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Render a lattice of rows by columns cells on the given canvas context in one pass.
+   * Cells are written into a single image data instead of being drawn one by one, therefore,
+   * cells have no borders and replace canvas pixels. Only cells inside the visible bounding box
+   * are written.
+   * Rotated lattice rotates about origin. Its image is written on the offscreen canvas, and then
+   * drawn rotated, therefore, cells are composited over canvas pixels instead. Cells are culled by
+   * the bounding box of the visible area in lattice coordinates.
+   * getRGBA returns [r, g, b, a] of the cell at the given row and column, where every channel is
+   * between 0 and 255, or undefined if the cell is not drawn.
+   */
+  static renderLattice(
+    latticeObject, ctx, cacheCanvas, cacheCtx, getRGBA,
+    cellHeight, cellWidth, columns, dpr, origin, rotation, rows, visibleBoundingBox,
+  ) {
+    /**
+     * Cell sizes are not rounded because rounding errors add up across the lattice. Cell edges
+     * are rounded to device pixels instead.
+     */
+    const internalOrigin = [Math.round(origin[0]), Math.round(origin[1])];
+
+    const renderProps = {
+      cellHeight,
+      cellWidth,
+      columns,
+      origin: internalOrigin,
+      rotation,
+      rows,
+    };
+    latticeObject.renderProps = renderProps;
+
+    if (cellWidth <= 0 || cellHeight <= 0 || rows === 0 || columns === 0) return;
+    renderProps.boundingBox = getRotatedBoundingBox(
+      renderProps.origin, rows * cellHeight, columns * cellWidth, rotation,
+    );
+
+    /**
+     * Axis aligned lattice is written at canvas positions. Rotated lattice is written in lattice
+     * coordinates whose origin is the top left corner of lattice, therefore, the visible area is
+     * rotated back into lattice coordinates.
+     */
+    const base = rotation === 0 ? renderProps.origin : [0, 0];
+    let visibleArea = isNullVoid(visibleBoundingBox) ? renderProps.boundingBox : visibleBoundingBox;
+    if (rotation !== 0) {
+      const [left, top, right, bottom] = visibleArea;
+      const corners = [[left, top], [right, top], [right, bottom], [left, bottom]].map((corner) => {
+        return toLocal(corner, renderProps.origin, rotation);
+      });
+      visibleArea = [
+        Math.min(...corners.map(([x]) => x)),
+        Math.min(...corners.map(([, y]) => y)),
+        Math.max(...corners.map(([x]) => x)),
+        Math.max(...corners.map(([, y]) => y)),
+      ];
     }
+
     /**
-     * Draw grid border. Currently border width is fixed at 1 pixel. Defining border width greater
-     * than 1 requires advanced algorithm because border exceeds canvas area by default.
+     * Range of visible columns and rows. Minimums are inclusive and maximums are exclusive.
      */
-    if (!isNullVoid(borderColor)) {
-      ctx.strokeStyle = borderColor;
-      ctx.strokeRect(0, 0, width, height);
+    const [minX, minY, maxX, maxY] = visibleArea;
+    const minColumn = Math.max(Math.floor((minX - base[0]) / cellWidth), 0);
+    const maxColumn = Math.min(Math.ceil((maxX - base[0]) / cellWidth), columns);
+    const minRow = Math.max(Math.floor((minY - base[1]) / cellHeight), 0);
+    const maxRow = Math.min(Math.ceil((maxY - base[1]) / cellHeight), rows);
+
+    const visibleCount = Math.max(maxColumn - minColumn, 0) * Math.max(maxRow - minRow, 0);
+    renderProps.culled = rows * columns - visibleCount;
+    if (visibleCount === 0) return;
+
+    /**
+     * Return the device pixel of cell edges, limited to the visible area.
+     */
+    const getEdgeX = (column) => Math.min(Math.max(
+      Math.round((base[0] + column * cellWidth) * dpr), Math.round(minX * dpr),
+    ), Math.round(maxX * dpr));
+    const getEdgeY = (row) => Math.min(Math.max(
+      Math.round((base[1] + row * cellHeight) * dpr), Math.round(minY * dpr),
+    ), Math.round(maxY * dpr));
+
+    const deviceOrigin = [getEdgeX(minColumn), getEdgeY(minRow)];
+    const deviceWidth = getEdgeX(maxColumn) - deviceOrigin[0];
+    const deviceHeight = getEdgeY(maxRow) - deviceOrigin[1];
+    if (deviceWidth <= 0 || deviceHeight <= 0) return;
+
+    const image = ctx.createImageData(deviceWidth, deviceHeight);
+    const scanline = new Uint8ClampedArray(deviceWidth * 4);
+
+    for (let row = minRow; row < maxRow; row += 1) {
+      const startY = getEdgeY(row) - deviceOrigin[1];
+      const endY = getEdgeY(row + 1) - deviceOrigin[1];
+
+      /**
+       * Cells of a row share the same pixel rows, therefore, a row is written to one pixel row
+       * first, and then copied to the others.
+       */
+      if (endY > startY) {
+        for (let column = minColumn; column < maxColumn; column += 1) {
+          const rgba = getRGBA(row, column) || [0, 0, 0, 0];
+          const endX = getEdgeX(column + 1) - deviceOrigin[0];
+          for (let x = getEdgeX(column) - deviceOrigin[0]; x < endX; x += 1) {
+            scanline.set(rgba, x * 4);
+          }
+        }
+        for (let y = startY; y < endY; y += 1) {
+          image.data.set(scanline, y * deviceWidth * 4);
+        }
+      }
+    }
+
+    if (rotation === 0) {
+      ctx.putImageData(image, deviceOrigin[0], deviceOrigin[1]);
+      return;
     }
     /**
-     * Get image data method is not affected by ctx.scale.
+     * Draw image method is affected by ctx.scale and rotation, therefore, image is drawn in CSS
+     * pixels.
      */
-    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    cacheCanvas.width = deviceWidth;
+    cacheCanvas.height = deviceHeight;
+    cacheCtx.putImageData(image, 0, 0);
+    ctx.save();
+    ctx.translate(renderProps.origin[0], renderProps.origin[1]);
+    ctx.rotate(rotation);
+    ctx.drawImage(
+      cacheCanvas,
+      deviceOrigin[0] / dpr, deviceOrigin[1] / dpr, deviceWidth / dpr, deviceHeight / dpr,
+    );
+    ctx.restore();
   }
 
   constructor(props = {}) {
-    /**
-     * Save props.
-     */
-    this.config(props);
     /**
      * We call canvas API to draw grids of the same size and style for only once by
      * memorising canvas image of that grid at the first time of appearance and duplicate that image
-     * next time the exact grid appears again.
+     * next time the exact grid appears again. Cache is limited by cacheLimit.
      */
-    this.cache = {};
+    this.cache = new LRUCache();
+    /**
+     * Save props.
+     */
+    this.config(props);
     /**
      * Every grid will be drawn on its own offscreen canvas first, then cached, and finally copied
      * to the visible screen canvas.
      */
-    this.cacheCanvas = window.document.createElement('canvas');
+    this.cacheCanvas = Platform.global.createCanvas();
     this.cacheCtx = this.cacheCanvas.getContext('2d');
+    /**
+     * Map CSS colours of lattice cells to [r, g, b, a] parsed by canvas.
+     */
+    this.rgbaCache = new Map();
     /**
      * Scheduler helps to split a time consuming function to be executed in multiple frames.
      * In this way, time consuming function won't block UI thread.
      */
     this.scheduler = new Scheduler();
+    /**
+     * Incremental updates redraw canvas regions one after another. This promise resolves as soon
+     * as the last redraw completes.
+     */
+    this.redrawing = Promise.resolve();
   }
 
   /**
@@ -134,11 +483,16 @@ class Grid {
    */
   config(props) {
     const {
+      cacheLimit = { maxBytes: 64 * 1024 * 1024 },
       canvas,
       data = [],
       dpr = 1,
       height,
+      lattice,
+      scale,
+      viewport = new Viewport(),
       width,
+      worker,
     } = props;
 
     /**
@@ -147,45 +501,214 @@ class Grid {
     if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
 
     this.dpr = dpr;
-
     /**
-     * We will manipulate canvas context later.
+     * Grid images are sized by their image data.
+     */
+    this.cache.config({
+      ...cacheLimit,
+      getSize: (image) => image.data.length,
+    });
+    /**
+     * Canvas size in CSS pixels. Grids entirely outside canvas are culled.
      */
-    this.ctx = canvas.getContext('2d');
+    this.height = height;
+    this.width = width;
+
     /**
-     * Clear canvas. Always clear canvas before render.
-     * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
-     * by half shall we have sharp images.
-     * Change canvas width restores canvas scale. Always set the correct scale so that callers are
-     * unaware of the implementation details of DPR.
+     * In worker mode, canvas is transferred to worker which draws grids. Only cloneable
+     * properties are posted to worker.
      */
-    canvas.height = height * this.dpr;
-    canvas.width = width * this.dpr;
-    this.ctx.scale(this.dpr, this.dpr);
+    if (!isNullVoid(worker)) {
+      WorkerLayer.assertUnsupported('Grid', { lattice });
+
+      if (!isNullVoid(this.workerLayer) && this.workerLayer.worker !== worker) {
+        WorkerLayer.leave(this.workerLayer, canvas);
+      }
+      if (isNullVoid(this.workerLayer) || this.workerLayer.worker !== worker) {
+        this.workerLayer = new WorkerLayer({ layer: 'Grid', worker });
+      }
+      this.workerLayer.config(canvas, {
+        dpr,
+        height,
+        scale,
+        width,
+      });
+    } else {
+      if (!isNullVoid(this.workerLayer)) WorkerLayer.leave(this.workerLayer, canvas);
+      this.workerLayer = void 0;
 
+      /**
+       * We will manipulate canvas context later.
+       */
+      this.ctx = canvas.getContext('2d');
+      /**
+       * Clear canvas. Always clear canvas before render.
+       * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales
+       * down by half shall we have sharp images.
+       * Change canvas width restores canvas scale. Always set the correct scale so that callers
+       * are unaware of the implementation details of DPR.
+       */
+      canvas.height = height * this.dpr;
+      canvas.width = width * this.dpr;
+      this.ctx.scale(this.dpr, this.dpr);
+    }
+
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
     this.data = data;
+    /**
+     * Lattice takes the place of data if it is defined.
+     */
+    this.lattice = lattice;
+    /**
+     * Colour scale is resolved from grid values so that legend is available before render.
+     */
+    this.scale = scale;
+    this.resolveColorScale();
+    /**
+     * Grids are indexed by their bounding boxes as soon as they are rendered so that finding grids
+     * by position doesn't go through the whole dataset.
+     */
+    this.spatialIndex = new SpatialIndex();
+  }
+
+  /**
+   * Release cached grid images and colours. Images are drawn again when they are needed.
+   */
+  clearCache() {
+    this.cache.clear();
+    this.rgbaCache.clear();
+  }
+
+  /**
+   * Cancel pending render and release cached images and the offscreen canvas. Layer draws again
+   * only after it is configured again.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.clearCache();
+
+    if (!isNullVoid(this.workerLayer)) {
+      this.workerLayer.destroy();
+      this.workerLayer = void 0;
+    }
+    /**
+     * Canvas of zero size releases its memory.
+     */
+    this.cacheCanvas.width = 0;
+    this.cacheCanvas.height = 0;
+
+    this.data = [];
+    this.lattice = void 0;
+    if (!isNullVoid(this.spatialIndex)) this.spatialIndex.clear();
+  }
+
+  /**
+   * Resolve colour scale, see ColorScale, from scale definition and grid values. It is undefined if
+   * scale is not defined. Domain follows grid values at every full render, and incremental
+   * updates keep the current domain.
+   */
+  resolveColorScale() {
+    if (isNullVoid(this.scale)) {
+      this.colorScale = void 0;
+      return;
+    }
+
+    let values = this.data.map(({ value }) => value);
+    if (!isNullVoid(this.lattice)) {
+      const { columns, getValue, rows } = this.lattice;
+      values = [];
+      if (!isNullVoid(getValue)) {
+        for (let row = 0; row < rows; row += 1) {
+          for (let column = 0; column < columns; column += 1) {
+            values.push(getValue(row, column));
+          }
+        }
+      }
+    }
+
+    this.colorScale = new ColorScale({
+      ...this.scale,
+      values,
+    });
+  }
+
+  /**
+   * Return colour of the lattice cell at the given row and column. Colour is given by getColor,
+   * or mapped from getValue by colour scale.
+   */
+  getLatticeColor(row, column) {
+    const { getColor, getValue } = this.lattice;
+
+    if (!isNullVoid(getColor)) return getColor(row, column);
+    if (!isNullVoid(getValue) && !isNullVoid(this.colorScale)) {
+      return this.colorScale.getColor(getValue(row, column));
+    }
+    return 'black';
+  }
+
+  /**
+   * Return [r, g, b, a] of the given CSS colour, undefined if colour is not defined. Canvas
+   * parses colours, therefore, any CSS colour notation works.
+   */
+  getRGBA(color) {
+    if (isNullVoid(color)) return void 0;
+
+    if (!this.rgbaCache.has(color)) {
+      this.cacheCanvas.width = 1;
+      this.cacheCanvas.height = 1;
+      this.cacheCtx.fillStyle = color;
+      this.cacheCtx.fillRect(0, 0, 1, 1);
+      this.rgbaCache.set(color, Array.from(this.cacheCtx.getImageData(0, 0, 1, 1).data));
+    }
+    return this.rgbaCache.get(color);
   }
 
   /**
    * Return a list of grids that contains the given position.
    */
   findByPosition({ x, y }) {
-    return this.data.filter(({ renderProps }) => {
-      /**
-       * This scenario happens if mouse event triggers before render completes.
-       */
-      if (isNullVoid(renderProps)) return false;
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
 
-      const { height, origin, width } = renderProps;
+    /**
+     * Lattice cell is computed from position without searching.
+     */
+    if (!isNullVoid(this.lattice)) {
+      const { renderProps } = this.lattice;
+      if (isNullVoid(renderProps) || isNullVoid(renderProps.boundingBox)) return [];
+
+      const [localX, localY] = toLocal([x, y], renderProps.origin, renderProps.rotation);
+      const col = Math.floor(localX / renderProps.cellWidth);
+      const row = Math.floor(localY / renderProps.cellHeight);
+      if (col < 0 || col >= renderProps.columns || row < 0 || row >= renderProps.rows) return [];
+
+      const { getValue } = this.lattice;
+      return [{
+        col,
+        row,
+        value: isNullVoid(getValue) ? void 0 : getValue(row, col),
+      }];
+    }
+
+    return this.spatialIndex.search({ x, y }).filter(({ renderProps }) => {
+      const {
+        height,
+        origin,
+        rotation,
+        width,
+      } = renderProps;
 
       /**
        * Render properties are not scaled by DPR, therefore, they can compare with mouse pointer
-       * position directly.
+       * position directly. Position is rotated back so that it compares with grid sides.
        */
-      return origin[0] <= x
-        && x <= origin[0] + width
-        && origin[1] <= y
-        && y <= origin[1] + height;
+      const [localX, localY] = toLocal([x, y], origin, rotation);
+      return localX >= 0 && localX <= width && localY >= 0 && localY <= height;
     }).map(({ renderProps, ...other }) => {
       /**
        * Internal render properties should not expose.
@@ -195,34 +718,318 @@ class Grid {
   }
 
   /**
-   * Render grids one by one.
+   * Render a single grid and index it by its bounding box.
+   * Region limits the area grid image is copied to. i.e. [minX, minY, maxX, maxY].
+   */
+  renderItem(eachGrid, region) {
+    const {
+      borderColor = 'black',
+      borderDash,
+      borderRadius,
+      borderWidth,
+      color,
+      height = 0,
+      origin,
+      value,
+      width = 0,
+    } = eachGrid;
+
+    /**
+     * Colour is given by grid, or mapped from grid value by colour scale.
+     */
+    let internalColor = color;
+    if (internalColor === void 0) {
+      internalColor = isNullVoid(this.colorScale) ? 'black' : this.colorScale.getColor(value);
+    }
+
+    /**
+     * Project grid to canvas. Grid sizes are in data units, therefore, they always scale with
+     * viewport zoom.
+     */
+    Grid.render(
+      eachGrid, this.ctx, this.cache, this.cacheCanvas, this.cacheCtx,
+      borderColor, internalColor, this.dpr,
+      height * this.viewport.scale,
+      this.viewport.toScreen(origin),
+      this.viewport.rotation,
+      width * this.viewport.scale,
+      { borderDash, borderRadius, borderWidth },
+      region,
+      [0, 0, this.width, this.height],
+    );
+
+    /**
+     * Grids which are not drawn don't have bounding boxes. Culled grids are not drawn either.
+     */
+    if (isNullVoid(eachGrid.renderProps.boundingBox) || eachGrid.renderProps.culled) {
+      this.spatialIndex.remove(eachGrid);
+    } else {
+      this.spatialIndex.insert(eachGrid, eachGrid.renderProps.boundingBox);
+    }
+  }
+
+  /**
+   * Render lattice in one pass. Lattice is projected to canvas the same as grids.
+   */
+  renderLattice() {
+    const {
+      cellHeight,
+      cellWidth,
+      columns,
+      origin,
+      rows,
+    } = this.lattice;
+
+    Grid.renderLattice(
+      this.lattice, this.ctx, this.cacheCanvas, this.cacheCtx,
+      (row, column) => this.getRGBA(this.getLatticeColor(row, column)),
+      cellHeight * this.viewport.scale,
+      cellWidth * this.viewport.scale,
+      columns,
+      this.dpr,
+      this.viewport.toScreen(origin),
+      this.viewport.rotation,
+      rows,
+      [0, 0, this.width, this.height],
+    );
+  }
+
+  /**
+   * Render grids one by one, or lattice if it is defined.
    * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of grids, or lattice cells, culled outside canvas.
+   * i.e. { culled: 3 }.
    */
   render() {
-    return this.scheduler.execute(this.data, (eachGrid) => {
-      const {
-        borderColor = 'black',
-        color = 'black',
-        height = 0,
-        origin,
-        width = 0,
-      } = eachGrid;
+    this.resolveColorScale();
 
-      /**
-       * Assign default values.
-       */
-      eachGrid.height = height;
-      eachGrid.width = width;
+    if (!isNullVoid(this.workerLayer)) {
+      return this.workerLayer.render(this.data, this.viewport, this.spatialIndex);
+    }
 
-      Grid.render(
-        eachGrid, this.ctx, this.cache, this.cacheCanvas, this.cacheCtx,
-        borderColor, color, this.dpr, height, origin, width,
-      );
+    /**
+     * Grids rendered previously are no longer on canvas.
+     */
+    this.spatialIndex.clear();
+
+    if (!isNullVoid(this.lattice)) {
+      return this.scheduler.execute([this.lattice], () => this.renderLattice()).then(() => {
+        return {
+          culled: this.lattice.renderProps.culled || 0,
+        };
+      });
+    }
+
+    return this.scheduler.execute(this.data, (eachGrid) => this.renderItem(eachGrid)).then(() => {
+      return {
+        culled: this.data.filter(({ renderProps }) => renderProps.culled).length,
+      };
     });
   }
+
+  /**
+   * Clear the given bounding box and redraw grids inside it once previous redraws complete.
+   * Grids in the given list are always rendered so that their render properties are refreshed.
+   */
+  redraw(boundingBox, grids = []) {
+    /**
+     * Canvas is controlled by worker, therefore, changes are rendered fully in worker.
+     */
+    if (!isNullVoid(this.workerLayer)) {
+      return this.workerLayer.requestRender(() => [this.data, this.viewport, this.spatialIndex]);
+    }
+
+    /**
+     * Lattice is written in one pass, therefore, it is always rendered fully.
+     */
+    if (!isNullVoid(this.lattice)) {
+      const redrawing = this.redrawing.then(() => this.render());
+      this.redrawing = redrawing.catch(() => {});
+      return redrawing;
+    }
+
+    const redrawing = this.redrawing.then(() => redrawRegion(
+      this.ctx, this.data, this.spatialIndex, boundingBox, grids,
+      (eachGrid, region) => this.renderItem(eachGrid, region),
+    ));
+    /**
+     * A failed redraw should not block the following redraws.
+     */
+    this.redrawing = redrawing.catch(() => {});
+    return redrawing;
+  }
+
+  /**
+   * Redraw where the grid was and then where the grid is.
+   */
+  async redrawGrid(grid, previousBoundingBox) {
+    await this.redraw(previousBoundingBox, [grid]);
+
+    const boundingBox = getBoundingBox(grid);
+    if (!isNullVoid(boundingBox)) {
+      await this.redraw(boundingBox);
+    }
+  }
+
+  /**
+   * Append grids to data and draw them without redrawing the whole canvas.
+   */
+  add(grids) {
+    this.data = [...this.data, ...grids];
+    return Promise.all(grids.map((grid) => this.redrawGrid(grid)));
+  }
+
+  /**
+   * Apply patch to the grid with the given id and redraw only the affected area.
+   */
+  update(id, patch) {
+    const grid = this.data.find((eachGrid) => eachGrid.id === id);
+    if (isNullVoid(grid)) return Promise.resolve();
+
+    const previousBoundingBox = getBoundingBox(grid);
+    Object.assign(grid, patch);
+    return this.redrawGrid(grid, previousBoundingBox);
+  }
+
+  /**
+   * Remove the grid with the given id and redraw only the area it used to cover.
+   */
+  remove(id) {
+    const grid = this.data.find((eachGrid) => eachGrid.id === id);
+    if (isNullVoid(grid)) return Promise.resolve();
+
+    this.data = this.data.filter((eachGrid) => eachGrid !== grid);
+    this.spatialIndex.remove(grid);
+    return this.redraw(getBoundingBox(grid));
+  }
+
+  /**
+   * Replace data with a new list of grids keyed by id, and redraw only grids which are added,
+   * removed or updated. Canvas is fully rendered if the order of existing grids changes.
+   */
+  setData(data) {
+    const {
+      added,
+      removed,
+      reordered,
+      unchanged,
+      updated,
+    } = diffData(this.data, data);
+
+    if (reordered) {
+      this.data = data;
+      return this.render();
+    }
+
+    /**
+     * New grid objects take over render properties and index entries from the previous ones.
+     */
+    [...unchanged, ...updated].forEach(([previousGrid, nextGrid]) => {
+      nextGrid.renderProps = previousGrid.renderProps;
+      this.spatialIndex.replace(previousGrid, nextGrid);
+    });
+    removed.forEach((grid) => {
+      this.spatialIndex.remove(grid);
+    });
+
+    this.data = data;
+
+    return Promise.all([
+      ...removed.map((grid) => this.redraw(getBoundingBox(grid))),
+      ...updated.map(([previousGrid, nextGrid]) => {
+        return this.redrawGrid(nextGrid, getBoundingBox(previousGrid));
+      }),
+      ...added.map((grid) => this.redrawGrid(grid)),
+    ]);
+  }
+
+  /**
+   * Draw grids of the last render on the given context in the same order. Context is either a
+   * canvas context, i.e. to export images, or an SVG context.
+   */
+  replay(ctx) {
+    if (!isNullVoid(this.lattice)) {
+      this.replayLattice(ctx);
+      return;
+    }
+
+    this.data.forEach(({ renderProps }) => {
+      if (isNullVoid(renderProps)
+        || isNullVoid(renderProps.boundingBox)
+        || renderProps.culled) return;
+      Grid.draw(ctx, renderProps);
+    });
+  }
+
+  /**
+   * Draw lattice cells of the last render on the given context. Adjacent cells of the same colour
+   * in a row are drawn as one rectangle.
+   */
+  replayLattice(ctx) {
+    const { renderProps } = this.lattice;
+    if (isNullVoid(renderProps) || isNullVoid(renderProps.boundingBox)) return;
+
+    const {
+      cellHeight,
+      cellWidth,
+      columns,
+      origin,
+      rotation = 0,
+      rows,
+    } = renderProps;
+
+    /**
+     * Rotated lattice is drawn in a coordinate system which rotates about its origin.
+     */
+    ctx.save();
+    let [originX, originY] = origin;
+    if (rotation !== 0) {
+      ctx.translate(originX, originY);
+      ctx.rotate(rotation);
+      [originX, originY] = [0, 0];
+    }
+
+    for (let row = 0; row < rows; row += 1) {
+      let startColumn = 0;
+      let color = this.getLatticeColor(row, 0);
+      for (let column = 1; column <= columns; column += 1) {
+        const nextColor = column === columns ? void 0 : this.getLatticeColor(row, column);
+        if (column === columns || nextColor !== color) {
+          if (!isNullVoid(color)) {
+            ctx.fillStyle = color;
+            ctx.fillRect(
+              originX + startColumn * cellWidth, originY + row * cellHeight,
+              (column - startColumn) * cellWidth, cellHeight,
+            );
+          }
+          startColumn = column;
+          color = nextColor;
+        }
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Return an SVG document of grids drawn by the last render, see SVGContext. Render
+   * properties are replayed so that the document looks the same as canvas.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+    this.replay(ctx);
+    return ctx.toString();
+  }
 }
 
 Grid.propTypes = {
+  /**
+   * Limits of grid image cache, see LRUCache. Images used least recently are evicted first.
+   * Default { maxBytes: 64 * 1024 * 1024 }.
+   */
+  cacheLimit: PropTypes.shape({
+    maxBytes: PropTypes.number,
+    maxEntries: PropTypes.number,
+  }),
   /**
    * Grids are drawn on this canvas.
    */
@@ -235,13 +1042,47 @@ Grid.propTypes = {
    */
   data: PropTypes.arrayOf(PropTypes.shape({
     /**
-     * Grid border colour.
+     * Grid border colour of all sides, or of single sides, i.e. { top: 'grey', left: 'grey' }.
+     * Sides which are not given have no border.
      * Default black.
      */
-    borderColor: PropTypes.string,
+    borderColor: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.shape({
+        bottom: PropTypes.string,
+        left: PropTypes.string,
+        right: PropTypes.string,
+        top: PropTypes.string,
+      }),
+    ]),
     /**
-     * Grid fill colour.
-     * Default black.
+     * Border dash pattern in CSS pixels, i.e. [4, 2]. Solid border if it is empty.
+     * Default [].
+     */
+    borderDash: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Radius of grid corners in CSS pixels. Fill and borders are clipped to rounded corners.
+     * Default 0.
+     */
+    borderRadius: PropTypes.number,
+    /**
+     * Border width in CSS pixels of all sides, or of single sides, i.e. { top: 1, left: 1 }.
+     * Borders are drawn inside grid, therefore, adjacent grids never overlap. Sides which are not
+     * given have no border.
+     * Default 1.
+     */
+    borderWidth: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.shape({
+        bottom: PropTypes.number,
+        left: PropTypes.number,
+        right: PropTypes.number,
+        top: PropTypes.number,
+      }),
+    ]),
+    /**
+     * Grid fill colour. It takes precedence over colour mapped from value.
+     * Default black, or colour of value if scale is defined.
      */
     color: PropTypes.string,
     /**
@@ -249,10 +1090,20 @@ Grid.propTypes = {
      * Default 0.
      */
     height: PropTypes.number,
+    /**
+     * Unique key of the grid. It is required by add, update, remove and setData which redraw
+     * single grids without redrawing the whole canvas.
+     */
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
     /**
      * Grid top left corner geometry location.
      */
     origin: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * Metric of the grid which is mapped to fill colour by scale. Values which are not numbers
+     * take null colour of scale.
+     */
+    value: PropTypes.number,
     /**
      * Grid width.
      * Default 0.
@@ -274,10 +1125,76 @@ Grid.propTypes = {
    * Canvas height.
    */
   height: PropTypes.number.isRequired,
+  /**
+   * Lattice of rows by columns cells which takes the place of data. Lattice is rendered in one
+   * pass, therefore, it suits dense grids, i.e. 500 by 500 cells. findByPosition returns the cell
+   * at the given position, i.e. [{ col, row, value }]. Lattice can't be combined with worker
+   * because its functions can't be posted, and config throws if both are defined.
+   */
+  lattice: PropTypes.shape({
+    /**
+     * Cell height in data coordinate system.
+     */
+    cellHeight: PropTypes.number.isRequired,
+    /**
+     * Cell width in data coordinate system.
+     */
+    cellWidth: PropTypes.number.isRequired,
+    /**
+     * The number of columns.
+     */
+    columns: PropTypes.number.isRequired,
+    /**
+     * Return CSS colour of the cell at the given row and column, null if the cell is not drawn.
+     * It takes precedence over colour mapped from getValue.
+     */
+    getColor: PropTypes.func,
+    /**
+     * Return value of the cell at the given row and column, which is mapped to colour by scale.
+     */
+    getValue: PropTypes.func,
+    /**
+     * Top left corner of lattice in data coordinate system.
+     */
+    origin: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * The number of rows.
+     */
+    rows: PropTypes.number.isRequired,
+  }),
+  /**
+   * Map grid values to fill colours, i.e. { type: 'quantize', colors: ['#fee', '#f00'] }. See
+   * ColorScale for scale types. Resolved scale is exposed as colorScale, whose getLegend returns
+   * colours and ranges to draw a legend.
+   */
+  scale: PropTypes.shape({
+    colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+    domain: PropTypes.arrayOf(PropTypes.number),
+    nullColor: PropTypes.string,
+    type: PropTypes.oneOf(['linear', 'quantize', 'quantile', 'threshold']),
+  }),
+  /**
+   * Viewport shared by layers to pan and zoom. Data coordinates are projected through viewport,
+   * therefore, render properties and findByPosition are in canvas CSS pixels. Grid sizes are in
+   * data units and always scale with zoom.
+   * Grids and lattice rotate with viewport about their origins. Rotated grids are drawn as paths
+   * instead of cached images.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
   /**
    * Canvas width.
    */
   width: PropTypes.number.isRequired,
+  /**
+   * Render grids in a web worker, see WorkerHost. Canvas is transferred to worker, therefore,
+   * it can no longer be drawn on the main thread. findByPosition still works on the main thread
+   * with render properties returned by worker. Data must be cloneable. Config throws if lattice is
+   * defined as well.
+   * Transferred canvas stays with worker. Config throws if worker is removed or replaced while
+   * canvas stays the same, therefore, configure another canvas to leave worker mode.
+   */
+  worker: PropTypes.object,
 };
 
 export default Grid;
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+import Platform from '../Platform';
+import createCanvas from '../testing/createCanvas';
+import Viewport from '../Viewport';
+import Grid from '.';
+
+describe('Grid', () => {
+  beforeEach(() => {
+    Platform.global.config({
+      createCanvas: () => createCanvas(),
+      requestFrame: (callback) => {
+        const id = setTimeout(() => callback({ timeRemaining: () => 1000 }), 0);
+        return () => clearTimeout(id);
+      },
+    });
+  });
+
+  afterEach(() => {
+    Platform.global.config({});
+  });
+
+  it('renders grids scaled by viewport zoom and finds them by position', async () => {
+    const grid = new Grid({
+      canvas: createCanvas(),
+      data: [{ height: 10, origin: [10, 10], width: 10 }],
+      height: 100,
+      viewport: new Viewport({ scale: 2 }),
+      width: 100,
+    });
+
+    await expect(grid.render()).resolves.toEqual({ culled: 0 });
+    expect(grid.data[0].renderProps.boundingBox).toEqual([20, 20, 40, 40]);
+    expect(grid.findByPosition({ x: 30, y: 30 })).toEqual([
+      { height: 10, origin: [10, 10], width: 10 },
+    ]);
+  });
+
+  it('keeps default values out of data', async () => {
+    const data = [{ color: 'red', origin: [10, 10] }];
+    const grid = new Grid({
+      canvas: createCanvas(),
+      data,
+      height: 100,
+      width: 100,
+    });
+
+    await grid.render();
+
+    expect(Object.keys(data[0])).toEqual(['color', 'origin', 'renderProps']);
+  });
+
+  it('draws grids rotated with viewport and finds them by rotated sides', async () => {
+    const canvas = createCanvas();
+    const grid = new Grid({
+      canvas,
+      data: [{ height: 10, id: 1, origin: [0, 0], width: 20 }],
+      height: 100,
+      viewport: new Viewport({ rotation: Math.PI / 2, translate: [50, 50] }),
+      width: 100,
+    });
+
+    await expect(grid.render()).resolves.toEqual({ culled: 0 });
+
+    /**
+     * Grid is drawn as a path in a coordinate system rotated about its origin, and it spans
+     * [40, 50] to [50, 70] on canvas.
+     */
+    expect(canvas.ctx.calls).toContainEqual(['translate', 50, 50]);
+    expect(canvas.ctx.calls).toContainEqual(['rotate', Math.PI / 2]);
+    expect(canvas.ctx.calls.map(([name]) => name)).not.toContain('putImageData');
+    grid.data[0].renderProps.boundingBox.forEach((value, index) => {
+      expect(value).toBeCloseTo([40, 50, 50, 70][index]);
+    });
+    expect(grid.findByPosition({ x: 45, y: 65 })).toHaveLength(1);
+    expect(grid.findByPosition({ x: 55, y: 55 })).toHaveLength(0);
+
+    await grid.add([{ height: 5, id: 2, origin: [30, 0], width: 5 }]);
+    expect(grid.findByPosition({ x: 47, y: 82 }).map(({ id }) => id)).toEqual([2]);
+  });
+
+  it('draws lattice rotated with viewport and finds cells by rotated position', async () => {
+    const canvas = createCanvas();
+    const grid = new Grid({
+      canvas,
+      height: 100,
+      lattice: {
+        cellHeight: 10,
+        cellWidth: 10,
+        columns: 2,
+        getColor: () => 'red',
+        origin: [0, 0],
+        rows: 1,
+      },
+      viewport: new Viewport({ rotation: Math.PI / 2, translate: [50, 50] }),
+      width: 100,
+    });
+
+    await expect(grid.render()).resolves.toEqual({ culled: 0 });
+
+    expect(canvas.ctx.calls).toContainEqual(['rotate', Math.PI / 2]);
+    expect(canvas.ctx.calls).toContainEqual(['drawImage', grid.cacheCanvas, 0, 0, 20, 10]);
+    expect(grid.findByPosition({ x: 45, y: 65 })).toEqual([{ col: 1, row: 0, value: undefined }]);
+    expect(grid.findByPosition({ x: 55, y: 55 })).toEqual([]);
+  });
+});
@@ -0,0 +1,426 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import Platform from '../Platform';
+import Scheduler from '../Scheduler';
+import Viewport from '../Viewport';
+
+/**
+ * Default colour gradient maps intensity from 0 to 1 to colours.
+ */
+const DEFAULT_GRADIENT = {
+  0.4: 'blue',
+  0.6: 'cyan',
+  0.7: 'lime',
+  0.8: 'yellow',
+  1: 'red',
+};
+
+class Heatmap {
+  /**
+   * Accumulate a single weighted point on the given intensity canvas context.
+   * Intensity canvas is not scaled by DPR, therefore, position and stamp radius, which is the
+   * radius of blurred circle including blur, are in device pixels.
+   * Points are drawn as blurred circles whose alpha is proportional to weight, so that
+   * overlapping points accumulate alpha.
+   * Point is culled if its blurred circle is entirely outside the visible bounding box, which is in
+   * device pixels as well.
+   */
+  static render(
+    pointObject, ctx, stamp, maxIntensity, position, stampRadius, weight, visibleBoundingBox,
+  ) {
+    /**
+     * Round number values because decimal points significantly affects canvas performance.
+     */
+    const internalPosition = [Math.round(position[0]), Math.round(position[1])];
+
+    /**
+     * Persist render properties. Render properties are processed via use defined properties, i.e.
+     * rounding decimal points, and are passed to canvas render APIs directly.
+     */
+    const renderProps = {
+      alpha: Math.min(Math.max(weight / maxIntensity, 0), 1),
+      position: internalPosition,
+    };
+    pointObject.renderProps = renderProps;
+
+    /**
+     * Skip if it doesn't have weight.
+     */
+    if (renderProps.alpha === 0) return;
+
+    /**
+     * Skip if it is entirely outside the visible area.
+     */
+    if (!isNullVoid(visibleBoundingBox) && !isOverlapping([
+      renderProps.position[0] - stampRadius,
+      renderProps.position[1] - stampRadius,
+      renderProps.position[0] + stampRadius,
+      renderProps.position[1] + stampRadius,
+    ], visibleBoundingBox)) {
+      renderProps.culled = true;
+      return;
+    }
+
+    ctx.globalAlpha = renderProps.alpha;
+    ctx.drawImage(
+      stamp,
+      renderProps.position[0] - stampRadius,
+      renderProps.position[1] - stampRadius,
+    );
+  }
+
+  /**
+   * Draw a blurred circle on the given canvas and return it.
+   * Canvas size is the blurred circle size. Circle is drawn outside canvas and only its shadow is
+   * visible so that shadow is not covered by the solid circle.
+   */
+  static renderStamp(canvas, ctx, blur, radius) {
+    const outerRadius = radius + blur;
+
+    canvas.width = outerRadius * 2;
+    canvas.height = outerRadius * 2;
+
+    ctx.shadowOffsetX = outerRadius * 2;
+    ctx.shadowOffsetY = outerRadius * 2;
+    ctx.shadowBlur = blur;
+    ctx.shadowColor = 'black';
+
+    ctx.beginPath();
+    ctx.arc(-outerRadius, -outerRadius, radius, 0, Math.PI * 2, true);
+    ctx.closePath();
+    ctx.fill();
+
+    return canvas;
+  }
+
+  /**
+   * Return a list of 256 RGBA colours, 1024 numbers, interpolated from the given gradient.
+   */
+  static renderPalette(canvas, ctx, gradient) {
+    canvas.width = 1;
+    canvas.height = 256;
+
+    const linearGradient = ctx.createLinearGradient(0, 0, 0, 256);
+    Object.keys(gradient).forEach((stop) => {
+      linearGradient.addColorStop(Number(stop), gradient[stop]);
+    });
+
+    ctx.fillStyle = linearGradient;
+    ctx.fillRect(0, 0, 1, 256);
+
+    return ctx.getImageData(0, 0, 1, 256).data;
+  }
+
+  constructor(props = {}) {
+    /**
+     * Save props.
+     */
+    this.config(props);
+    /**
+     * Points are accumulated on an offscreen canvas first, then colourised and finally copied
+     * to the visible screen canvas.
+     */
+    this.cacheCanvas = Platform.global.createCanvas();
+    this.cacheCtx = this.cacheCanvas.getContext('2d');
+    /**
+     * Blurred circle drawn for each point. It is drawn once at the beginning of every render.
+     */
+    this.stampCanvas = Platform.global.createCanvas();
+    this.stampCtx = this.stampCanvas.getContext('2d');
+    /**
+     * Gradient is drawn on this canvas to interpolate colours.
+     */
+    this.paletteCanvas = Platform.global.createCanvas();
+    this.paletteCtx = this.paletteCanvas.getContext('2d');
+    /**
+     * Scheduler helps to split a time consuming function to be executed in multiple frames.
+     * In this way, time consuming function won't block UI thread.
+     */
+    this.scheduler = new Scheduler();
+  }
+
+  /**
+   * Update ctx and dataset.
+   */
+  config(props) {
+    const {
+      blur = 15,
+      canvas,
+      data = [],
+      dpr = 1,
+      gradient = DEFAULT_GRADIENT,
+      height,
+      maxIntensity = 1,
+      radius = 25,
+      scaleWithZoom = true,
+      viewport = new Viewport(),
+      width,
+    } = props;
+
+    /**
+     * These are required properties.
+     */
+    if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
+
+    this.dpr = dpr;
+
+    /**
+     * We will manipulate canvas context later.
+     */
+    this.ctx = canvas.getContext('2d');
+    /**
+     * Clear canvas. Always clear canvas before render.
+     * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
+     * by half shall we have sharp images.
+     * Change canvas width restores canvas scale. Always set the correct scale so that callers are
+     * unaware of the implementation details of DPR.
+     */
+    canvas.height = height * this.dpr;
+    canvas.width = width * this.dpr;
+    this.ctx.scale(this.dpr, this.dpr);
+
+    this.blur = blur;
+    this.data = data;
+    this.gradient = gradient;
+    this.height = height;
+    this.maxIntensity = maxIntensity;
+    this.radius = radius;
+    /**
+     * Whether radius and blur scale with viewport zoom or stay fixed in CSS pixels.
+     */
+    this.scaleWithZoom = scaleWithZoom;
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
+    this.width = width;
+    /**
+     * Accumulated alpha of every device pixel, and the size of intensity canvas, after render
+     * completes. findByPosition reads intensity from it.
+     */
+    this.intensity = void 0;
+  }
+
+  /**
+   * Release offscreen canvases and intensity of the last render. Canvases of zero size free their
+   * memory. They are sized again at next render, and findByPosition finds no intensity until
+   * then.
+   */
+  clearCache() {
+    [this.cacheCanvas, this.stampCanvas, this.paletteCanvas].forEach((canvas) => {
+      canvas.width = 0;
+      canvas.height = 0;
+    });
+
+    this.intensity = void 0;
+  }
+
+  /**
+   * Cancel pending render and release offscreen canvases.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.clearCache();
+
+    this.data = [];
+  }
+
+  /**
+   * Return a list containing the intensity at the given position, empty if there is no
+   * intensity. i.e. [{ intensity: 0.5 }].
+   * Intensity is bilinearly interpolated from the four device pixels around the position.
+   */
+  findByPosition({ x, y }) {
+    /**
+     * This scenario happens if mouse event triggers before render completes.
+     */
+    if (isNullVoid(this.intensity)) return [];
+
+    const { height: pixelHeight, width: pixelWidth } = this.intensity;
+    /**
+     * Pixel values are sampled at pixel centres.
+     */
+    const pixelX = Math.min(Math.max(x * this.dpr - 0.5, 0), pixelWidth - 1);
+    const pixelY = Math.min(Math.max(y * this.dpr - 0.5, 0), pixelHeight - 1);
+    const left = Math.floor(pixelX);
+    const top = Math.floor(pixelY);
+    const right = Math.min(left + 1, pixelWidth - 1);
+    const bottom = Math.min(top + 1, pixelHeight - 1);
+    const dx = pixelX - left;
+    const dy = pixelY - top;
+
+    const getAlpha = (column, row) => this.intensity.alpha[row * pixelWidth + column];
+    const alpha = getAlpha(left, top) * (1 - dx) * (1 - dy)
+      + getAlpha(right, top) * dx * (1 - dy)
+      + getAlpha(left, bottom) * (1 - dx) * dy
+      + getAlpha(right, bottom) * dx * dy;
+
+    if (alpha === 0) return [];
+
+    return [{ intensity: (alpha / 255) * this.maxIntensity }];
+  }
+
+  /**
+   * Accumulate a single point on the intensity canvas.
+   * Stamp radius is the radius of blurred circle including blur in device pixels.
+   */
+  renderItem(eachPoint, stampRadius) {
+    const {
+      position,
+      weight = 1,
+    } = eachPoint;
+
+    /**
+     * Project point to canvas and scale by DPR.
+     */
+    const [screenX, screenY] = this.viewport.toScreen(position);
+
+    Heatmap.render(
+      eachPoint, this.cacheCtx, this.stampCanvas, this.maxIntensity,
+      [screenX * this.dpr, screenY * this.dpr], stampRadius, weight,
+      [0, 0, this.cacheCanvas.width, this.cacheCanvas.height],
+    );
+  }
+
+  /**
+   * Accumulate points one by one, then colourise accumulated alpha by gradient and draw.
+   * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of points culled outside canvas. i.e. { culled: 3 }.
+   */
+  render() {
+    const sizeScale = this.scaleWithZoom ? this.viewport.scale : 1;
+    /**
+     * Stamp is drawn in device pixels.
+     */
+    const blur = Math.round(this.blur * sizeScale * this.dpr);
+    const radius = Math.round(this.radius * sizeScale * this.dpr);
+
+    Heatmap.renderStamp(this.stampCanvas, this.stampCtx, blur, radius);
+
+    /**
+     * Clear intensity canvas and adjust the size to the visible canvas.
+     */
+    this.cacheCanvas.width = this.width * this.dpr;
+    this.cacheCanvas.height = this.height * this.dpr;
+
+    return this.scheduler.execute(this.data, (eachPoint) => {
+      return this.renderItem(eachPoint, radius + blur);
+    }).then(() => {
+      this.colourise();
+      return {
+        culled: this.data.filter(({ renderProps }) => renderProps.culled).length,
+      };
+    });
+  }
+
+  /**
+   * Colour accumulated alpha by gradient and copy the result to the visible canvas.
+   */
+  colourise() {
+    const palette = Heatmap.renderPalette(this.paletteCanvas, this.paletteCtx, this.gradient);
+    const image = this.cacheCtx.getImageData(
+      0, 0, this.cacheCanvas.width, this.cacheCanvas.height,
+    );
+    const pixels = image.data;
+
+    const intensity = new Uint8ClampedArray(pixels.length / 4);
+
+    for (let index = 0; index < intensity.length; index += 1) {
+      const alpha = pixels[index * 4 + 3];
+      intensity[index] = alpha;
+
+      if (alpha !== 0) {
+        pixels[index * 4] = palette[alpha * 4];
+        pixels[index * 4 + 1] = palette[alpha * 4 + 1];
+        pixels[index * 4 + 2] = palette[alpha * 4 + 2];
+      }
+    }
+
+    this.intensity = {
+      alpha: intensity,
+      height: image.height,
+      width: image.width,
+    };
+
+    /**
+     * Put image data method is not affected by ctx.scale.
+     */
+    this.ctx.putImageData(image, 0, 0);
+  }
+}
+
+Heatmap.propTypes = {
+  /**
+   * Blur radius in CSS pixels around each point.
+   * Default 15.
+   */
+  blur: PropTypes.number,
+  /**
+   * Heatmap is drawn on this canvas.
+   */
+  canvas: PropTypes.object.isRequired,
+  /**
+   * A list of weighted points.
+   * Internally, there is a renderProps property which persists properties calling canvas APIs.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Point position. i.e. [x, y].
+     */
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * Point weight.
+     * Default 1.
+     */
+    weight: PropTypes.number,
+  })),
+  /**
+   * Device pixel ratio.
+   * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
+   * by half shall we have sharp images. It is caller's duty to scale down canvas area to
+   * device screen size by setting CSS.
+   * https://www.html5rocks.com/en/tutorials/canvas/hidpi
+   * Default 1.
+   * I don't want to expose the implementation details of supporting high DPR devices to the user.
+   * Therefore, all configuration properties have unit of CSS pixel.
+   */
+  dpr: PropTypes.number,
+  /**
+   * Colour gradient maps intensity ratio from 0 to 1 to colours.
+   * Default { 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1: 'red' }.
+   */
+  gradient: PropTypes.objectOf(PropTypes.string),
+  /**
+   * Canvas height.
+   */
+  height: PropTypes.number.isRequired,
+  /**
+   * Weight of a single point which reaches the end of gradient. Heavier points are clamped.
+   * Default 1.
+   */
+  maxIntensity: PropTypes.number,
+  /**
+   * Radius of the solid part of each point in CSS pixels, excluding blur.
+   * Default 25.
+   */
+  radius: PropTypes.number,
+  /**
+   * Whether radius and blur scale with viewport zoom. Set false to keep them fixed in
+   * CSS pixels no matter how viewport zooms.
+   * Default true.
+   */
+  scaleWithZoom: PropTypes.bool,
+  /**
+   * Viewport shared by layers to pan, zoom and rotate. Data coordinates are projected through
+   * viewport, therefore, findByPosition is in canvas CSS pixels.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
+  /**
+   * Canvas width.
+   */
+  width: PropTypes.number.isRequired,
+};
+
+export default Heatmap;
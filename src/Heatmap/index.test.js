@@ -0,0 +1,129 @@
+import createCanvas from '../testing/createCanvas';
+import mockIdleCallback from '../testing/mockIdleCallback';
+import Heatmap from '.';
+
+/**
+ * Offscreen canvases are created in this order: intensity, stamp and palette. Intensity canvas
+ * returns the given alpha of pixels, and palette maps alpha a to [a, 255 - a, 0, 255].
+ */
+function mockOffscreenCanvases(alpha = []) {
+  const canvases = {
+    intensity: createCanvas({
+      getImageData: (x, y, width, height) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        alpha.forEach((value, index) => {
+          data[index * 4 + 3] = value;
+        });
+        return { data, height, width };
+      },
+    }),
+    stamp: createCanvas(),
+    palette: createCanvas({
+      getImageData: () => {
+        const data = new Uint8ClampedArray(256 * 4);
+        data.forEach((value, index) => {
+          const channel = index % 4;
+          const entry = (index - channel) / 4;
+          data[index] = [entry, 255 - entry, 0, 255][channel];
+        });
+        return { data, height: 256, width: 1 };
+      },
+    }),
+  };
+  const queue = [canvases.intensity, canvases.stamp, canvases.palette];
+  jest.spyOn(document, 'createElement').mockImplementation(() => queue.shift());
+  return canvases;
+}
+
+describe('Heatmap', () => {
+  let restoreIdleCallback;
+
+  beforeEach(() => {
+    restoreIdleCallback = mockIdleCallback();
+  });
+
+  afterEach(() => {
+    restoreIdleCallback();
+    jest.restoreAllMocks();
+  });
+
+  it('accumulates points as stamps whose alpha is proportional to weight', async () => {
+    const { intensity, stamp } = mockOffscreenCanvases();
+    const heatmap = new Heatmap({
+      blur: 5,
+      canvas: createCanvas(),
+      data: [
+        { position: [10, 10], weight: 1 },
+        { position: [20, 10] },
+        { position: [30, 10], weight: 0 },
+      ],
+      dpr: 2,
+      height: 50,
+      maxIntensity: 2,
+      radius: 5,
+      width: 50,
+    });
+
+    await heatmap.render();
+
+    /**
+     * Stamp radius is radius and blur in device pixels.
+     */
+    expect([stamp.width, stamp.height]).toEqual([40, 40]);
+    expect([intensity.width, intensity.height]).toEqual([100, 100]);
+    expect(intensity.ctx.calls.filter(([name]) => {
+      return name === 'globalAlpha' || name === 'drawImage';
+    })).toEqual([
+      ['globalAlpha', 0.5],
+      ['drawImage', stamp, 0, 0],
+      ['globalAlpha', 0.5],
+      ['drawImage', stamp, 20, 0],
+    ]);
+  });
+
+  it('colourises accumulated alpha by gradient and finds intensity by position', async () => {
+    mockOffscreenCanvases([0, 255, 51, 0]);
+    const canvas = createCanvas();
+    const heatmap = new Heatmap({
+      canvas,
+      data: [{ position: [1, 0] }],
+      height: 1,
+      maxIntensity: 2,
+      width: 4,
+    });
+
+    await heatmap.render();
+
+    const [, image] = canvas.ctx.calls.find(([name]) => name === 'putImageData');
+    expect(Array.from(image.data)).toEqual([
+      0, 0, 0, 0,
+      255, 0, 0, 255,
+      51, 204, 0, 51,
+      0, 0, 0, 0,
+    ]);
+    expect(heatmap.findByPosition({ x: 1.5, y: 0.5 })).toEqual([{ intensity: 2 }]);
+    expect(heatmap.findByPosition({ x: 2, y: 0.5 })[0].intensity).toBeCloseTo(1.2);
+    expect(heatmap.findByPosition({ x: 0.5, y: 0.5 })).toEqual([]);
+  });
+
+  it('releases offscreen canvases and intensity until next render', async () => {
+    const { intensity, palette, stamp } = mockOffscreenCanvases([255]);
+    const heatmap = new Heatmap({
+      canvas: createCanvas(),
+      data: [{ position: [0, 0] }],
+      height: 1,
+      width: 1,
+    });
+    await heatmap.render();
+
+    heatmap.clearCache();
+
+    [intensity, palette, stamp].forEach((canvas) => {
+      expect([canvas.width, canvas.height]).toEqual([0, 0]);
+    });
+    expect(heatmap.findByPosition({ x: 0.5, y: 0.5 })).toEqual([]);
+
+    await heatmap.render();
+    expect(heatmap.findByPosition({ x: 0.5, y: 0.5 })).toEqual([{ intensity: 1 }]);
+  });
+});
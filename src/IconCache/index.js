@@ -0,0 +1,224 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+import LRUCache from '../LRUCache';
+import Platform from '../Platform';
+import withTimeout from '../utils/withTimeout';
+
+/**
+ * Release memory of an image bitmap without waiting for garbage collection. Other images are left
+ * to garbage collection.
+ */
+function closeImage(image) {
+  if (typeof image.close === 'function') image.close();
+}
+
+/**
+ * IconCache loads icon images via Platform loadImage and keeps them in an LRUCache. We load the
+ * same icon for only once by memorising its image at the first time of appearance and duplicate
+ * that image next time the exact icon appears again.
+ * Draws retain the icons they use. Image bitmaps are closed once they are evicted so that their
+ * memory is released without waiting for garbage collection. A closed bitmap can't be drawn,
+ * therefore, images of icons in use are closed after their draws complete.
+ */
+class IconCache {
+  constructor(props = {}) {
+    this.cache = new LRUCache();
+    /**
+     * Map icon to the promise of its image while it is loading so that draws of the same icon
+     * share a single load.
+     */
+    this.loading = new Map();
+    /**
+     * Map icon to the number of draws waiting for its image, and to images evicted from cache while
+     * they were in use. Evicted images are closed once their draws complete.
+     */
+    this.iconsInUse = new Map();
+    this.evictedInUse = new Map();
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Update limits and load timeout. Cache is usable again after destroy once it is configured.
+   */
+  config(props) {
+    const {
+      loadTimeout = 10000,
+      maxBytes,
+      maxEntries,
+    } = props;
+
+    /**
+     * Loads which complete after destroy don't fill cache again.
+     */
+    this.destroyed = false;
+    this.loadTimeout = loadTimeout;
+    /**
+     * Images are sized by their decoded pixels.
+     */
+    this.cache.config({
+      getSize: (image) => (image.width || 0) * (image.height || 0) * 4,
+      maxBytes,
+      maxEntries,
+      onEvict: (image, icon) => {
+        if (!this.iconsInUse.has(icon)) {
+          closeImage(image);
+          return;
+        }
+        this.evictedInUse.set(icon, [...(this.evictedInUse.get(icon) || []), image]);
+      },
+    });
+  }
+
+  /**
+   * Return cache statistics, see LRUCache.
+   */
+  getStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Return the cached image of the given icon without changing the order of use, undefined if it
+   * is not cached.
+   */
+  peek(icon) {
+    return this.cache.peek(icon);
+  }
+
+  /**
+   * Return a promise resolving with the image of the given icon. Cached image is used if there is
+   * one, and concurrent loads of the same icon share a single load. Promise rejects if icon fails
+   * to load or doesn't load within load timeout.
+   */
+  load(icon) {
+    const cachedImage = this.cache.get(icon);
+    if (!isNullVoid(cachedImage)) return Promise.resolve(cachedImage);
+
+    if (this.loading.has(icon)) return this.loading.get(icon);
+
+    const loading = withTimeout(
+      Platform.global.loadImage(icon), this.loadTimeout, `Timed out loading icon ${icon}`,
+    ).then((image) => {
+      /**
+       * Save image in cache. Images used least recently are evicted once cache is full.
+       */
+      if (!this.destroyed) this.cache.set(icon, image);
+      return image;
+    });
+    this.loading.set(icon, loading);
+
+    /**
+     * Load is forgotten once it settles, therefore, failed icons are loaded again next time.
+     */
+    const forget = () => {
+      if (this.loading.get(icon) === loading) this.loading.delete(icon);
+    };
+    loading.then(forget, forget);
+
+    return loading;
+  }
+
+  /**
+   * Load the given icons into cache ahead of draws. Return a promise resolving with the icons
+   * which fail to load, i.e. { failed: ['broken.png'] }.
+   */
+  preload(icons) {
+    const failed = [];
+    return Promise.all(icons.map((icon) => {
+      return this.load(icon).catch(() => {
+        failed.push(icon);
+      });
+    })).then(() => ({ failed }));
+  }
+
+  /**
+   * Call draw with a loadIcon function, and return what draw returns, a promise. Icons loaded via
+   * loadIcon are in use until the promise settles.
+   */
+  withIcons(draw) {
+    const icons = [];
+    const rendering = draw((icon) => {
+      this.retain(icon);
+      icons.push(icon);
+      return this.load(icon);
+    });
+
+    const release = () => {
+      icons.forEach((icon) => this.release(icon));
+    };
+    rendering.then(release, release);
+
+    return rendering;
+  }
+
+  /**
+   * Mark the given icon in use by one more draw.
+   */
+  retain(icon) {
+    this.iconsInUse.set(icon, (this.iconsInUse.get(icon) || 0) + 1);
+  }
+
+  /**
+   * Mark the given icon in use by one less draw. Images evicted meanwhile are closed once no draw
+   * uses the icon.
+   */
+  release(icon) {
+    /**
+     * Icons retained before destroy are no longer tracked.
+     */
+    if (!this.iconsInUse.has(icon)) return;
+
+    const count = this.iconsInUse.get(icon) - 1;
+    if (count > 0) {
+      this.iconsInUse.set(icon, count);
+      return;
+    }
+
+    this.iconsInUse.delete(icon);
+    (this.evictedInUse.get(icon) || []).forEach(closeImage);
+    this.evictedInUse.delete(icon);
+  }
+
+  /**
+   * Release cached images. Images of icons in use are closed after their draws complete.
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Release cached images, including images evicted while they were in use, and forget pending
+   * loads.
+   */
+  destroy() {
+    this.destroyed = true;
+    this.clear();
+
+    this.evictedInUse.forEach((images) => images.forEach(closeImage));
+    this.evictedInUse = new Map();
+    this.iconsInUse = new Map();
+    this.loading = new Map();
+  }
+}
+
+IconCache.propTypes = {
+  /**
+   * Loads which take longer than this timeout in milliseconds fail.
+   * Default 10000.
+   */
+  loadTimeout: PropTypes.number,
+  /**
+   * Maximum total size of images in bytes, see LRUCache.
+   * Default Infinity.
+   */
+  maxBytes: PropTypes.number,
+  /**
+   * Maximum number of images, see LRUCache.
+   * Default Infinity.
+   */
+  maxEntries: PropTypes.number,
+};
+
+export default IconCache;
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import Platform from '../Platform';
+import IconCache from '.';
+
+/**
+ * Image bitmap stand-in.
+ */
+function createBitmap(icon) {
+  return {
+    close() {
+      this.closed = true;
+    },
+    closed: false,
+    height: 1,
+    icon,
+    width: 1,
+  };
+}
+
+describe('IconCache', () => {
+  let loads;
+
+  beforeEach(() => {
+    loads = [];
+    Platform.global.config({
+      loadImage: (icon) => {
+        loads.push(icon);
+        if (icon.startsWith('broken')) return Promise.reject(new Error(`Failed ${icon}`));
+        if (icon.startsWith('slow')) return new Promise(() => {});
+        return Promise.resolve(createBitmap(icon));
+      },
+    });
+  });
+
+  afterEach(() => {
+    Platform.global.config({});
+  });
+
+  it('shares concurrent loads and loads failed icons again', async () => {
+    const iconCache = new IconCache({ loadTimeout: 10 });
+
+    const [a, sameA] = await Promise.all([iconCache.load('a.png'), iconCache.load('a.png')]);
+    await expect(iconCache.load('broken.png')).rejects.toThrow('Failed broken.png');
+    await expect(iconCache.load('broken.png')).rejects.toThrow();
+    await expect(iconCache.load('slow.png')).rejects.toThrow('Timed out loading icon slow.png');
+
+    expect(a).toBe(sameA);
+    expect(loads).toEqual(['a.png', 'broken.png', 'broken.png', 'slow.png']);
+    expect(iconCache.getStats()).toMatchObject({ entries: 1, misses: 5 });
+  });
+
+  it('preloads icons and reports those which fail', async () => {
+    const iconCache = new IconCache();
+
+    await expect(iconCache.preload(['a.png', 'broken.png'])).resolves.toEqual({
+      failed: ['broken.png'],
+    });
+    expect(iconCache.peek('a.png')).toMatchObject({ icon: 'a.png' });
+  });
+
+  it('closes evicted images only after draws using them complete', async () => {
+    const iconCache = new IconCache({ maxEntries: 1 });
+    let image;
+
+    await iconCache.withIcons(async (loadIcon) => {
+      image = await loadIcon('a.png');
+      /**
+       * Loading another icon evicts the image while it is still to be drawn.
+       */
+      await iconCache.load('b.png');
+      expect(iconCache.peek('a.png')).toBeUndefined();
+      expect(image.closed).toBe(false);
+    });
+
+    expect(image.closed).toBe(true);
+    expect(iconCache.iconsInUse.size).toBe(0);
+  });
+
+  it('releases images in use on destroy and keeps later loads out of cache', async () => {
+    const iconCache = new IconCache({ maxEntries: 1 });
+    const image = await iconCache.load('a.png');
+    iconCache.retain('a.png');
+    await iconCache.load('b.png');
+    let finishLoading;
+    Platform.global.config({
+      loadImage: (icon) => new Promise((resolve) => {
+        finishLoading = () => resolve(createBitmap(icon));
+      }),
+    });
+    const loading = iconCache.load('c.png');
+
+    iconCache.destroy();
+    finishLoading();
+    await loading;
+
+    expect(image.closed).toBe(true);
+    expect(iconCache.iconsInUse.size).toBe(0);
+    expect(iconCache.evictedInUse.size).toBe(0);
+    expect(iconCache.peek('c.png')).toBeUndefined();
+    expect(() => iconCache.release('a.png')).not.toThrow();
+  });
+});
@@ -0,0 +1,160 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+
+/**
+ * LRUCache keeps the most recently used entries within a maximum entry count and a maximum byte
+ * size. The least recently used entries are evicted first.
+ * Entries are kept in a map whose insertion order is the order of use, therefore, the first entry
+ * is always the least recently used one.
+ */
+class LRUCache {
+  constructor(props = {}) {
+    /**
+     * Map key to { size, value }.
+     */
+    this.entries = new Map();
+    /**
+     * Total size of all entries.
+     */
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Update limits. Entries exceeding new limits are evicted immediately.
+   */
+  config(props) {
+    const {
+      getSize = () => 0,
+      maxBytes = Infinity,
+      maxEntries = Infinity,
+      onEvict,
+    } = props;
+
+    this.getSize = getSize;
+    this.maxBytes = maxBytes;
+    this.maxEntries = maxEntries;
+    this.onEvict = onEvict;
+
+    this.evict();
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Return the value of the given key and mark it as the most recently used one. Return undefined
+   * if there is no such entry.
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses += 1;
+      return void 0;
+    }
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * Return the value of the given key without changing the order of use or statistics.
+   */
+  peek(key) {
+    return this.entries.has(key) ? this.entries.get(key).value : void 0;
+  }
+
+  /**
+   * Save value as the most recently used entry, and evict entries exceeding limits.
+   */
+  set(key, value) {
+    if (this.entries.has(key)) this.delete(key);
+
+    const size = this.getSize(value);
+    this.entries.set(key, { size, value });
+    this.bytes += size;
+
+    this.evict();
+  }
+
+  /**
+   * Remove the given entry and release its value.
+   */
+  delete(key) {
+    if (!this.entries.has(key)) return;
+
+    const { size, value } = this.entries.get(key);
+    this.entries.delete(key);
+    this.bytes -= size;
+
+    if (!isNullVoid(this.onEvict)) this.onEvict(value, key);
+  }
+
+  /**
+   * Remove all entries and release their values.
+   */
+  clear() {
+    Array.from(this.entries.keys()).forEach((key) => {
+      this.delete(key);
+    });
+  }
+
+  /**
+   * Remove the least recently used entries until limits are met. The most recently used entry is
+   * kept even if it alone exceeds maximum bytes, because it is about to be used.
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries
+      || (this.bytes > this.maxBytes && this.entries.size > 1)) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+  }
+
+  /**
+   * Return usage statistics, i.e. { bytes, entries, evictions, hits, misses }.
+   */
+  getStats() {
+    return {
+      bytes: this.bytes,
+      entries: this.entries.size,
+      evictions: this.evictions,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+LRUCache.propTypes = {
+  /**
+   * Return size of the given value in bytes.
+   * Default 0, which means byte size is not limited in effect.
+   */
+  getSize: PropTypes.func,
+  /**
+   * Maximum total size of entries in bytes.
+   * Default Infinity.
+   */
+  maxBytes: PropTypes.number,
+  /**
+   * Maximum number of entries.
+   * Default Infinity.
+   */
+  maxEntries: PropTypes.number,
+  /**
+   * Called with value and key of an entry which is evicted, deleted or cleared so that its
+   * resources can be released.
+   */
+  onEvict: PropTypes.func,
+};
+
+export default LRUCache;
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+import LRUCache from '.';
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entries beyond maximum entries', () => {
+    const onEvict = jest.fn();
+    const cache = new LRUCache({ maxEntries: 2, onEvict });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(onEvict.mock.calls).toEqual([[2, 'b']]);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.get('b')).toBe(void 0);
+    expect(cache.getStats()).toEqual({
+      bytes: 0,
+      entries: 2,
+      evictions: 1,
+      hits: 1,
+      misses: 1,
+    });
+  });
+
+  it('evicts entries beyond maximum bytes but keeps the most recent one', () => {
+    const cache = new LRUCache({ getSize: (value) => value, maxBytes: 10 });
+    cache.set('a', 6);
+    cache.set('b', 4);
+    cache.set('c', 20);
+
+    expect(cache.has('a')).toBe(false);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.peek('c')).toBe(20);
+    expect(cache.getStats()).toMatchObject({ bytes: 20, entries: 1, evictions: 2 });
+  });
+
+  it('peeks without changing the order of use', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.peek('a');
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(false);
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0 });
+  });
+
+  it('releases values replaced, deleted, cleared or exceeding new limits', () => {
+    const onEvict = jest.fn();
+    const cache = new LRUCache({ onEvict });
+    cache.set('a', 1);
+    cache.set('a', 2);
+    cache.set('b', 3);
+    cache.set('c', 4);
+    cache.delete('b');
+    cache.config({ maxEntries: 1, onEvict });
+    cache.clear();
+
+    expect(onEvict.mock.calls).toEqual([[1, 'a'], [3, 'b'], [2, 'a'], [4, 'c']]);
+    expect(cache.getStats()).toMatchObject({ entries: 0, evictions: 1 });
+  });
+});
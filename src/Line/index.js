@@ -1,12 +1,234 @@
 import PropTypes from 'prop-types';
+import diffData from '../utils/diffData';
+import clipPath from '../utils/clipPath';
 import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import redrawRegion from '../utils/redrawRegion';
 import Scheduler from '../Scheduler';
+import simplifyPath from '../utils/simplifyPath';
+import SpatialIndex from '../SpatialIndex';
+import SVGContext from '../SVGContext';
+import Viewport from '../Viewport';
+import WorkerLayer from '../WorkerLayer';
+
+/**
+ * Return the bounding box of the last render of the given line, undefined if it is not drawn.
+ */
+function getBoundingBox(line) {
+  return isNullVoid(line.renderProps) ? void 0 : line.renderProps.boundingBox;
+}
+
+/**
+ * Return the distance from the given point to a segment and the nearest point on the segment.
+ */
+function getSegmentProjection([x, y], [startX, startY], [endX, endY]) {
+  const dx = endX - startX;
+  const dy = endY - startY;
+  const squaredLength = dx * dx + dy * dy;
+  /**
+   * Ratio of the projected point along the segment, clamped to segment ends.
+   */
+  const ratio = squaredLength === 0
+    ? 0
+    : Math.min(Math.max(((x - startX) * dx + (y - startY) * dy) / squaredLength, 0), 1);
+  const point = [startX + ratio * dx, startY + ratio * dy];
+
+  return {
+    distance: Math.hypot(x - point[0], y - point[1]),
+    point,
+  };
+}
+
+/**
+ * Create a decoration placed at the given point. Decoration follows the given direction in
+ * radians, i.e. arrow points to the direction.
+ * Arrow and square are polygons, i.e. { decoration, points }. Circle is
+ * { decoration, position, radius }.
+ */
+function createDecoration(decoration, [x, y], direction, size) {
+  const cos = Math.cos(direction);
+  const sin = Math.sin(direction);
+  const halfSize = size / 2;
+
+  if (decoration === 'circle') {
+    return {
+      decoration,
+      position: [x, y],
+      radius: halfSize,
+    };
+  }
+
+  /**
+   * Arrow tip is at the given point and its base is a decoration size behind. Square centre is
+   * at the given point.
+   */
+  const points = decoration === 'arrow'
+    ? [
+      [x, y],
+      [x - size * cos - halfSize * sin, y - size * sin + halfSize * cos],
+      [x - size * cos + halfSize * sin, y - size * sin - halfSize * cos],
+    ]
+    : [
+      [x + halfSize * cos - halfSize * sin, y + halfSize * sin + halfSize * cos],
+      [x - halfSize * cos - halfSize * sin, y - halfSize * sin + halfSize * cos],
+      [x - halfSize * cos + halfSize * sin, y - halfSize * sin - halfSize * cos],
+      [x + halfSize * cos + halfSize * sin, y + halfSize * sin - halfSize * cos],
+    ];
+
+  return {
+    decoration,
+    points,
+  };
+}
+
+/**
+ * Create the path of a decoration on the given canvas context.
+ */
+function traceDecoration(ctx, decoration) {
+  ctx.beginPath();
+
+  if (decoration.decoration === 'circle') {
+    ctx.arc(decoration.position[0], decoration.position[1], decoration.radius, 0, Math.PI * 2);
+  } else {
+    ctx.moveTo(...decoration.points[0]);
+    decoration.points.slice(1).forEach((point) => {
+      ctx.lineTo(...point);
+    });
+  }
+
+  ctx.closePath();
+}
+
+/**
+ * Whether the given point is inside a decoration or within tolerance of its edges.
+ */
+function isPointInDecoration([x, y], decoration, tolerance) {
+  if (decoration.decoration === 'circle') {
+    const { position, radius } = decoration;
+    return Math.hypot(x - position[0], y - position[1]) <= radius + tolerance;
+  }
+
+  const { points } = decoration;
+  const edges = points.map((point, index) => [point, points[(index + 1) % points.length]]);
+
+  /**
+   * A point is inside a convex polygon if it is on the same side of all edges.
+   */
+  const crossProducts = edges.map(([[startX, startY], [endX, endY]]) => {
+    return (endX - startX) * (y - startY) - (endY - startY) * (x - startX);
+  });
+  if (crossProducts.every((product) => product >= 0)
+    || crossProducts.every((product) => product <= 0)) return true;
+
+  return edges.some(([start, end]) => {
+    return getSegmentProjection([x, y], start, end).distance <= tolerance;
+  });
+}
+
+/**
+ * Move the end point of a segment towards its start point by the given distance. Segment is kept
+ * as it is if it is not long enough.
+ */
+function trimSegment([startX, startY], [endX, endY], distance) {
+  const length = Math.hypot(endX - startX, endY - startY);
+  if (length <= distance) return [endX, endY];
+
+  return [
+    endX - ((endX - startX) / length) * distance,
+    endY - ((endY - startY) / length) * distance,
+  ];
+}
+
+/**
+ * Return the left unit normal of a segment, undefined if the segment has no length.
+ */
+function getNormal([startX, startY], [endX, endY]) {
+  const length = Math.hypot(endX - startX, endY - startY);
+  if (length === 0) return void 0;
+
+  return [-(endY - startY) / length, (endX - startX) / length];
+}
+
+/**
+ * Return the two ends of the boundary between the areas of segments meeting at the given vertex.
+ * Boundary follows the bisector of the join so that the join is split evenly between the two
+ * segments. It reaches the given distance on both sides, path ends are moved outwards by line
+ * width to contain caps.
+ */
+function getBoundary(points, index, reach, width) {
+  const before = index > 0 ? getNormal(points[index - 1], points[index]) : void 0;
+  const after = index < points.length - 1 ? getNormal(points[index], points[index + 1]) : void 0;
+  let [x, y] = points[index];
+  let normal = before || after || [0, 0];
+
+  if (isNullVoid(before) && !isNullVoid(after)) {
+    x -= after[1] * width;
+    y += after[0] * width;
+  } else if (!isNullVoid(before) && isNullVoid(after)) {
+    x += before[1] * width;
+    y -= before[0] * width;
+  } else if (!isNullVoid(before)) {
+    /**
+     * Bisector of a path turning back on itself is the normal of the segment before.
+     */
+    const length = Math.hypot(before[0] + after[0], before[1] + after[1]);
+    if (length > 1e-6) {
+      normal = [(before[0] + after[0]) / length, (before[1] + after[1]) / length];
+    }
+  }
+
+  return [
+    [x + normal[0] * reach, y + normal[1] * reach],
+    [x - normal[0] * reach, y - normal[1] * reach],
+  ];
+}
+
+/**
+ * Trace the area of segments from first to last of a polyline, one quadrilateral per segment
+ * between the boundaries at its two ends. Quadrilaterals share orientation so that they merge
+ * when filled or clipped.
+ */
+function traceSegmentArea(ctx, points, first, last, width) {
+  /**
+   * Miters are cut off at miter limit, 10 by default, which keeps them within five line widths
+   * from their vertices.
+   */
+  const reach = width * 6;
+  for (let index = first; index <= last; index += 1) {
+    const [startLeft, startRight] = getBoundary(points, index, reach, width);
+    const [endLeft, endRight] = getBoundary(points, index + 1, reach, width);
+    ctx.moveTo(startLeft[0], startLeft[1]);
+    ctx.lineTo(endLeft[0], endLeft[1]);
+    ctx.lineTo(endRight[0], endRight[1]);
+    ctx.lineTo(startRight[0], startRight[1]);
+    ctx.closePath();
+  }
+}
 
 class Line {
   /**
    * Render a single line on the given canvas context.
+   * Style is optional and defines dash, caps, joins, decorations and colours along the path.
+   * See propTypes of data. Style may also define simplifyTolerance, which drops points closer than
+   * the tolerance to the simplified path, and clipBounds, which skips path parts outside the
+   * bounding box. Both apply to drawing only, render properties keep the full path.
+   * Line is culled if it is entirely outside the visible bounding box.
    */
-  static render(lineObject, ctx, color, path, width) {
+  static render(lineObject, ctx, color, path, width, style = {}, visibleBoundingBox) {
+    const {
+      clipBounds,
+      colors,
+      dash = [],
+      dashOffset = 0,
+      decorationSize = width * 4,
+      endDecoration,
+      gradient,
+      lineCap = 'butt',
+      lineJoin = 'miter',
+      simplifyTolerance = 0,
+      startDecoration,
+    } = style;
+
     /**
      * Round number values because decimal points significantly affects canvas performance.
      */
@@ -20,8 +242,19 @@ class Line {
      * rounding decimal points, and are passed to canvas render APIs directly.
      */
     const renderProps = {
+      clipBounds,
       color,
+      colors,
+      dash,
+      dashOffset,
+      decorationSize: Math.round(decorationSize),
+      endDecoration,
+      gradient,
+      lineCap,
+      lineJoin,
       path: internalPath,
+      simplifyTolerance,
+      startDecoration,
       width: internalWidth,
     };
     lineObject.renderProps = renderProps;
@@ -36,40 +269,213 @@ class Line {
     if (renderProps.path.length <= 1) return;
 
     /**
-     * Create a path 2D instance to simplify finding whether a given point is on the polyline.
-     * See findByPosition function for more details.
+     * Bounding box is used to index line for finding lines by position. Line width extends half
+     * of its width to both sides of the path, and decorations extend half of their size around
+     * path ends. i.e. [minX, minY, maxX, maxY].
      */
-    const path2D = new Path2D();
+    const hasDecoration = !isNullVoid(startDecoration) || !isNullVoid(endDecoration);
+    const halfWidth = hasDecoration
+      ? Math.max(renderProps.width, renderProps.decorationSize) / 2
+      : renderProps.width / 2;
+    const [minX, minY, maxX, maxY] = renderProps.path.reduce((boundingBox, [x, y]) => {
+      return [
+        Math.min(boundingBox[0], x),
+        Math.min(boundingBox[1], y),
+        Math.max(boundingBox[2], x),
+        Math.max(boundingBox[3], y),
+      ];
+    }, [Infinity, Infinity, -Infinity, -Infinity]);
+    renderProps.boundingBox = [
+      minX - halfWidth,
+      minY - halfWidth,
+      maxX + halfWidth,
+      maxY + halfWidth,
+    ];
 
     /**
-     * Move pointer to the line starting point.
+     * Skip if it is entirely outside the visible area.
      */
-    const [startingX, startingY] = renderProps.path[0];
-    path2D.moveTo(startingX, startingY);
+    if (!isNullVoid(visibleBoundingBox)
+      && !isOverlapping(renderProps.boundingBox, visibleBoundingBox)) {
+      renderProps.culled = true;
+      return;
+    }
+
     /**
-     * Go through all points on line path to complete a polyline.
+     * Decorations follow the direction of the first and the last segments, pointing outwards.
      */
-    renderProps.path.slice(1).forEach(([x, y]) => {
-      path2D.lineTo(x, y);
-    });
+    renderProps.decorations = [];
+    if (!isNullVoid(startDecoration)) {
+      const [[x, y], [nextX, nextY]] = renderProps.path;
+      renderProps.decorations.push(createDecoration(
+        startDecoration, [x, y], Math.atan2(y - nextY, x - nextX), renderProps.decorationSize,
+      ));
+    }
+    if (!isNullVoid(endDecoration)) {
+      const [[previousX, previousY], [x, y]] = renderProps.path.slice(-2);
+      renderProps.decorations.push(createDecoration(
+        endDecoration, [x, y], Math.atan2(y - previousY, x - previousX),
+        renderProps.decorationSize,
+      ));
+    }
+
+    Line.draw(ctx, renderProps);
+  }
+
+  /**
+   * Draw a single line with its render properties on the given canvas context.
+   */
+  static draw(ctx, renderProps) {
+    const {
+      clipBounds,
+      colors,
+      endDecoration,
+      gradient,
+      simplifyTolerance,
+      startDecoration,
+    } = renderProps;
 
     /**
-     * Begin a new line.
+     * Line is shortened under arrows so that it doesn't stick out of arrow tips.
      */
-    ctx.beginPath();
+    const lastIndex = renderProps.path.length - 1;
+    const strokedPath = [...renderProps.path];
+    if (startDecoration === 'arrow') {
+      strokedPath[0] = trimSegment(
+        renderProps.path[1], renderProps.path[0], renderProps.decorationSize,
+      );
+    }
+    if (endDecoration === 'arrow') {
+      strokedPath[lastIndex] = trimSegment(
+        renderProps.path[lastIndex - 1], renderProps.path[lastIndex], renderProps.decorationSize,
+      );
+    }
+
+    ctx.save();
+
     /**
-     * Set line colour and width.
+     * Set line width, caps, joins and dash.
      */
-    ctx.strokeStyle = renderProps.color;
     ctx.lineWidth = renderProps.width;
+    ctx.lineCap = renderProps.lineCap;
+    ctx.lineJoin = renderProps.lineJoin;
+    ctx.setLineDash(renderProps.dash);
+    ctx.lineDashOffset = renderProps.dashOffset;
+
+    /**
+     * Points collapsing onto the same pixel are dropped, then parts outside clip bounds are cut
+     * off. Each vertex refers to the index of its original point so that segments keep their
+     * colours.
+     */
+    const vertices = simplifyPath(strokedPath, simplifyTolerance).map((index) => {
+      return { index, point: strokedPath[index] };
+    });
+    const parts = isNullVoid(clipBounds) ? [vertices] : clipPath(vertices, clipBounds);
+
+    /**
+     * Return colour of the original segment starting at the given index.
+     */
+    const getColor = (index) => {
+      if (!isNullVoid(colors) && !isNullVoid(colors[index])) return colors[index];
+      return renderProps.color;
+    };
+
+    if (isNullVoid(colors) && isNullVoid(gradient)) {
+      /**
+       * Begin a new line.
+       */
+      ctx.beginPath();
+      ctx.strokeStyle = renderProps.color;
+
+      parts.forEach((part) => {
+        /**
+         * Move pointer to the part starting point.
+         */
+        const [startingX, startingY] = part[0].point;
+        ctx.moveTo(startingX, startingY);
+        /**
+         * Go through all points on part to complete a polyline.
+         */
+        part.slice(1).forEach(({ point: [x, y] }) => {
+          ctx.lineTo(x, y);
+        });
+      });
+
+      ctx.stroke();
+    } else {
+      /**
+       * Runs of segments in the same colour are stroked one by one, clipped to their areas. Every
+       * run is stroked together with the segments next to it so that joins between runs and dash
+       * pattern look the same as a single stroke. Gradient runs are single segments whose
+       * gradients interpolate colours of their two ends.
+       */
+      let distance = 0;
+      parts.forEach((part) => {
+        const points = part.map(({ point }) => point);
+        /**
+         * Distances of points from the start of the part.
+         */
+        const distances = [0];
+        points.slice(1).forEach(([x, y], index) => {
+          const [previousX, previousY] = points[index];
+          distances.push(distances[index] + Math.hypot(x - previousX, y - previousY));
+        });
+
+        let first = 0;
+        while (first < points.length - 1) {
+          let last = first;
+          if (isNullVoid(gradient)) {
+            ctx.strokeStyle = getColor(part[first].index);
+            while (
+              last < points.length - 2
+              && getColor(part[last + 1].index) === getColor(part[first].index)
+            ) last += 1;
+          } else {
+            const [[startX, startY], [endX, endY]] = [points[first], points[first + 1]];
+            const linearGradient = ctx.createLinearGradient(startX, startY, endX, endY);
+            linearGradient.addColorStop(0, gradient[part[first].index]);
+            linearGradient.addColorStop(1, gradient[part[first + 1].index]);
+            ctx.strokeStyle = linearGradient;
+          }
+
+          ctx.save();
+          ctx.beginPath();
+          traceSegmentArea(ctx, points, first, last, renderProps.width);
+          ctx.clip();
+
+          const from = Math.max(first - 1, 0);
+          const to = Math.min(last + 2, points.length - 1);
+          ctx.beginPath();
+          ctx.lineDashOffset = renderProps.dashOffset + distance + distances[from];
+          ctx.moveTo(points[from][0], points[from][1]);
+          points.slice(from + 1, to + 1).forEach(([x, y]) => {
+            ctx.lineTo(x, y);
+          });
+          ctx.stroke();
+          ctx.restore();
+
+          first = last + 1;
+        }
+
+        distance += distances[distances.length - 1];
+      });
+    }
 
     /**
-     * Persist render properties. It will be used in mouse events to find whether a mouse pointer is
-     * on a polyline.
+     * Decorations are filled by colours at path ends.
      */
-    lineObject.renderProps.path2D = path2D;
+    if (!isNullVoid(startDecoration)) {
+      ctx.fillStyle = isNullVoid(gradient) ? getColor(0) : gradient[0];
+      traceDecoration(ctx, renderProps.decorations[0]);
+      ctx.fill();
+    }
+    if (!isNullVoid(endDecoration)) {
+      ctx.fillStyle = isNullVoid(gradient) ? getColor(lastIndex - 1) : gradient[lastIndex];
+      traceDecoration(ctx, renderProps.decorations[renderProps.decorations.length - 1]);
+      ctx.fill();
+    }
 
-    ctx.stroke(path2D);
+    ctx.restore();
   }
 
   constructor(props = {}) {
@@ -82,6 +488,11 @@ class Line {
      * In this way, time consuming function won't block UI thread.
      */
     this.scheduler = new Scheduler();
+    /**
+     * Incremental updates redraw canvas regions one after another. This promise resolves as soon
+     * as the last redraw completes.
+     */
+    this.redrawing = Promise.resolve();
   }
 
   /**
@@ -90,11 +501,18 @@ class Line {
   config(props) {
     const {
       canvas,
+      clip = false,
+      clipMargin = 50,
       data = [],
       dpr = 1,
       getSnapshotBeforeRender,
       height,
+      scaleWithZoom = true,
+      simplifyTolerance = 0,
+      tolerance = 3,
+      viewport = new Viewport(),
       width,
+      worker,
     } = props;
 
     /**
@@ -103,83 +521,366 @@ class Line {
     if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
 
     this.dpr = dpr;
-
     /**
-     * We will manipulate canvas context later.
+     * Canvas size in CSS pixels. Lines entirely outside canvas are culled.
      */
-    this.ctx = canvas.getContext('2d');
+    this.height = height;
+    this.width = width;
+
     /**
-     * Clear canvas. Always clear canvas before render.
-     * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
-     * by half shall we have sharp images.
-     * Change canvas width restores canvas scale. Always set the correct scale so that callers are
-     * unaware of the implementation details of DPR.
+     * In worker mode, canvas is transferred to worker which draws lines. Only cloneable
+     * properties are posted to worker.
      */
-    canvas.height = height * this.dpr;
-    canvas.width = width * this.dpr;
-    this.ctx.scale(this.dpr, this.dpr);
+    if (!isNullVoid(worker)) {
+      WorkerLayer.assertUnsupported('Line', { getSnapshotBeforeRender });
 
+      if (!isNullVoid(this.workerLayer) && this.workerLayer.worker !== worker) {
+        WorkerLayer.leave(this.workerLayer, canvas);
+      }
+      if (isNullVoid(this.workerLayer) || this.workerLayer.worker !== worker) {
+        this.workerLayer = new WorkerLayer({ layer: 'Line', worker });
+      }
+      this.workerLayer.config(canvas, {
+        clip,
+        clipMargin,
+        dpr,
+        height,
+        scaleWithZoom,
+        simplifyTolerance,
+        width,
+      });
+    } else {
+      if (!isNullVoid(this.workerLayer)) WorkerLayer.leave(this.workerLayer, canvas);
+      this.workerLayer = void 0;
+
+      /**
+       * We will manipulate canvas context later.
+       */
+      this.ctx = canvas.getContext('2d');
+      /**
+       * Clear canvas. Always clear canvas before render.
+       * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales
+       * down by half shall we have sharp images.
+       * Change canvas width restores canvas scale. Always set the correct scale so that callers
+       * are unaware of the implementation details of DPR.
+       */
+      canvas.height = height * this.dpr;
+      canvas.width = width * this.dpr;
+      this.ctx.scale(this.dpr, this.dpr);
+    }
+
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
+    /**
+     * Whether line widths scale with viewport zoom or stay fixed in CSS pixels.
+     */
+    this.scaleWithZoom = scaleWithZoom;
+    /**
+     * Distance in CSS pixels beyond line edges within which lines are still found by position.
+     */
+    this.tolerance = tolerance;
+    /**
+     * Long paths are simplified and clipped to canvas before drawing.
+     */
+    this.clip = clip;
+    this.clipMargin = clipMargin;
+    this.simplifyTolerance = simplifyTolerance;
     this.data = data;
     this.getSnapshotBeforeRender = getSnapshotBeforeRender;
+    /**
+     * Lines are indexed by their bounding boxes as soon as they are rendered so that finding lines
+     * by position doesn't go through the whole dataset.
+     */
+    this.spatialIndex = new SpatialIndex();
+  }
+
+  /**
+   * Line layer keeps no cache. It is defined so that every layer releases its caches the same way.
+   */
+  clearCache() {}
+
+  /**
+   * Cancel pending render and drop lines. Lines are drawn again only after they are configured
+   * again.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.clearCache();
+
+    if (!isNullVoid(this.workerLayer)) {
+      this.workerLayer.destroy();
+      this.workerLayer = void 0;
+    }
+
+    this.data = [];
+    if (!isNullVoid(this.spatialIndex)) this.spatialIndex.clear();
   }
 
   /**
-   * Return a list of lines that contains the given position.
+   * Return a list of lines within tolerance of the given position.
+   * Each line has a hit property describing the nearest point on the line, i.e.
+   * { distance, point, segmentIndex }, where distance is from the position to line path, point is
+   * the position projected on line path, and segmentIndex is the index of the segment starting
+   * point in path.
    * The received coordinates are not scalled by DPR because I presume coordinates to be mouse
-   * pointer positions.
+   * pointer positions. Render properties are in CSS pixels as well.
    */
   findByPosition({ x, y }) {
-    return this.data.filter(({ renderProps }) => {
-      /**
-       * This scenario happens if mouse event triggers before render completes.
-       */
-      if (isNullVoid(renderProps)) return false;
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
 
-      const { path2D, width } = renderProps;
+    /**
+     * Lines within tolerance may not contain the position in their bounding boxes.
+     */
+    const candidates = this.spatialIndex.searchBoundingBox([
+      x - this.tolerance, y - this.tolerance, x + this.tolerance, y + this.tolerance,
+    ]);
+
+    return candidates.reduce((lines, { renderProps, ...other }) => {
+      const { decorations, path, width } = renderProps;
 
       /**
-       * Use isPointInStroke method to find whether a given point is on the polyline.
+       * Find the segment nearest to the position.
        */
-      this.ctx.lineWidth = width;
+      const hit = path.slice(1).reduce((nearest, end, index) => {
+        const { distance, point } = getSegmentProjection([x, y], path[index], end);
+        if (!isNullVoid(nearest) && nearest.distance <= distance) return nearest;
+        return { distance, point, segmentIndex: index };
+      }, void 0);
+
       /**
-       * Canvas is scaled to make image sharper in high DPR devices. Therefore, when finding lines
-       * by mouse events, mouse pointer position should scale by DPR ratio.
+       * Gaps of dashed lines are part of line.
        */
-      return this.ctx.isPointInStroke(path2D, x * this.dpr, y * this.dpr);
-    }).map(({ renderProps, ...other }) => {
+      const isHit = hit.distance <= width / 2 + this.tolerance
+        || decorations.some((decoration) => {
+          return isPointInDecoration([x, y], decoration, this.tolerance);
+        });
+
       /**
        * Internal render properties should not expose.
        */
-      return other;
-    });
+      return isHit ? [...lines, { ...other, hit }] : lines;
+    }, []);
+  }
+
+  /**
+   * Render a single line and index it by its bounding box.
+   */
+  renderItem(eachLine) {
+    /**
+     * If there exists a getSnapshotBeforeRender function, apply segments of each line to
+     * getSnapshotBeforeRender.
+     */
+    const line = this.getSnapshotBeforeRender
+      ? this.getSnapshotBeforeRender(eachLine)
+      : eachLine;
+    const {
+      color = 'black',
+      colors,
+      dash = [],
+      dashOffset = 0,
+      decorationSize,
+      endDecoration,
+      gradient,
+      lineCap,
+      lineJoin,
+      path,
+      startDecoration,
+      width = 1,
+    } = line;
+
+    /**
+     * Project line to canvas. Dash and decoration sizes scale together with line width.
+     */
+    const sizeScale = this.scaleWithZoom ? this.viewport.scale : 1;
+    Line.render(
+      eachLine, this.ctx, color,
+      path.map((point) => this.viewport.toScreen(point)),
+      width * sizeScale,
+      {
+        colors,
+        dash: dash.map((length) => length * sizeScale),
+        dashOffset: dashOffset * sizeScale,
+        decorationSize: isNullVoid(decorationSize) ? void 0 : decorationSize * sizeScale,
+        endDecoration,
+        gradient,
+        clipBounds: this.clip
+          ? [-this.clipMargin, -this.clipMargin, this.width + this.clipMargin,
+            this.height + this.clipMargin]
+          : void 0,
+        lineCap,
+        lineJoin,
+        simplifyTolerance: this.simplifyTolerance,
+        startDecoration,
+      },
+      [0, 0, this.width, this.height],
+    );
+
+    /**
+     * Lines which are not drawn don't have bounding boxes. Culled lines are not drawn either.
+     */
+    if (isNullVoid(eachLine.renderProps.boundingBox) || eachLine.renderProps.culled) {
+      this.spatialIndex.remove(eachLine);
+    } else {
+      this.spatialIndex.insert(eachLine, eachLine.renderProps.boundingBox);
+    }
   }
 
   /**
    * Draw lines one by one.
    * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of lines culled outside canvas. i.e. { culled: 3 }.
    */
   render() {
-    return this.scheduler.execute(this.data, (eachLine) => {
-      let {
-        color = 'black',
-        path,
-        width = 1,
-      } = eachLine;
+    if (!isNullVoid(this.workerLayer)) {
+      return this.workerLayer.render(this.data, this.viewport, this.spatialIndex);
+    }
 
-      /**
-       * If there exists a getSnapshotBeforeRender function, apply segments of each line to
-       * getSnapshotBeforeRender.
-       */
-      if (this.getSnapshotBeforeRender) {
-        const snapshot = this.getSnapshotBeforeRender(eachLine);
-        color = snapshot.color !== void 0 ? snapshot.color : 'black';
-        path = snapshot.path;
-        width = snapshot.width !== void 0 ? snapshot.width : 1;
-      }
+    /**
+     * Lines rendered previously are no longer on canvas.
+     */
+    this.spatialIndex.clear();
+
+    return this.scheduler.execute(this.data, (eachLine) => this.renderItem(eachLine)).then(() => {
+      return {
+        culled: this.data.filter(({ renderProps }) => renderProps.culled).length,
+      };
+    });
+  }
+
+  /**
+   * Clear the given bounding box and redraw lines inside it once previous redraws complete.
+   * Lines in the given list are always rendered so that their render properties are refreshed.
+   */
+  redraw(boundingBox, lines = []) {
+    /**
+     * Canvas is controlled by worker, therefore, changes are rendered fully in worker.
+     */
+    if (!isNullVoid(this.workerLayer)) {
+      return this.workerLayer.requestRender(() => [this.data, this.viewport, this.spatialIndex]);
+    }
+
+    const redrawing = this.redrawing.then(() => redrawRegion(
+      this.ctx, this.data, this.spatialIndex, boundingBox, lines,
+      (eachLine) => this.renderItem(eachLine),
+    ));
+    /**
+     * A failed redraw should not block the following redraws.
+     */
+    this.redrawing = redrawing.catch(() => {});
+    return redrawing;
+  }
+
+  /**
+   * Redraw where the line was and then where the line is.
+   */
+  async redrawLine(line, previousBoundingBox) {
+    await this.redraw(previousBoundingBox, [line]);
+
+    const boundingBox = getBoundingBox(line);
+    if (!isNullVoid(boundingBox)) {
+      await this.redraw(boundingBox);
+    }
+  }
+
+  /**
+   * Append lines to data and draw them without redrawing the whole canvas.
+   */
+  add(lines) {
+    this.data = [...this.data, ...lines];
+    return Promise.all(lines.map((line) => this.redrawLine(line)));
+  }
+
+  /**
+   * Apply patch to the line with the given id and redraw only the affected area.
+   */
+  update(id, patch) {
+    const line = this.data.find((eachLine) => eachLine.id === id);
+    if (isNullVoid(line)) return Promise.resolve();
+
+    const previousBoundingBox = getBoundingBox(line);
+    Object.assign(line, patch);
+    return this.redrawLine(line, previousBoundingBox);
+  }
+
+  /**
+   * Remove the line with the given id and redraw only the area it used to cover.
+   */
+  remove(id) {
+    const line = this.data.find((eachLine) => eachLine.id === id);
+    if (isNullVoid(line)) return Promise.resolve();
 
-      Line.render(eachLine, this.ctx, color, path, width);
+    this.data = this.data.filter((eachLine) => eachLine !== line);
+    this.spatialIndex.remove(line);
+    return this.redraw(getBoundingBox(line));
+  }
+
+  /**
+   * Replace data with a new list of lines keyed by id, and redraw only lines which are added,
+   * removed or updated. Canvas is fully rendered if the order of existing lines changes.
+   */
+  setData(data) {
+    const {
+      added,
+      removed,
+      reordered,
+      unchanged,
+      updated,
+    } = diffData(this.data, data);
+
+    if (reordered) {
+      this.data = data;
+      return this.render();
+    }
+
+    /**
+     * New line objects take over render properties and index entries from the previous ones.
+     */
+    [...unchanged, ...updated].forEach(([previousLine, nextLine]) => {
+      nextLine.renderProps = previousLine.renderProps;
+      this.spatialIndex.replace(previousLine, nextLine);
+    });
+    removed.forEach((line) => {
+      this.spatialIndex.remove(line);
+    });
+
+    this.data = data;
+
+    return Promise.all([
+      ...removed.map((line) => this.redraw(getBoundingBox(line))),
+      ...updated.map(([previousLine, nextLine]) => {
+        return this.redrawLine(nextLine, getBoundingBox(previousLine));
+      }),
+      ...added.map((line) => this.redrawLine(line)),
+    ]);
+  }
+
+  /**
+   * Draw lines of the last render on the given context in the same order. Context is either a
+   * canvas context, i.e. to export images, or an SVG context.
+   */
+  replay(ctx) {
+    this.data.forEach(({ renderProps }) => {
+      if (isNullVoid(renderProps)
+        || isNullVoid(renderProps.boundingBox)
+        || renderProps.culled) return;
+      Line.draw(ctx, renderProps);
     });
   }
+
+  /**
+   * Return an SVG document of lines drawn by the last render, see SVGContext. Render
+   * properties are replayed so that the document looks the same as canvas.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+    this.replay(ctx);
+    return ctx.toString();
+  }
 }
 
 Line.propTypes = {
@@ -187,6 +888,18 @@ Line.propTypes = {
    * Lines are drawn on this canvas.
    */
   canvas: PropTypes.object.isRequired,
+  /**
+   * Skip drawing parts of lines outside canvas. It significantly speeds up drawing long paths
+   * which are mostly off canvas. Lines are still found by position along their full paths.
+   * Default false.
+   */
+  clip: PropTypes.bool,
+  /**
+   * Distance in CSS pixels outside canvas edges where lines are clipped, so that clipped ends and
+   * line joins are never visible.
+   * Default 50.
+   */
+  clipMargin: PropTypes.number,
   /**
    * A list of lines.
    * Data structure must contain the following properties if getSnapshotBeforeRender is not defined,
@@ -201,10 +914,59 @@ Line.propTypes = {
      * Default black.
      */
     color: PropTypes.string,
+    /**
+     * Colours of segments. The first colour applies to the segment between the first two points.
+     * Segments without colours use color.
+     */
+    colors: PropTypes.arrayOf(PropTypes.string),
+    /**
+     * Lengths of alternating dashes and gaps. i.e. [4, 2]. Solid line if it is empty.
+     * Default [].
+     */
+    dash: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Distance into dash pattern at which line starts.
+     * Default 0.
+     */
+    dashOffset: PropTypes.number,
+    /**
+     * Length and width of decorations.
+     * Default four times line width.
+     */
+    decorationSize: PropTypes.number,
+    /**
+     * Decoration drawn at the last point, following the direction of the last segment.
+     */
+    endDecoration: PropTypes.oneOf(['arrow', 'circle', 'square']),
+    /**
+     * Colours of points. Every segment is coloured by a gradient between the colours of its two
+     * points. It has higher priority than colors if both are defined.
+     */
+    gradient: PropTypes.arrayOf(PropTypes.string),
+    /**
+     * Unique key of the line. It is required by add, update, remove and setData which redraw
+     * single lines without redrawing the whole canvas.
+     */
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    /**
+     * Shape of line ends.
+     * Default butt.
+     */
+    lineCap: PropTypes.oneOf(['butt', 'round', 'square']),
+    /**
+     * Shape of corners. It also applies to corners between segments of different colours, which
+     * are split along the bisectors of the corners.
+     * Default miter.
+     */
+    lineJoin: PropTypes.oneOf(['bevel', 'miter', 'round']),
     /**
      * Line path. Supports line string. i.e. [[0, 0], [10, 10], [20, 20]]
      */
     path: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+    /**
+     * Decoration drawn at the first point, following the direction of the first segment.
+     */
+    startDecoration: PropTypes.oneOf(['arrow', 'circle', 'square']),
     /**
      * Line width.
      * Default 1.
@@ -228,17 +990,52 @@ Line.propTypes = {
    * none UI blocking tricks. If those time consuming works are done by yourself before passing
    * them to Line, it ultimately results to a noticeable time elapse even though you have enough
    * skills in writing non blocking javascript code. getSnapshotBeforeRender must return properties
-   * defined in data property (color, path, and width).
+   * defined in data property, i.e. color, path and width.
+   * It can't be combined with worker because functions can't be posted.
    */
   getSnapshotBeforeRender: PropTypes.func,
   /**
    * Canvas height.
    */
   height: PropTypes.number.isRequired,
+  /**
+   * Whether line widths scale with viewport zoom. Set false to keep them fixed in
+   * CSS pixels no matter how viewport zooms.
+   * Default true.
+   */
+  scaleWithZoom: PropTypes.bool,
+  /**
+   * Drop points closer than this distance in CSS pixels to the simplified path before drawing, by
+   * Douglas-Peucker algorithm. 0 disables simplification. Data and findByPosition results are not
+   * affected.
+   * Default 0.
+   */
+  simplifyTolerance: PropTypes.number,
+  /**
+   * Lines are found by position within this distance in CSS pixels beyond their edges, so that
+   * thin lines are easy to hover.
+   * Default 3.
+   */
+  tolerance: PropTypes.number,
+  /**
+   * Viewport shared by layers to pan, zoom and rotate. Data coordinates are projected through
+   * viewport, therefore, render properties and findByPosition are in canvas CSS pixels.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
   /**
    * Canvas width.
    */
   width: PropTypes.number.isRequired,
+  /**
+   * Render lines in a web worker, see WorkerHost. Canvas is transferred to worker, therefore,
+   * it can no longer be drawn on the main thread. findByPosition still works on the main thread
+   * with render properties returned by worker. Data must be cloneable. Config throws if
+   * getSnapshotBeforeRender is defined as well.
+   * Transferred canvas stays with worker. Config throws if worker is removed or replaced while
+   * canvas stays the same, therefore, configure another canvas to leave worker mode.
+   */
+  worker: PropTypes.object,
 };
 
 export default Line;
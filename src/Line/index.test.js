@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import createContext from '../testing/createContext';
+import Line from '.';
+
+/**
+ * Split recorded calls into the strokes of clipped colour runs, each with the stroke style,
+ * dash offset and stroked points.
+ */
+function getClippedStrokes(calls) {
+  const strokes = [];
+  let current;
+  let style;
+  calls.forEach(([name, ...args]) => {
+    if (name === 'strokeStyle') style = args[0];
+    if (name === 'clip') current = { offset: 0, points: [], style };
+    if (current === void 0) return;
+    if (name === 'lineDashOffset') current.offset = args[0];
+    if (name === 'moveTo' || name === 'lineTo') current.points.push(args);
+    if (name === 'stroke') {
+      strokes.push(current);
+      current = void 0;
+    }
+  });
+  return strokes;
+}
+
+describe('Line', () => {
+  it('strokes runs of segment colours with their neighbours, clipped to the runs', () => {
+    const ctx = createContext();
+    const path = [[0, 0], [10, 0], [10, 10], [20, 10]];
+
+    Line.render({}, ctx, 'black', path, 4, { colors: ['red', 'red', 'blue'], dash: [4, 2] });
+
+    expect(getClippedStrokes(ctx.calls)).toEqual([
+      { offset: 0, points: path, style: 'red' },
+      { offset: 10, points: path.slice(1), style: 'blue' },
+    ]);
+  });
+
+  it('splits corners between colour runs along their bisectors', () => {
+    const ctx = createContext();
+
+    Line.render({}, ctx, 'black', [[0, 0], [10, 0], [10, 10]], 2, { colors: ['red', 'blue'] });
+
+    /**
+     * Area of the first segment starts a line width behind the path start and ends at the
+     * bisector of the corner, the diagonal through [10, 0]. It reaches six line widths from the
+     * path.
+     */
+    const clipIndex = ctx.calls.findIndex(([name]) => name === 'clip');
+    const corners = ctx.calls.slice(0, clipIndex)
+      .filter(([name]) => name === 'moveTo' || name === 'lineTo')
+      .map(([, x, y]) => [x, y]);
+    const reach = 12 / Math.SQRT2;
+    [[-2, 12], [10 - reach, reach], [10 + reach, -reach], [-2, -12]].forEach(([x, y], index) => {
+      expect(corners[index][0]).toBeCloseTo(x);
+      expect(corners[index][1]).toBeCloseTo(y);
+    });
+  });
+});
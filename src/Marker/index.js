@@ -5,8 +5,18 @@ import {
   multiply,
   unaryMinus,
 } from 'mathjs';
+import Clusterer from '../Clusterer';
+import diffData from '../utils/diffData';
+import IconCache from '../IconCache';
 import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import redrawRegion from '../utils/redrawRegion';
 import Scheduler from '../Scheduler';
+import SpatialIndex from '../SpatialIndex';
+import SVGContext from '../SVGContext';
+import Text from '../Text';
+import Viewport from '../Viewport';
+import WorkerLayer from '../WorkerLayer';
 
 /**
  * position: A given position [x, y] in the original canvas cartesian coordinate system.
@@ -49,17 +59,42 @@ function getTransformedAndRotatedPosition(position, rotationOrigin, rotation, de
 }
 
 /**
- * Image class loads image asynchronously and image is initiated only if onLoad function
- * being called.
+ * Return the bounding box of a rotated marker in the original canvas cartesian coordinate system.
+ * i.e. [minX, minY, maxX, maxY].
+ * Marker image is drawn at position after rotating coordinate system around position and moving
+ * by anchor origin, therefore, a corner C of the image is placed to P + M * (C + anchorOrigin),
+ * where P is position and M is clockwise rotation matrix.
  */
-function loadImage(imageSource) {
-  return new Promise((resolve) => {
-    const image = new Image();
-    image.onload = () => {
-      resolve(image);
-    };
-    image.src = imageSource;
+function getRotatedBoundingBox(anchorOrigin, height, position, rotation, width) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => {
+    const offsetX = x + anchorOrigin[0];
+    const offsetY = y + anchorOrigin[1];
+    return [
+      position[0] + offsetX * cos - offsetY * sin,
+      position[1] + offsetX * sin + offsetY * cos,
+    ];
   });
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Whether the last render drew the marker or cluster of the given render properties.
+ */
+function isDrawn(renderProps) {
+  return !isNullVoid(renderProps) && !renderProps.culled && !renderProps.failed;
+}
+
+/**
+ * Return the bounding box of the last render of the given marker, undefined if it is not drawn.
+ */
+function getBoundingBox(marker) {
+  return isNullVoid(marker.renderProps) ? void 0 : marker.renderProps.boundingBox;
 }
 
 class Marker {
@@ -68,10 +103,34 @@ class Marker {
    * Rotate coordinate first, then move horizontally and vertically,
    * and finally render marker image.
    * Order is critical and must be observed.
-   * Apply image cache to reduce the number of icon image loading calls.
+   * Icons are loaded by the given loadIcon function, which returns a promise of the icon image.
+   * Marker is culled without loading its image if it is entirely outside the visible bounding box.
+   * Marker whose icon fails to load is drawn with fallback icon. If fallback icon is not defined or
+   * fails to load as well, marker is not drawn and its render properties are marked failed.
    */
   static async render(
-    markerObject, ctx, cache, anchorOrigin, height, icon, position, rotation, width,
+    markerObject, ctx, loadIcon,
+    anchorOrigin, fallbackIcon, height, icon, position, rotation, width, visibleBoundingBox,
+  ) {
+    Marker.layout(
+      markerObject,
+      anchorOrigin, height, icon, position, rotation, width, visibleBoundingBox,
+    );
+
+    const { renderProps } = markerObject;
+    if (renderProps.culled) return;
+
+    const loadedImage = await Marker.loadImage(loadIcon, icon, fallbackIcon);
+    Marker.drawLoadedImage(ctx, loadedImage, renderProps);
+  }
+
+  /**
+   * Calculate render properties of a single marker without drawing it. Marker is culled if it is
+   * entirely outside the visible bounding box.
+   */
+  static layout(
+    markerObject,
+    anchorOrigin, height, icon, position, rotation, width, visibleBoundingBox,
   ) {
     /**
      * Round number values because decimal points significantly affects canvas performance.
@@ -96,22 +155,61 @@ class Marker {
     markerObject.renderProps = renderProps;
 
     /**
-     * Declare image variable. Get image either from cache or calling image loading API.
+     * Bounding box is used to index marker for finding markers by position. It is calculated
+     * before loading image so that callers can index marker right after calling this function.
      */
-    let markerImage;
-    if (cache.hasOwnProperty(icon)) {
-      /**
-       * Use cached image.
-       */
-      markerImage = cache[icon];
-    } else {
-      markerImage = await loadImage(icon);
-      /**
-       * Save image in cache.
-       */
-      cache[icon] = markerImage;
+    renderProps.boundingBox = getRotatedBoundingBox(
+      renderProps.anchorOrigin, renderProps.height, renderProps.position,
+      renderProps.rotation, renderProps.width,
+    );
+
+    /**
+     * Skip if it is entirely outside the visible area.
+     */
+    if (!isNullVoid(visibleBoundingBox)
+      && !isOverlapping(renderProps.boundingBox, visibleBoundingBox)) {
+      renderProps.culled = true;
+    }
+  }
+
+  /**
+   * Return a promise resolving with the icon to draw and its image, i.e. { icon, image }. Fallback
+   * icon replaces icon which fails to load. Image is undefined if fallback icon is not defined or
+   * fails to load as well.
+   */
+  static async loadImage(loadIcon, icon, fallbackIcon) {
+    try {
+      return { icon, image: await loadIcon(icon) };
+    } catch (error) {
+      if (isNullVoid(fallbackIcon)) return { icon };
+
+      const image = await loadIcon(fallbackIcon).catch(() => void 0);
+      return { icon: fallbackIcon, image };
+    }
+  }
+
+  /**
+   * Draw the image resolved by loadImage with the given render properties. Render properties are
+   * marked failed if there is no image.
+   */
+  static drawLoadedImage(ctx, { icon, image }, renderProps) {
+    if (isNullVoid(image)) {
+      renderProps.failed = true;
+      return;
     }
 
+    /**
+     * Replay draws fallback icon as well.
+     */
+    renderProps.icon = icon;
+    Marker.draw(ctx, image, renderProps);
+  }
+
+  /**
+   * Draw a single marker image with its render properties on the given canvas context.
+   * SVG context also accepts an image URL.
+   */
+  static draw(ctx, markerImage, renderProps) {
     /**
      * Methods to render marker contain coordinate horizontal and vertical move and rotation
      * which must be restored as soon as render completes.
@@ -149,20 +247,35 @@ class Marker {
 
   constructor(props = {}) {
     /**
-     * Save props.
+     * Marker icons are loaded once and cached, see IconCache. Cache is limited by cacheLimit.
      */
-    this.config(props);
+    this.iconCache = new IconCache();
     /**
-     * We call window.Image to draw the same marker icon for only once by memorising the image of
-     * that icon at the first time of appearance and duplicate that image next time the exact
-     * marker icon appears again.
+     * Save props.
      */
-    this.cache = {};
+    this.config(props);
     /**
      * Scheduler helps to split a time consuming function to be executed in multiple frames.
      * In this way, time consuming function won't block UI thread.
      */
     this.scheduler = new Scheduler();
+    /**
+     * Incremental updates redraw canvas regions one after another. This promise resolves as soon
+     * as the last redraw completes.
+     */
+    this.redrawing = Promise.resolve();
+    /**
+     * Markers expanded from clusters are always drawn individually.
+     */
+    this.expanded = new Set();
+    /**
+     * Map cluster id to clusters of the last render. See cluster property for more details.
+     */
+    this.clusters = new Map();
+    /**
+     * Markers and clusters of the last clustered render in paint order.
+     */
+    this.items = [];
   }
 
   /**
@@ -170,12 +283,19 @@ class Marker {
    */
   config(props) {
     const {
+      cacheLimit = { maxEntries: 256 },
       canvas,
+      cluster,
       data = [],
       dpr = 1,
+      fallbackIcon,
       getSnapshotBeforeRender,
       height,
+      loadTimeout = 10000,
+      scaleWithZoom = true,
+      viewport = new Viewport(),
       width,
+      worker,
     } = props;
 
     /**
@@ -184,35 +304,157 @@ class Marker {
     if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
 
     this.dpr = dpr;
-
+    this.iconCache.config({
+      ...cacheLimit,
+      loadTimeout,
+    });
     /**
-     * We will manipulate canvas context later.
+     * Canvas size in CSS pixels. Markers entirely outside canvas are culled.
      */
-    this.ctx = canvas.getContext('2d');
+    this.height = height;
+    this.width = width;
+
     /**
-     * Clear canvas. Always clear canvas before render.
-     * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
-     * by half shall we have sharp images.
-     * Change canvas width restores canvas scale. Always set the correct scale so that callers are
-     * unaware of the implementation details of DPR.
+     * In worker mode, canvas is transferred to worker which draws markers. Only cloneable
+     * properties are posted to worker.
      */
-    canvas.height = height * this.dpr;
-    canvas.width = width * this.dpr;
-    this.ctx.scale(this.dpr, this.dpr);
+    if (!isNullVoid(worker)) {
+      WorkerLayer.assertUnsupported('Marker', { cluster, getSnapshotBeforeRender });
+
+      if (!isNullVoid(this.workerLayer) && this.workerLayer.worker !== worker) {
+        WorkerLayer.leave(this.workerLayer, canvas);
+      }
+      if (isNullVoid(this.workerLayer) || this.workerLayer.worker !== worker) {
+        this.workerLayer = new WorkerLayer({ layer: 'Marker', worker });
+      }
+      this.workerLayer.config(canvas, {
+        dpr,
+        fallbackIcon,
+        height,
+        loadTimeout,
+        scaleWithZoom,
+        width,
+      });
+    } else {
+      if (!isNullVoid(this.workerLayer)) WorkerLayer.leave(this.workerLayer, canvas);
+      this.workerLayer = void 0;
 
+      /**
+       * We will manipulate canvas context later.
+       */
+      this.ctx = canvas.getContext('2d');
+      /**
+       * Clear canvas. Always clear canvas before render.
+       * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales
+       * down by half shall we have sharp images.
+       * Change canvas width restores canvas scale. Always set the correct scale so that callers
+       * are unaware of the implementation details of DPR.
+       */
+      canvas.height = height * this.dpr;
+      canvas.width = width * this.dpr;
+      this.ctx.scale(this.dpr, this.dpr);
+    }
+
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
+    /**
+     * Whether marker sizes and anchor origins scale with viewport zoom or stay fixed in CSS pixels.
+     */
+    this.scaleWithZoom = scaleWithZoom;
+    /**
+     * Icons failing to load, or taking longer than load timeout, are replaced by fallback icon.
+     */
+    this.fallbackIcon = fallbackIcon;
+    /**
+     * Clustering is disabled if cluster is not defined.
+     */
+    this.cluster = isNullVoid(cluster) ? cluster : {
+      color: 'black',
+      fontSize: 12,
+      height: 32,
+      minCount: 2,
+      radius: 40,
+      width: 32,
+      ...cluster,
+    };
+    this.clusterer = isNullVoid(this.cluster) ? void 0 : new Clusterer({
+      minCount: this.cluster.minCount,
+      radius: this.cluster.radius,
+    });
     this.data = data;
     this.getSnapshotBeforeRender = getSnapshotBeforeRender;
+    /**
+     * Markers are indexed by their bounding boxes as soon as they are rendered so that finding
+     * markers by position doesn't go through the whole dataset.
+     */
+    this.spatialIndex = new SpatialIndex();
+  }
+
+  /**
+   * Release cached marker images. Images are loaded again when they are needed.
+   */
+  clearCache() {
+    this.iconCache.clear();
+  }
+
+  /**
+   * Cancel pending render and release cached images, including images evicted while they were in
+   * use. Layer draws again only after it is configured again.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.iconCache.destroy();
+
+    if (!isNullVoid(this.workerLayer)) {
+      this.workerLayer.destroy();
+      this.workerLayer = void 0;
+    }
+
+    this.data = [];
+    this.clusters = new Map();
+    this.items = [];
+    this.expanded = new Set();
+    if (!isNullVoid(this.spatialIndex)) this.spatialIndex.clear();
+  }
+
+  /**
+   * Load the given icons into cache ahead of render so that markers are drawn as soon as they
+   * are rendered. Return a promise resolving with the icons which fail to load, i.e.
+   * { failed: ['broken.png'] }.
+   */
+  preload(icons) {
+    return this.iconCache.preload(icons);
   }
 
   /**
    * Return a list of markers that contains the given position.
+   * A cluster containing the given position returns all its markers.
    */
   findByPosition({ x, y }) {
-    return this.data.filter(({ renderProps }) => {
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
+
+    const markers = [];
+    this.spatialIndex.search({ x, y }).forEach((eachMarker) => {
       /**
-       * This scenario happens if mouse event triggers before render completes.
+       * Clusters are hit by their bounding boxes.
        */
-      if (isNullVoid(renderProps)) return false;
+      if (this.clusters.get(eachMarker.clusterId) === eachMarker) {
+        markers.push(...eachMarker.markers);
+      } else {
+        markers.push(eachMarker);
+      }
+    });
+
+    return markers.filter(({ renderProps }) => {
+      /**
+       * Clustered markers are not drawn, therefore, they are found by clusters only.
+       */
+      if (isNullVoid(renderProps)) return true;
 
       const { anchorOrigin, height, position, rotation, width } = renderProps;
 
@@ -247,47 +489,616 @@ class Marker {
     });
   }
 
+  /**
+   * Return a list of clusters that contains the given position.
+   * Cluster is { count, id, markers, position }, where position is the centre of markers.
+   */
+  findClustersByPosition({ x, y }) {
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
+
+    return this.spatialIndex.search({ x, y }).filter((eachMarker) => {
+      return this.clusters.get(eachMarker.clusterId) === eachMarker;
+    }).map(({ clusterId, count, markers, position }) => {
+      return {
+        count,
+        id: clusterId,
+        /**
+         * Internal render properties should not expose.
+         */
+        markers: markers.map(({ renderProps, ...other }) => other),
+        position,
+      };
+    });
+  }
+
+  /**
+   * Draw markers of the given cluster individually until clusters collapse.
+   */
+  expandCluster({ id }) {
+    const cluster = this.clusters.get(id);
+    if (isNullVoid(cluster)) return Promise.resolve();
+
+    cluster.markers.forEach((eachMarker) => {
+      this.expanded.add(eachMarker);
+    });
+    return this.refresh();
+  }
+
+  /**
+   * Cluster all expanded markers again.
+   */
+  collapseClusters() {
+    this.expanded.clear();
+    return this.refresh();
+  }
+
+  /**
+   * Clear canvas and render all markers.
+   */
+  refresh() {
+    /**
+     * Worker clears its canvas at every render.
+     */
+    if (!isNullVoid(this.workerLayer)) return this.render();
+
+    const { canvas } = this.ctx;
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, canvas.width, canvas.height);
+    this.ctx.restore();
+
+    return this.render();
+  }
+
+  /**
+   * Group markers within cluster radius in canvas pixels, see Clusterer. Return a list of markers
+   * and clusters in data order, where each cluster takes the place of its first marker.
+   * Markers without position property, i.e. defined by getSnapshotBeforeRender, and expanded
+   * markers are never clustered.
+   */
+  getClusters() {
+    if (isNullVoid(this.cluster)) return this.data;
+
+    const candidates = this.data.filter((eachMarker) => {
+      return !isNullVoid(eachMarker.position) && !this.expanded.has(eachMarker);
+    });
+
+    /**
+     * Map the first marker of every cluster to its cluster.
+     */
+    const clusterByFirstMarker = new Map();
+    const clustered = new Set();
+
+    this.clusterer.cluster(candidates, (position) => this.viewport.toScreen(position))
+      .forEach(({ count, items: markers, position }, firstMarker) => {
+        markers.forEach((eachMarker) => clustered.add(eachMarker));
+        clusterByFirstMarker.set(firstMarker, {
+          clusterId: clusterByFirstMarker.size,
+          count,
+          markers,
+          position,
+        });
+      });
+
+    const items = [];
+    this.data.forEach((eachMarker) => {
+      if (clusterByFirstMarker.has(eachMarker)) {
+        items.push(clusterByFirstMarker.get(eachMarker));
+      } else if (clustered.has(eachMarker)) {
+        /**
+         * Clustered markers are drawn by their clusters, and their render properties of previous
+         * renders are discarded.
+         */
+        eachMarker.renderProps = void 0;
+      } else {
+        items.push(eachMarker);
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Render a cluster icon, if it is defined, and draw the count badge on top of it via text
+   * render. Cluster is indexed by its icon, or by its badge if icon is not defined.
+   */
+  async renderCluster(eachCluster) {
+    const {
+      color,
+      fontSize,
+      height,
+      icon,
+      width,
+    } = this.cluster;
+    const screenPosition = this.viewport.toScreen(eachCluster.position);
+    const visibleBoundingBox = [0, 0, this.width, this.height];
+
+    if (!isNullVoid(icon)) {
+      /**
+       * Icon centre is placed to cluster position.
+       */
+      const rendering = this.iconCache.withIcons((loadIcon) => Marker.render(
+        eachCluster, this.ctx, loadIcon,
+        [-width / 2, -height / 2], this.fallbackIcon, height, icon, screenPosition, 0, width,
+        visibleBoundingBox,
+      ));
+      /**
+       * Badge of a culled cluster is not drawn either.
+       */
+      if (eachCluster.renderProps.culled) return;
+      this.spatialIndex.insert(eachCluster, eachCluster.renderProps.boundingBox);
+      await rendering;
+      /**
+       * Cluster whose icon fails to load is not drawn, therefore, it is not found by position and
+       * its badge is not drawn either.
+       */
+      if (eachCluster.renderProps.failed) {
+        this.spatialIndex.remove(eachCluster);
+        return;
+      }
+    }
+
+    eachCluster.badge = {};
+    Text.render(
+      eachCluster.badge, this.ctx,
+      void 0, 'center', color, fontSize, screenPosition, eachCluster.count, void 0,
+      visibleBoundingBox,
+    );
+
+    if (isNullVoid(icon)) {
+      eachCluster.renderProps = eachCluster.badge.renderProps;
+      if (eachCluster.renderProps.culled) return;
+      this.spatialIndex.insert(eachCluster, eachCluster.renderProps.boundingBox);
+    }
+  }
+
+  /**
+   * Return properties of a single marker projected to canvas, i.e. { anchorOrigin, height, icon,
+   * position, rotation, width }. Markers rotate along with viewport.
+   */
+  getScreenProps(eachMarker) {
+    let {
+      anchorOrigin = [0, 0],
+      height,
+      icon,
+      position,
+      rotation = 0,
+      width,
+    } = eachMarker;
+
+    /**
+     * If there exists a getSnapshotBeforeRender function, apply each marker to
+     * getSnapshotBeforeRender.
+     */
+    if (this.getSnapshotBeforeRender) {
+      const snapshot = this.getSnapshotBeforeRender(eachMarker);
+      anchorOrigin = snapshot.anchorOrigin !== void 0 ? snapshot.anchorOrigin : [0, 0];
+      height = snapshot.height;
+      icon = snapshot.icon;
+      position = snapshot.position;
+      rotation = snapshot.rotation !== void 0 ? snapshot.rotation : 0;
+      width = snapshot.width;
+    }
+
+    const sizeScale = this.scaleWithZoom ? this.viewport.scale : 1;
+
+    return {
+      anchorOrigin: [anchorOrigin[0] * sizeScale, anchorOrigin[1] * sizeScale],
+      height: height * sizeScale,
+      icon,
+      position: this.viewport.toScreen(position),
+      rotation: rotation + this.viewport.rotation,
+      width: width * sizeScale,
+    };
+  }
+
+  /**
+   * Calculate render properties of a single marker and index it by its bounding box. Render
+   * properties are ready before marker image loads. Culled markers are not drawn, therefore, they
+   * are not found by position.
+   */
+  layoutItem(eachMarker) {
+    const {
+      anchorOrigin,
+      height,
+      icon,
+      position,
+      rotation,
+      width,
+    } = this.getScreenProps(eachMarker);
+
+    Marker.layout(
+      eachMarker,
+      anchorOrigin, height, icon, position, rotation, width, [0, 0, this.width, this.height],
+    );
+
+    if (eachMarker.renderProps.culled) {
+      this.spatialIndex.remove(eachMarker);
+    } else {
+      this.spatialIndex.insert(eachMarker, eachMarker.renderProps.boundingBox);
+    }
+  }
+
+  /**
+   * Render a single marker and index it by its bounding box.
+   */
+  renderItem(eachMarker) {
+    this.layoutItem(eachMarker);
+
+    const { renderProps } = eachMarker;
+    if (renderProps.culled) return Promise.resolve();
+
+    /**
+     * Image is drawn before its icon is released. Markers failing to load are not drawn either.
+     */
+    return this.iconCache.withIcons((loadIcon) => {
+      return Marker.loadImage(loadIcon, renderProps.icon, this.fallbackIcon).then((loadedImage) => {
+        Marker.drawLoadedImage(this.ctx, loadedImage, renderProps);
+      });
+    }).then(() => {
+      if (renderProps.failed) this.spatialIndex.remove(eachMarker);
+    });
+  }
+
+  /**
+   * Load the image of a single marker ahead of redrawing it. Return a promise resolving with
+   * { icons, loadedImage }, where loadedImage is resolved by Marker.loadImage. Icons are in use
+   * until drawItem draws the marker.
+   */
+  loadItem(eachMarker) {
+    const icons = [];
+    const loadIcon = (icon) => {
+      this.iconCache.retain(icon);
+      icons.push(icon);
+      return this.iconCache.load(icon);
+    };
+
+    return Marker.loadImage(loadIcon, this.getScreenProps(eachMarker).icon, this.fallbackIcon)
+      .then((loadedImage) => ({ icons, loadedImage }));
+  }
+
+  /**
+   * Draw a single marker with the image loaded by loadItem synchronously, and index it by its
+   * bounding box.
+   */
+  drawItem(eachMarker, { icons, loadedImage }) {
+    try {
+      this.layoutItem(eachMarker);
+
+      const { renderProps } = eachMarker;
+      if (renderProps.culled) return;
+
+      Marker.drawLoadedImage(this.ctx, loadedImage, renderProps);
+      if (renderProps.failed) this.spatialIndex.remove(eachMarker);
+    } finally {
+      icons.forEach((icon) => this.iconCache.release(icon));
+    }
+  }
+
   /**
    * Draw markers one by one.
    * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of markers and clusters culled outside canvas, and the list
+   * of markers and clusters which are not drawn because their icons fail to load.
+   * i.e. { culled: 3, failed: [{ icon: 'broken.png', ... }] }.
    */
   render() {
-    return this.scheduler.execute(this.data, (eachMarker) => {
-      let {
-        anchorOrigin = [0, 0],
-        height,
-        icon,
-        position,
-        rotation = 0,
-        width,
-      } = eachMarker;
+    const isFailed = ({ renderProps }) => !isNullVoid(renderProps) && renderProps.failed;
 
+    if (!isNullVoid(this.workerLayer)) {
+      this.clusters = new Map();
       /**
-       * If there exists a getSnapshotBeforeRender function, apply each marker to
-       * getSnapshotBeforeRender.
+       * Failed markers posted back are copies. Report markers of this thread instead.
        */
-      if (this.getSnapshotBeforeRender) {
-        const snapshot = this.getSnapshotBeforeRender(eachMarker);
-        anchorOrigin = snapshot.anchorOrigin !== void 0 ? snapshot.anchorOrigin : [0, 0];
-        height = snapshot.height;
-        icon = snapshot.icon;
-        position = snapshot.position;
-        rotation = snapshot.rotation !== void 0 ? snapshot.rotation : 0;
-        width = snapshot.width;
+      return this.workerLayer.render(this.data, this.viewport, this.spatialIndex)
+        .then((result) => ({ ...result, failed: this.data.filter(isFailed) }));
+    }
+
+    /**
+     * Markers rendered previously are no longer on canvas.
+     */
+    this.spatialIndex.clear();
+
+    /**
+     * Return the number of markers and clusters which are culled, and those which fail.
+     */
+    const summarise = (items) => {
+      return {
+        culled: items.filter(({ renderProps }) => {
+          return !isNullVoid(renderProps) && renderProps.culled;
+        }).length,
+        failed: items.filter(isFailed),
+      };
+    };
+
+    if (isNullVoid(this.cluster)) {
+      this.clusters = new Map();
+      return this.scheduler.execute(this.data, (eachMarker) => {
+        return this.renderItem(eachMarker);
+      }).then(() => summarise(this.data));
+    }
+
+    /**
+     * Clusters are recomputed at every render because they depend on data and viewport zoom.
+     */
+    const items = this.getClusters();
+    this.items = items;
+    this.clusters = new Map(items.filter((item) => !isNullVoid(item.clusterId)).map((item) => {
+      return [item.clusterId, item];
+    }));
+
+    return this.scheduler.execute(items, (item) => {
+      if (this.clusters.get(item.clusterId) === item) return this.renderCluster(item);
+      return this.renderItem(item);
+    }).then(() => summarise(items));
+  }
+
+  /**
+   * Clear the given bounding box and redraw markers inside it once previous redraws complete.
+   * Markers in the given list are always rendered so that their render properties are refreshed.
+   */
+  redraw(boundingBox, markers = []) {
+    /**
+     * Canvas is controlled by worker, therefore, changes are rendered fully in worker.
+     */
+    if (!isNullVoid(this.workerLayer)) {
+      return this.workerLayer.requestRender(() => [this.data, this.viewport, this.spatialIndex]);
+    }
+
+    /**
+     * Changing a single marker may change clusters, therefore, clustered markers are always
+     * rendered fully.
+     */
+    if (!isNullVoid(this.cluster)) {
+      /**
+       * Changes before the pending refresh starts share the same refresh.
+       */
+      if (isNullVoid(this.pendingRefresh)) {
+        this.pendingRefresh = this.redrawing.then(() => {
+          this.pendingRefresh = void 0;
+          return this.refresh();
+        });
+        this.redrawing = this.pendingRefresh.catch(() => {});
       }
+      return this.pendingRefresh;
+    }
 
-      return Marker.render(
-        eachMarker, this.ctx, this.cache, anchorOrigin, height, icon, position, rotation, width,
-      );
+    const redrawing = this.redrawing.then(() => redrawRegion(
+      this.ctx, this.data, this.spatialIndex, boundingBox, markers,
+      (eachMarker, region, loaded) => this.drawItem(eachMarker, loaded),
+      (eachMarker) => this.loadItem(eachMarker),
+    ));
+    /**
+     * A failed redraw should not block the following redraws.
+     */
+    this.redrawing = redrawing.catch(() => {});
+    return redrawing;
+  }
+
+  /**
+   * Redraw where the marker was and then where the marker is.
+   */
+  async redrawMarker(marker, previousBoundingBox) {
+    await this.redraw(previousBoundingBox, [marker]);
+
+    const boundingBox = getBoundingBox(marker);
+    if (!isNullVoid(boundingBox)) {
+      await this.redraw(boundingBox);
+    }
+  }
+
+  /**
+   * Append markers to data and draw them without redrawing the whole canvas.
+   */
+  add(markers) {
+    this.data = [...this.data, ...markers];
+    return Promise.all(markers.map((marker) => this.redrawMarker(marker)));
+  }
+
+  /**
+   * Apply patch to the marker with the given id and redraw only the affected area.
+   */
+  update(id, patch) {
+    const marker = this.data.find((eachMarker) => eachMarker.id === id);
+    if (isNullVoid(marker)) return Promise.resolve();
+
+    const previousBoundingBox = getBoundingBox(marker);
+    Object.assign(marker, patch);
+    return this.redrawMarker(marker, previousBoundingBox);
+  }
+
+  /**
+   * Remove the marker with the given id and redraw only the area it used to cover.
+   */
+  remove(id) {
+    const marker = this.data.find((eachMarker) => eachMarker.id === id);
+    if (isNullVoid(marker)) return Promise.resolve();
+
+    this.data = this.data.filter((eachMarker) => eachMarker !== marker);
+    this.spatialIndex.remove(marker);
+    return this.redraw(getBoundingBox(marker));
+  }
+
+  /**
+   * Replace data with a new list of markers keyed by id, and redraw only markers which are added,
+   * removed or updated. Canvas is fully rendered if the order of existing markers changes.
+   */
+  setData(data) {
+    const {
+      added,
+      removed,
+      reordered,
+      unchanged,
+      updated,
+    } = diffData(this.data, data);
+
+    if (reordered) {
+      this.data = data;
+      return this.render();
+    }
+
+    /**
+     * New marker objects take over render properties and index entries from the previous ones.
+     */
+    [...unchanged, ...updated].forEach(([previousMarker, nextMarker]) => {
+      nextMarker.renderProps = previousMarker.renderProps;
+      this.spatialIndex.replace(previousMarker, nextMarker);
+    });
+    removed.forEach((marker) => {
+      this.spatialIndex.remove(marker);
+    });
+
+    this.data = data;
+
+    return Promise.all([
+      ...removed.map((marker) => this.redraw(getBoundingBox(marker))),
+      ...updated.map(([previousMarker, nextMarker]) => {
+        return this.redrawMarker(nextMarker, getBoundingBox(previousMarker));
+      }),
+      ...added.map((marker) => this.redrawMarker(marker)),
+    ]);
+  }
+
+  /**
+   * Draw markers and clusters of the last render on the given context in the same order.
+   * SVG contexts reference images by their icon URLs. Canvas contexts draw images given by
+   * loadReplayImages, or cached images otherwise, in which case markers whose images have been
+   * evicted or loaded in worker only are left out.
+   */
+  replay(ctx, replayImages) {
+    const drawImage = (renderProps) => {
+      let image = renderProps.icon;
+      if (!(ctx instanceof SVGContext)) {
+        image = isNullVoid(replayImages) ? void 0 : replayImages.images.get(renderProps.icon);
+        if (isNullVoid(image)) image = this.iconCache.peek(renderProps.icon);
+      }
+      if (!isNullVoid(image)) Marker.draw(ctx, image, renderProps);
+    };
+
+    this.getPaintedItems().forEach((item) => {
+      if (this.clusters.get(item.clusterId) !== item) {
+        if (isDrawn(item.renderProps)) drawImage(item.renderProps);
+        return;
+      }
+
+      /**
+       * Cluster render properties are those of its badge if cluster icon is not defined.
+       */
+      if (!isNullVoid(this.cluster.icon) && isDrawn(item.renderProps)) {
+        drawImage(item.renderProps);
+      }
+      if (!isNullVoid(item.badge) && isDrawn(item.badge.renderProps)) {
+        Text.draw(ctx, item.badge.renderProps);
+      }
+    });
+  }
+
+  /**
+   * Return markers and clusters of the last render in paint order. Without clusters, markers are
+   * drawn in data order.
+   */
+  getPaintedItems() {
+    return this.clusters.size === 0 ? this.data : this.items;
+  }
+
+  /**
+   * Load icons of markers and clusters drawn by the last render so that replay draws them on
+   * canvases even if they have been evicted from cache, or loaded in worker only.
+   * Return a promise resolving with { images, release }, where images maps icon to image, and
+   * release must be called once replay completes. Icons are in use until then.
+   */
+  loadReplayImages() {
+    const icons = new Set();
+    this.getPaintedItems().forEach(({ renderProps }) => {
+      if (isDrawn(renderProps) && !isNullVoid(renderProps.icon)) icons.add(renderProps.icon);
     });
+
+    const images = new Map();
+    return Promise.all(Array.from(icons).map((icon) => {
+      this.iconCache.retain(icon);
+      return this.iconCache.load(icon).then((image) => {
+        images.set(icon, image);
+      }, () => {});
+    })).then(() => ({
+      images,
+      release: () => {
+        icons.forEach((icon) => this.iconCache.release(icon));
+      },
+    }));
+  }
+
+  /**
+   * Return an SVG document of markers drawn by the last render, see SVGContext. Render
+   * properties are replayed so that the document looks the same as canvas.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+    this.replay(ctx);
+    return ctx.toString();
   }
 }
 
 Marker.propTypes = {
+  /**
+   * Limits of marker image cache, see IconCache. Images used least recently are evicted first.
+   * Default { maxEntries: 256 }.
+   */
+  cacheLimit: PropTypes.shape({
+    maxBytes: PropTypes.number,
+    maxEntries: PropTypes.number,
+  }),
   /**
    * Markers are drawn on this canvas.
    */
   canvas: PropTypes.object.isRequired,
+  /**
+   * Group markers within a radius into clusters. Clustering is disabled if it is not defined.
+   * Clusters are recomputed at every render. findByPosition on a cluster returns its markers,
+   * findClustersByPosition returns clusters, and expandCluster draws markers of a cluster
+   * individually until collapseClusters. Markers are not clustered in worker, and config throws if
+   * both cluster and worker are defined.
+   */
+  cluster: PropTypes.shape({
+    /**
+     * Count badge text colour.
+     * Default black.
+     */
+    color: PropTypes.string,
+    /**
+     * Count badge font size.
+     * Default 12.
+     */
+    fontSize: PropTypes.number,
+    /**
+     * Cluster icon height in CSS pixels.
+     * Default 32.
+     */
+    height: PropTypes.number,
+    /**
+     * Cluster icon is whatever can be consumed by Image class. Icon centre is placed at the centre
+     * of clustered markers. Only count badge is drawn if it is omitted.
+     */
+    icon: PropTypes.any,
+    /**
+     * The minimum number of markers to form a cluster.
+     * Default 2.
+     */
+    minCount: PropTypes.number,
+    /**
+     * Markers within this radius in CSS pixels are grouped.
+     * Default 40.
+     */
+    radius: PropTypes.number,
+    /**
+     * Cluster icon width in CSS pixels.
+     * Default 32.
+     */
+    width: PropTypes.number,
+  }),
   /**
    * A list of markers.
    * Internally, there is a renderProps property which persists properties calling canvas APIs.
@@ -308,6 +1119,11 @@ Marker.propTypes = {
      * Marker icon is whatever can be consumed by Image class.
      */
     icon: PropTypes.any.isRequired,
+    /**
+     * Unique key of the marker. It is required by add, update, remove and setData which redraw
+     * single markers without redrawing the whole canvas.
+     */
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
     /**
      * Marker position. i.e. [x, y].
      * Marker anchor origin point is placed to this position.
@@ -334,6 +1150,11 @@ Marker.propTypes = {
    * Therefore, all configuration properties have unit of CSS pixel.
    */
   dpr: PropTypes.number,
+  /**
+   * Icon drawn in place of marker and cluster icons which fail to load. Markers are not drawn and
+   * are reported failed by render if it is not defined.
+   */
+  fallbackIcon: PropTypes.any,
   /**
    * getSnapshotBeforeRender is invoked right before calling canvas API to draw a marker.
    * It enables you to do time consuming manipulations of each marker while taking advantage of
@@ -341,16 +1162,43 @@ Marker.propTypes = {
    * them to Line, it ultimately results to a noticeable time elapse even though you have enough
    * skills in writing non blocking javascript code. getSnapshotBeforeRender must return properties
    * defined in data property (anchorOrigin, height, icon, position, rotation, and width).
+   * It can't be combined with worker because functions can't be posted.
    */
   getSnapshotBeforeRender: PropTypes.func,
   /**
    * Canvas height.
    */
   height: PropTypes.number.isRequired,
+  /**
+   * Milliseconds to wait for an icon to load before it fails.
+   * Default 10000. Infinity waits forever.
+   */
+  loadTimeout: PropTypes.number,
+  /**
+   * Whether marker sizes and anchor origins scale with viewport zoom. Set false to keep them
+   * fixed in CSS pixels no matter how viewport zooms.
+   * Default true.
+   */
+  scaleWithZoom: PropTypes.bool,
+  /**
+   * Viewport shared by layers to pan, zoom and rotate. Data coordinates are projected through
+   * viewport, therefore, render properties and findByPosition are in canvas CSS pixels.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
   /**
    * Canvas width.
    */
   width: PropTypes.number.isRequired,
+  /**
+   * Render markers in a web worker, see WorkerHost. Canvas is transferred to worker, therefore,
+   * it can no longer be drawn on the main thread. findByPosition still works on the main thread
+   * with render properties returned by worker. Data and icons must be cloneable. Config throws if
+   * cluster or getSnapshotBeforeRender is defined as well.
+   * Transferred canvas stays with worker. Config throws if worker is removed or replaced while
+   * canvas stays the same, therefore, configure another canvas to leave worker mode.
+   */
+  worker: PropTypes.object,
 };
 
 export default Marker;
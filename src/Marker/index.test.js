@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+import Platform from '../Platform';
+import createCanvas from '../testing/createCanvas';
+import createContext from '../testing/createContext';
+import Marker from '.';
+
+/**
+ * Return images drawn on the given context in order.
+ */
+function getDrawnImages(ctx) {
+  return ctx.calls.filter(([name]) => name === 'drawImage').map(([, image]) => image);
+}
+
+/**
+ * Image bitmap stand-in.
+ */
+function createBitmap(icon) {
+  return {
+    close() {
+      this.closed = true;
+    },
+    closed: false,
+    height: 1,
+    icon,
+    width: 1,
+  };
+}
+
+function createMarker(props) {
+  const canvas = createCanvas();
+  const marker = new Marker({
+    canvas,
+    height: 100,
+    width: 100,
+    ...props,
+  });
+  return { ctx: canvas.ctx, marker };
+}
+
+describe('Marker', () => {
+  let loads;
+
+  beforeEach(() => {
+    loads = [];
+    Platform.global.config({
+      loadImage: (icon) => {
+        loads.push(icon);
+        if (icon.startsWith('broken')) return Promise.reject(new Error(`Failed ${icon}`));
+        if (icon.startsWith('slow')) return new Promise(() => {});
+        return Promise.resolve(createBitmap(icon));
+      },
+      /**
+       * Frames are long enough to render markers of a test in one go.
+       */
+      requestFrame: (callback) => {
+        const id = setTimeout(() => callback({ timeRemaining: () => 1000 }), 0);
+        return () => clearTimeout(id);
+      },
+    });
+  });
+
+  afterEach(() => {
+    Platform.global.config({});
+  });
+
+  it('loads an icon once for concurrent markers', async () => {
+    const { ctx, marker } = createMarker({
+      data: [
+        { height: 5, icon: 'a.png', position: [10, 10], width: 5 },
+        { height: 5, icon: 'a.png', position: [20, 10], width: 5 },
+      ],
+    });
+
+    await expect(marker.render()).resolves.toEqual({ culled: 0, failed: [] });
+    expect(loads).toEqual(['a.png']);
+    expect(getDrawnImages(ctx)).toHaveLength(2);
+  });
+
+  it('reports markers whose icons fail or time out', async () => {
+    const { marker } = createMarker({
+      data: [
+        { height: 5, icon: 'broken.png', position: [10, 10], width: 5 },
+        { height: 5, icon: 'slow.png', position: [20, 10], width: 5 },
+      ],
+      loadTimeout: 10,
+    });
+
+    const { failed } = await marker.render();
+
+    expect(failed).toEqual(marker.data);
+    expect(marker.findByPosition({ x: 12, y: 12 })).toEqual([]);
+  });
+
+  it('draws fallback icon in place of broken icons', async () => {
+    const { ctx, marker } = createMarker({
+      data: [{ height: 5, icon: 'broken.png', position: [10, 10], width: 5 }],
+      fallbackIcon: 'fallback.png',
+    });
+
+    await expect(marker.render()).resolves.toEqual({ culled: 0, failed: [] });
+    expect(getDrawnImages(ctx).map(({ icon }) => icon)).toEqual(['fallback.png']);
+    expect(marker.data[0].renderProps.icon).toBe('fallback.png');
+  });
+
+  it('preloads icons and reports those which fail', async () => {
+    const { marker } = createMarker();
+
+    await expect(marker.preload(['a.png', 'broken.png'])).resolves.toEqual({
+      failed: ['broken.png'],
+    });
+    expect(marker.iconCache.peek('a.png')).toBeDefined();
+  });
+
+  it('releases icons in use on destroy and keeps later loads out of cache', async () => {
+    const { marker } = createMarker({ cacheLimit: { maxEntries: 1 } });
+    const image = await marker.iconCache.load('a.png');
+    marker.iconCache.retain('a.png');
+    await marker.iconCache.load('b.png');
+    let finishLoading;
+    Platform.global.config({
+      loadImage: (icon) => new Promise((resolve) => {
+        finishLoading = () => resolve(createBitmap(icon));
+      }),
+    });
+    const loading = marker.iconCache.load('c.png');
+
+    marker.destroy();
+    finishLoading();
+    await loading;
+
+    expect(image.closed).toBe(true);
+    expect(marker.iconCache.iconsInUse.size).toBe(0);
+    expect(marker.iconCache.peek('c.png')).toBeUndefined();
+  });
+
+  it('reloads evicted icons to replay on canvas', async () => {
+    const { marker } = createMarker({
+      cacheLimit: { maxEntries: 1 },
+      data: [
+        { height: 5, icon: 'a.png', position: [10, 10], width: 5 },
+        { height: 5, icon: 'b.png', position: [20, 10], width: 5 },
+      ],
+    });
+    await marker.render();
+    const ctx = createContext();
+
+    const replayImages = await marker.loadReplayImages();
+    marker.replay(ctx, replayImages);
+    replayImages.release();
+
+    expect(getDrawnImages(ctx).map(({ icon }) => icon)).toEqual(['a.png', 'b.png']);
+  });
+
+  it('loads icons of updated markers before clipping the redrawn region', async () => {
+    const { ctx, marker } = createMarker({
+      data: [{ height: 5, icon: 'a.png', id: 1, position: [10, 10], width: 5 }],
+      loadTimeout: 50,
+    });
+    await marker.render();
+    const renderedCalls = ctx.calls.length;
+
+    marker.update(1, { icon: 'slow.png' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(ctx.calls.slice(renderedCalls)).toEqual([]);
+
+    await marker.update(1, { icon: 'b.png', position: [20, 10] });
+    expect(getDrawnImages(ctx).pop().icon).toBe('b.png');
+    expect(marker.findByPosition({ x: 22, y: 12 })).toHaveLength(1);
+    expect(ctx.calls.filter(([name]) => name === 'save')).toHaveLength(
+      ctx.calls.filter(([name]) => name === 'restore').length,
+    );
+  });
+});
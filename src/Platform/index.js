@@ -0,0 +1,74 @@
+import PropTypes from 'prop-types';
+import createCanvas from '../utils/createCanvas';
+import loadImage from '../utils/loadImage';
+import requestFrame, { now } from '../utils/requestFrame';
+
+/**
+ * Platform provides everything layers need from the environment, i.e. offscreen canvases, images
+ * and frames. Browser implementations are used by default.
+ * Replace them on the global platform before creating layers to render somewhere else, i.e.
+ * with node-canvas on a server:
+ *
+ *   Platform.global.config({
+ *     createCanvas: () => createCanvas(1, 1),
+ *     loadImage,
+ *   });
+ */
+class Platform {
+  /**
+   * Platform used by all layers and schedulers.
+   */
+  static global = new Platform();
+
+  constructor(props = {}) {
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Replace environment functions. Functions which are not given fall back to browser
+   * implementations.
+   */
+  config(props) {
+    const {
+      createCanvas: internalCreateCanvas = createCanvas,
+      loadImage: internalLoadImage = loadImage,
+      now: internalNow = now,
+      requestFrame: internalRequestFrame = requestFrame,
+    } = props;
+
+    this.createCanvas = internalCreateCanvas;
+    this.loadImage = internalLoadImage;
+    this.now = internalNow;
+    this.requestFrame = internalRequestFrame;
+  }
+}
+
+Platform.propTypes = {
+  /**
+   * Return a canvas which is never attached to document. Layers resize it before drawing.
+   * Default document canvas, or OffscreenCanvas in workers.
+   */
+  createCanvas: PropTypes.func,
+  /**
+   * Return a promise resolving with an image of the given source which canvas can draw, and
+   * rejecting if the image fails to load.
+   * Default Image, or ImageBitmap in workers.
+   */
+  loadImage: PropTypes.func,
+  /**
+   * Return the current time in milliseconds.
+   * Default performance.now.
+   */
+  now: PropTypes.func,
+  /**
+   * Call callback with an IdleDeadline like object at the next frame, and return a function
+   * which cancels the request.
+   * Default requestIdleCallback, falling back to requestAnimationFrame and setTimeout.
+   */
+  requestFrame: PropTypes.func,
+};
+
+export default Platform;
@@ -0,0 +1,287 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+import Stage from '../Stage';
+
+/**
+ * Two hits are the same if they are in the same layer and their items are shallowly equal.
+ * findByPosition returns copies of items without render properties, therefore, items found by
+ * different calls are never identical. Hit details, i.e. distance of lines, change as pointer
+ * moves and are ignored.
+ */
+function isSameHit(hit, otherHit) {
+  if (hit.layer !== otherHit.layer) return false;
+
+  const keys = Object.keys(hit.item).filter((key) => key !== 'hit');
+  if (keys.length !== Object.keys(otherHit.item).filter((key) => key !== 'hit').length) {
+    return false;
+  }
+  return keys.every((key) => hit.item[key] === otherHit.item[key]);
+}
+
+/**
+ * PointerEvents listens to mouse and touch events on an element, finds items under pointer via
+ * findByPosition of layers, and emits click, dblclick, contextmenu, mousemove, mouseenter and
+ * mouseleave with the item that was hit.
+ * Listeners receive { item, layer, originalEvent, type, x, y }, where x and y are pointer position
+ * in CSS pixels relative to element. Layers scale pointer positions by DPR themselves.
+ */
+class PointerEvents {
+  constructor(props = {}) {
+    /**
+     * Map event type to a list of listeners.
+     */
+    this.listeners = {};
+    /**
+     * Hits under pointer at the last pointer move. It is used to find which items pointer enters
+     * and leaves.
+     */
+    this.hovered = [];
+    /**
+     * Touch moves more than a few pixels is a pan rather than a tap.
+     */
+    this.touchStart = void 0;
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Update element and layers. Listeners on the previous element are removed.
+   */
+  config(props) {
+    const {
+      cursor = 'pointer',
+      element,
+      layers = [],
+      stage,
+    } = props;
+
+    /**
+     * This is required property.
+     */
+    if (isNullVoid(element)) return;
+
+    this.unlisten();
+
+    this.cursor = cursor;
+    this.element = element;
+    this.layers = layers;
+    this.stage = stage;
+
+    /**
+     * DOM event listeners are bound once so that they can be removed later.
+     */
+    this.domListeners = {
+      click: (event) => this.handleMouseEvent(event),
+      contextmenu: (event) => this.handleMouseEvent(event),
+      dblclick: (event) => this.handleMouseEvent(event),
+      mouseleave: (event) => this.handleLeave(event),
+      mousemove: (event) => this.handleMouseEvent(event),
+      touchend: (event) => this.handleTouchEnd(event),
+      touchmove: (event) => this.handleTouchMove(event),
+      touchstart: (event) => this.handleTouchStart(event),
+    };
+    Object.keys(this.domListeners).forEach((type) => {
+      this.element.addEventListener(type, this.domListeners[type]);
+    });
+  }
+
+  /**
+   * Remove DOM event listeners from element.
+   */
+  unlisten() {
+    if (isNullVoid(this.element)) return;
+
+    Object.keys(this.domListeners).forEach((type) => {
+      this.element.removeEventListener(type, this.domListeners[type]);
+    });
+    this.element.style.cursor = '';
+  }
+
+  /**
+   * Stop listening to element and remove all listeners.
+   */
+  destroy() {
+    this.unlisten();
+    this.element = void 0;
+    this.hovered = [];
+    this.listeners = {};
+  }
+
+  /**
+   * Listen to an event type.
+   */
+  on(type, listener) {
+    if (!this.listeners.hasOwnProperty(type)) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+  }
+
+  /**
+   * Stop listening to an event type.
+   */
+  off(type, listener) {
+    if (!this.listeners.hasOwnProperty(type)) return;
+    this.listeners[type] = this.listeners[type].filter((eachListener) => eachListener !== listener);
+  }
+
+  /**
+   * Call listeners of the given type with event.
+   */
+  emit(type, event) {
+    (this.listeners[type] || []).forEach((listener) => {
+      listener({ ...event, type });
+    });
+  }
+
+  /**
+   * Return pointer position in CSS pixels relative to element.
+   */
+  getPosition({ clientX, clientY }) {
+    const { left, top } = this.element.getBoundingClientRect();
+    return {
+      x: clientX - left,
+      y: clientY - top,
+    };
+  }
+
+  /**
+   * Return a list of { item, layer } under the given position, the top most first.
+   * Items with interactive false are ignored.
+   */
+  findHits({ x, y }) {
+    const hits = isNullVoid(this.stage)
+      ? this.layers.reduce((allHits, layer) => {
+        return [
+          ...allHits,
+          ...layer.findByPosition({ x, y }).map((item) => ({ item, layer })),
+        ];
+      }, [])
+      : this.stage.findByPosition({ x, y });
+
+    return hits.filter(({ item }) => item.interactive !== false).reverse();
+  }
+
+  /**
+   * Emit mouseenter and mouseleave by comparing hits with the previous hits, and update cursor.
+   */
+  updateHovered(hits, position, originalEvent) {
+    this.hovered.filter((hit) => {
+      return !hits.some((eachHit) => isSameHit(hit, eachHit));
+    }).forEach((hit) => {
+      this.emit('mouseleave', { ...hit, ...position, originalEvent });
+    });
+    hits.filter((hit) => {
+      return !this.hovered.some((eachHit) => isSameHit(hit, eachHit));
+    }).forEach((hit) => {
+      this.emit('mouseenter', { ...hit, ...position, originalEvent });
+    });
+
+    this.hovered = hits;
+
+    /**
+     * Item defines its own cursor style, otherwise, use the default interactive cursor.
+     */
+    if (hits.length === 0) {
+      this.element.style.cursor = '';
+    } else {
+      this.element.style.cursor = isNullVoid(hits[0].item.cursor)
+        ? this.cursor
+        : hits[0].item.cursor;
+    }
+  }
+
+  /**
+   * Emit event of the same type for every item under pointer.
+   */
+  emitHits(type, hits, position, originalEvent) {
+    hits.forEach((hit) => {
+      this.emit(type, { ...hit, ...position, originalEvent });
+    });
+  }
+
+  /**
+   * Mouse events emit events of the same type. Mouse move also updates hovered items.
+   */
+  handleMouseEvent(event) {
+    const position = this.getPosition(event);
+    const hits = this.findHits(position);
+
+    if (event.type === 'mousemove') this.updateHovered(hits, position, event);
+    this.emitHits(event.type, hits, position, event);
+  }
+
+  /**
+   * Pointer leaves element, therefore, it leaves all items.
+   */
+  handleLeave(event) {
+    this.updateHovered([], this.getPosition(event), event);
+  }
+
+  /**
+   * Touch start enters items under finger.
+   */
+  handleTouchStart(event) {
+    const touch = event.changedTouches[0];
+    const position = this.getPosition(touch);
+    this.touchStart = position;
+    this.updateHovered(this.findHits(position), position, event);
+  }
+
+  /**
+   * Touch move behaves like mouse move.
+   */
+  handleTouchMove(event) {
+    const position = this.getPosition(event.changedTouches[0]);
+    const hits = this.findHits(position);
+    this.updateHovered(hits, position, event);
+    this.emitHits('mousemove', hits, position, event);
+  }
+
+  /**
+   * Touch end is a click if finger doesn't move far away from where it starts. Finger leaves all
+   * items afterwards.
+   */
+  handleTouchEnd(event) {
+    const position = this.getPosition(event.changedTouches[0]);
+
+    if (!isNullVoid(this.touchStart)
+      && Math.abs(position.x - this.touchStart.x) <= 5
+      && Math.abs(position.y - this.touchStart.y) <= 5) {
+      const hits = this.findHits(position);
+      /**
+       * Browsers fire a compatibility click after touch end, which would emit click twice.
+       */
+      if (hits.length !== 0) event.preventDefault();
+      this.emitHits('click', hits, position, event);
+    }
+
+    this.touchStart = void 0;
+    this.updateHovered([], position, event);
+  }
+}
+
+PointerEvents.propTypes = {
+  /**
+   * Cursor style applied to element when an interactive item is under pointer. Items may override
+   * it by their own cursor property.
+   * Default pointer.
+   */
+  cursor: PropTypes.string,
+  /**
+   * DOM element listening to mouse and touch events, i.e. stage container or the top most canvas.
+   */
+  element: PropTypes.object.isRequired,
+  /**
+   * Layers to find items from, in paint order. Ignored if stage is defined.
+   */
+  layers: PropTypes.arrayOf(PropTypes.shape({
+    findByPosition: PropTypes.func.isRequired,
+  })),
+  /**
+   * Find items from all layers of stage.
+   */
+  stage: PropTypes.instanceOf(Stage),
+};
+
+export default PointerEvents;
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+import PointerEvents from '.';
+
+/**
+ * Element stand-in placed at [10, 20] of the page. Events are dispatched to its listeners
+ * directly.
+ */
+function createElement() {
+  const listeners = {};
+  return {
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    dispatch: (type, event = {}) => {
+      if (listeners[type] !== void 0) listeners[type]({ type, ...event });
+    },
+    getBoundingClientRect: () => ({ left: 10, top: 20 }),
+    listeners,
+    removeEventListener: (type, listener) => {
+      if (listeners[type] === listener) delete listeners[type];
+    },
+    style: {},
+  };
+}
+
+/**
+ * Layer stand-in whose items are boxes, i.e. { box: [minX, minY, maxX, maxY] }. Items are found
+ * as copies, as layers strip render properties.
+ */
+function createLayer(items) {
+  return {
+    findByPosition: ({ x, y }) => items.filter(({ box: [minX, minY, maxX, maxY] }) => {
+      return minX <= x && x <= maxX && minY <= y && y <= maxY;
+    }).map((item) => ({ ...item })),
+  };
+}
+
+/**
+ * Listen to the given event types and return received events in order, i.e. ['click', 'a'].
+ */
+function record(pointerEvents, types) {
+  const events = [];
+  types.forEach((type) => {
+    pointerEvents.on(type, ({ item }) => {
+      events.push([type, item.id]);
+    });
+  });
+  return events;
+}
+
+describe('PointerEvents', () => {
+  const box = [0, 0, 10, 10];
+  let element;
+  let layer;
+  let pointerEvents;
+
+  beforeEach(() => {
+    element = createElement();
+    layer = createLayer([
+      { box, id: 'bottom' },
+      { box, cursor: 'move', id: 'top' },
+      { box: [20, 0, 30, 10], id: 'other' },
+      { box: [40, 0, 50, 10], id: 'inert', interactive: false },
+    ]);
+    pointerEvents = new PointerEvents({ element, layers: [layer] });
+  });
+
+  it('emits events with items under pointer, the top most first', () => {
+    const received = [];
+    pointerEvents.on('click', (event) => received.push(event));
+    pointerEvents.on('dblclick', (event) => received.push(event));
+
+    element.dispatch('click', { clientX: 15, clientY: 25 });
+    element.dispatch('dblclick', { clientX: 15, clientY: 25 });
+    element.dispatch('click', { clientX: 55, clientY: 25 });
+
+    expect(received.map(({ item, type }) => [type, item.id])).toEqual([
+      ['click', 'top'],
+      ['click', 'bottom'],
+      ['dblclick', 'top'],
+      ['dblclick', 'bottom'],
+    ]);
+    expect(received[0]).toMatchObject({ layer, x: 5, y: 5 });
+  });
+
+  it('emits mouseenter and mouseleave once per item and updates cursor', () => {
+    const events = record(pointerEvents, ['mouseenter', 'mouseleave']);
+
+    element.dispatch('mousemove', { clientX: 15, clientY: 25 });
+    expect(element.style.cursor).toBe('move');
+    element.dispatch('mousemove', { clientX: 16, clientY: 26 });
+    element.dispatch('mousemove', { clientX: 35, clientY: 25 });
+    expect(element.style.cursor).toBe('pointer');
+    element.dispatch('mousemove', { clientX: 55, clientY: 25 });
+    expect(element.style.cursor).toBe('');
+
+    expect(events).toEqual([
+      ['mouseenter', 'top'],
+      ['mouseenter', 'bottom'],
+      ['mouseleave', 'top'],
+      ['mouseleave', 'bottom'],
+      ['mouseenter', 'other'],
+      ['mouseleave', 'other'],
+    ]);
+  });
+
+  it('leaves all items when pointer leaves element', () => {
+    const events = record(pointerEvents, ['mouseleave']);
+
+    element.dispatch('mousemove', { clientX: 35, clientY: 25 });
+    element.dispatch('mouseleave', { clientX: 100, clientY: 100 });
+
+    expect(events).toEqual([['mouseleave', 'other']]);
+    expect(element.style.cursor).toBe('');
+  });
+
+  it('turns taps into clicks and ignores touches which pan', () => {
+    const events = record(pointerEvents, ['click', 'mouseenter', 'mouseleave']);
+    const touch = (clientX, clientY) => ({
+      changedTouches: [{ clientX, clientY }],
+      preventDefault: jest.fn(),
+    });
+
+    element.dispatch('touchstart', touch(35, 25));
+    const tap = touch(37, 27);
+    element.dispatch('touchend', tap);
+    element.dispatch('touchstart', touch(35, 25));
+    element.dispatch('touchmove', touch(60, 25));
+    element.dispatch('touchend', touch(60, 25));
+
+    expect(tap.preventDefault).toHaveBeenCalled();
+    expect(events).toEqual([
+      ['mouseenter', 'other'],
+      ['click', 'other'],
+      ['mouseleave', 'other'],
+      ['mouseenter', 'other'],
+      ['mouseleave', 'other'],
+    ]);
+  });
+
+  it('stops emitting to removed listeners and after destroy', () => {
+    const listener = jest.fn();
+    pointerEvents.on('click', listener);
+    pointerEvents.off('click', listener);
+    element.dispatch('click', { clientX: 15, clientY: 25 });
+
+    pointerEvents.on('click', listener);
+    pointerEvents.destroy();
+
+    expect(element.listeners).toEqual({});
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,563 @@
+import PropTypes from 'prop-types';
+import diffData from '../utils/diffData';
+import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import redrawRegion from '../utils/redrawRegion';
+import Scheduler from '../Scheduler';
+import SpatialIndex from '../SpatialIndex';
+import SVGContext from '../SVGContext';
+import Viewport from '../Viewport';
+
+/**
+ * Return the bounding box of the last render of the given polygon, undefined if it is not drawn.
+ */
+function getBoundingBox(polygon) {
+  return isNullVoid(polygon.renderProps) ? void 0 : polygon.renderProps.boundingBox;
+}
+
+/**
+ * Return how many times rings wind around the given position. Rings are closed implicitly.
+ * Winding number is increased by every upward edge crossing on the right hand side of position and
+ * decreased by every downward edge crossing on the right hand side of position.
+ * A position is inside polygon if winding number is not zero for nonzero fill rule, and if winding
+ * number is odd for evenodd fill rule, because crossing count has the same parity.
+ */
+function getWindingNumber([x, y], rings) {
+  return rings.reduce((windingNumber, ring) => {
+    return ring.reduce((ringWindingNumber, start, index) => {
+      const end = ring[(index + 1) % ring.length];
+      /**
+       * Positive if position is on the left hand side of edge from start to end.
+       */
+      const isLeft = (end[0] - start[0]) * (y - start[1]) - (x - start[0]) * (end[1] - start[1]);
+
+      if (start[1] <= y) {
+        if (end[1] > y && isLeft > 0) return ringWindingNumber + 1;
+      } else if (end[1] <= y && isLeft < 0) {
+        return ringWindingNumber - 1;
+      }
+      return ringWindingNumber;
+    }, windingNumber);
+  }, 0);
+}
+
+class Polygon {
+  /**
+   * Render a single polygon on the given canvas context.
+   */
+  static render(
+    polygonObject, ctx,
+    borderColor, borderWidth, color, fillRule, opacity, path, visibleBoundingBox,
+  ) {
+    /**
+     * Round number values because decimal points significantly affects canvas performance.
+     */
+    const internalPath = path.map((ring) => {
+      return ring.map(([x, y]) => [Math.round(x), Math.round(y)]);
+    }).filter((ring) => {
+      /**
+       * Skip rings which cannot become an area.
+       */
+      return ring.length >= 3;
+    });
+    const internalBorderWidth = Math.round(borderWidth);
+
+    /**
+     * Persist render properties. Render properties are processed via use defined properties, i.e.
+     * rounding decimal points, and are passed to canvas render APIs directly.
+     */
+    const renderProps = {
+      borderColor,
+      borderWidth: internalBorderWidth,
+      color,
+      fillRule,
+      opacity,
+      path: internalPath,
+    };
+    polygonObject.renderProps = renderProps;
+
+    /**
+     * Skip if it cannot become a polygon.
+     */
+    if (renderProps.path.length === 0) return;
+
+    /**
+     * Bounding box is used to index polygon for finding polygons by position. Border extends half
+     * of its width to both sides of the path. i.e. [minX, minY, maxX, maxY].
+     */
+    const halfBorderWidth = isNullVoid(renderProps.borderColor) ? 0 : renderProps.borderWidth / 2;
+    const [minX, minY, maxX, maxY] = renderProps.path.reduce((boundingBox, ring) => {
+      return ring.reduce((ringBoundingBox, [x, y]) => {
+        return [
+          Math.min(ringBoundingBox[0], x),
+          Math.min(ringBoundingBox[1], y),
+          Math.max(ringBoundingBox[2], x),
+          Math.max(ringBoundingBox[3], y),
+        ];
+      }, boundingBox);
+    }, [Infinity, Infinity, -Infinity, -Infinity]);
+    renderProps.boundingBox = [
+      minX - halfBorderWidth,
+      minY - halfBorderWidth,
+      maxX + halfBorderWidth,
+      maxY + halfBorderWidth,
+    ];
+
+    /**
+     * Skip if it is entirely outside the visible area.
+     */
+    if (!isNullVoid(visibleBoundingBox)
+      && !isOverlapping(renderProps.boundingBox, visibleBoundingBox)) {
+      renderProps.culled = true;
+      return;
+    }
+
+    Polygon.draw(ctx, renderProps);
+  }
+
+  /**
+   * Draw a single polygon with its render properties on the given canvas context.
+   */
+  static draw(ctx, renderProps) {
+    /**
+     * Opacity must be restored as soon as render completes.
+     */
+    ctx.save();
+    ctx.globalAlpha = renderProps.opacity;
+
+    /**
+     * Begin a new polygon. Every ring is a closed sub path.
+     */
+    ctx.beginPath();
+    renderProps.path.forEach((ring) => {
+      const [startingX, startingY] = ring[0];
+      ctx.moveTo(startingX, startingY);
+      ring.slice(1).forEach(([x, y]) => {
+        ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+    });
+
+    /**
+     * Fill rule decides whether inner rings are holes.
+     */
+    if (!isNullVoid(renderProps.color)) {
+      ctx.fillStyle = renderProps.color;
+      ctx.fill(renderProps.fillRule);
+    }
+    if (!isNullVoid(renderProps.borderColor) && renderProps.borderWidth !== 0) {
+      ctx.strokeStyle = renderProps.borderColor;
+      ctx.lineWidth = renderProps.borderWidth;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  constructor(props = {}) {
+    /**
+     * Save props.
+     */
+    this.config(props);
+    /**
+     * Scheduler helps to split a time consuming function to be executed in multiple frames.
+     * In this way, time consuming function won't block UI thread.
+     */
+    this.scheduler = new Scheduler();
+    /**
+     * Incremental updates redraw canvas regions one after another. This promise resolves as soon
+     * as the last redraw completes.
+     */
+    this.redrawing = Promise.resolve();
+  }
+
+  /**
+   * Update ctx and dataset.
+   */
+  config(props) {
+    const {
+      canvas,
+      data = [],
+      dpr = 1,
+      getSnapshotBeforeRender,
+      height,
+      scaleWithZoom = true,
+      viewport = new Viewport(),
+      width,
+    } = props;
+
+    /**
+     * These are required properties.
+     */
+    if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
+
+    this.dpr = dpr;
+    /**
+     * Canvas size in CSS pixels. Polygons entirely outside canvas are culled.
+     */
+    this.height = height;
+    this.width = width;
+
+    /**
+     * We will manipulate canvas context later.
+     */
+    this.ctx = canvas.getContext('2d');
+    /**
+     * Clear canvas. Always clear canvas before render.
+     * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
+     * by half shall we have sharp images.
+     * Change canvas width restores canvas scale. Always set the correct scale so that callers are
+     * unaware of the implementation details of DPR.
+     */
+    canvas.height = height * this.dpr;
+    canvas.width = width * this.dpr;
+    this.ctx.scale(this.dpr, this.dpr);
+
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
+    /**
+     * Whether border widths scale with viewport zoom or stay fixed in CSS pixels.
+     */
+    this.scaleWithZoom = scaleWithZoom;
+    this.data = data;
+    this.getSnapshotBeforeRender = getSnapshotBeforeRender;
+    /**
+     * Polygons are indexed by their bounding boxes as soon as they are rendered so that finding
+     * polygons by position doesn't go through the whole dataset.
+     */
+    this.spatialIndex = new SpatialIndex();
+  }
+
+  /**
+   * Polygon layer keeps no cache. It is defined so that every layer releases its caches the same
+   * way.
+   */
+  clearCache() {}
+
+  /**
+   * Cancel pending render and drop polygons.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.clearCache();
+    this.data = [];
+    if (!isNullVoid(this.spatialIndex)) this.spatialIndex.clear();
+  }
+
+  /**
+   * Return a list of polygons that contains the given position.
+   */
+  findByPosition({ x, y }) {
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
+
+    return this.spatialIndex.search({ x, y }).filter(({ renderProps }) => {
+      const { fillRule, path } = renderProps;
+      const windingNumber = getWindingNumber([x, y], path);
+
+      /**
+       * Render properties are not scaled by DPR, therefore, they can compare with mouse pointer
+       * position directly.
+       */
+      return fillRule === 'evenodd' ? windingNumber % 2 !== 0 : windingNumber !== 0;
+    }).map(({ renderProps, ...other }) => {
+      /**
+       * Internal render properties should not expose.
+       */
+      return other;
+    });
+  }
+
+  /**
+   * Render a single polygon and index it by its bounding box.
+   */
+  renderItem(eachPolygon) {
+    let {
+      borderColor = 'black',
+      borderWidth = 1,
+      color = 'black',
+      fillRule = 'nonzero',
+      opacity = 1,
+      path,
+    } = eachPolygon;
+
+    /**
+     * If there exists a getSnapshotBeforeRender function, apply each polygon to
+     * getSnapshotBeforeRender.
+     */
+    if (this.getSnapshotBeforeRender) {
+      const snapshot = this.getSnapshotBeforeRender(eachPolygon);
+      borderColor = snapshot.borderColor !== void 0 ? snapshot.borderColor : 'black';
+      borderWidth = snapshot.borderWidth !== void 0 ? snapshot.borderWidth : 1;
+      color = snapshot.color !== void 0 ? snapshot.color : 'black';
+      fillRule = snapshot.fillRule !== void 0 ? snapshot.fillRule : 'nonzero';
+      opacity = snapshot.opacity !== void 0 ? snapshot.opacity : 1;
+      path = snapshot.path;
+    }
+
+    /**
+     * Project polygon to canvas.
+     */
+    Polygon.render(
+      eachPolygon, this.ctx, borderColor,
+      this.scaleWithZoom ? borderWidth * this.viewport.scale : borderWidth,
+      color, fillRule, opacity,
+      path.map((ring) => ring.map((point) => this.viewport.toScreen(point))),
+      [0, 0, this.width, this.height],
+    );
+
+    /**
+     * Polygons which are not drawn don't have bounding boxes. Culled polygons are not drawn
+     * either.
+     */
+    if (isNullVoid(eachPolygon.renderProps.boundingBox) || eachPolygon.renderProps.culled) {
+      this.spatialIndex.remove(eachPolygon);
+    } else {
+      this.spatialIndex.insert(eachPolygon, eachPolygon.renderProps.boundingBox);
+    }
+  }
+
+  /**
+   * Draw polygons one by one.
+   * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of polygons culled outside canvas. i.e. { culled: 3 }.
+   */
+  render() {
+    /**
+     * Polygons rendered previously are no longer on canvas.
+     */
+    this.spatialIndex.clear();
+
+    return this.scheduler.execute(this.data, (eachPolygon) => {
+      return this.renderItem(eachPolygon);
+    }).then(() => {
+      return {
+        culled: this.data.filter(({ renderProps }) => renderProps.culled).length,
+      };
+    });
+  }
+
+  /**
+   * Clear the given bounding box and redraw polygons inside it once previous redraws complete.
+   * Polygons in the given list are always rendered so that their render properties are refreshed.
+   */
+  redraw(boundingBox, polygons = []) {
+    const redrawing = this.redrawing.then(() => redrawRegion(
+      this.ctx, this.data, this.spatialIndex, boundingBox, polygons,
+      (eachPolygon) => this.renderItem(eachPolygon),
+    ));
+    /**
+     * A failed redraw should not block the following redraws.
+     */
+    this.redrawing = redrawing.catch(() => {});
+    return redrawing;
+  }
+
+  /**
+   * Redraw where the polygon was and then where the polygon is.
+   */
+  async redrawPolygon(polygon, previousBoundingBox) {
+    await this.redraw(previousBoundingBox, [polygon]);
+
+    const boundingBox = getBoundingBox(polygon);
+    if (!isNullVoid(boundingBox)) {
+      await this.redraw(boundingBox);
+    }
+  }
+
+  /**
+   * Append polygons to data and draw them without redrawing the whole canvas.
+   */
+  add(polygons) {
+    this.data = [...this.data, ...polygons];
+    return Promise.all(polygons.map((polygon) => this.redrawPolygon(polygon)));
+  }
+
+  /**
+   * Apply patch to the polygon with the given id and redraw only the affected area.
+   */
+  update(id, patch) {
+    const polygon = this.data.find((eachPolygon) => eachPolygon.id === id);
+    if (isNullVoid(polygon)) return Promise.resolve();
+
+    const previousBoundingBox = getBoundingBox(polygon);
+    Object.assign(polygon, patch);
+    return this.redrawPolygon(polygon, previousBoundingBox);
+  }
+
+  /**
+   * Remove the polygon with the given id and redraw only the area it used to cover.
+   */
+  remove(id) {
+    const polygon = this.data.find((eachPolygon) => eachPolygon.id === id);
+    if (isNullVoid(polygon)) return Promise.resolve();
+
+    this.data = this.data.filter((eachPolygon) => eachPolygon !== polygon);
+    this.spatialIndex.remove(polygon);
+    return this.redraw(getBoundingBox(polygon));
+  }
+
+  /**
+   * Replace data with a new list of polygons keyed by id, and redraw only polygons which are added,
+   * removed or updated. Canvas is fully rendered if the order of existing polygons changes.
+   */
+  setData(data) {
+    const {
+      added,
+      removed,
+      reordered,
+      unchanged,
+      updated,
+    } = diffData(this.data, data);
+
+    if (reordered) {
+      this.data = data;
+      return this.render();
+    }
+
+    /**
+     * New polygon objects take over render properties and index entries from the previous ones.
+     */
+    [...unchanged, ...updated].forEach(([previousPolygon, nextPolygon]) => {
+      nextPolygon.renderProps = previousPolygon.renderProps;
+      this.spatialIndex.replace(previousPolygon, nextPolygon);
+    });
+    removed.forEach((polygon) => {
+      this.spatialIndex.remove(polygon);
+    });
+
+    this.data = data;
+
+    return Promise.all([
+      ...removed.map((polygon) => this.redraw(getBoundingBox(polygon))),
+      ...updated.map(([previousPolygon, nextPolygon]) => {
+        return this.redrawPolygon(nextPolygon, getBoundingBox(previousPolygon));
+      }),
+      ...added.map((polygon) => this.redrawPolygon(polygon)),
+    ]);
+  }
+
+  /**
+   * Draw polygons of the last render on the given context in the same order. Context is either a
+   * canvas context, i.e. to export images, or an SVG context.
+   */
+  replay(ctx) {
+    this.data.forEach(({ renderProps }) => {
+      if (isNullVoid(renderProps)
+        || isNullVoid(renderProps.boundingBox)
+        || renderProps.culled) return;
+      Polygon.draw(ctx, renderProps);
+    });
+  }
+
+  /**
+   * Return an SVG document of polygons drawn by the last render, see SVGContext. Render
+   * properties are replayed so that the document looks the same as canvas.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+    this.replay(ctx);
+    return ctx.toString();
+  }
+}
+
+Polygon.propTypes = {
+  /**
+   * Polygons are drawn on this canvas.
+   */
+  canvas: PropTypes.object.isRequired,
+  /**
+   * A list of polygons.
+   * Data structure must contain the following properties if getSnapshotBeforeRender is not defined,
+   * can be anything if getSnapshotBeforeRender is defined, only if getSnapshotBeforeRender returns
+   * a data structure of this kind.
+   * Internally, there is a renderProps property which persists properties calling canvas APIs.
+   * These properties are returned value from getSnapshotBeforeRender function.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Polygon border colour. Border is not drawn if it is null.
+     * Default black.
+     */
+    borderColor: PropTypes.string,
+    /**
+     * Polygon border width.
+     * Default 1.
+     */
+    borderWidth: PropTypes.number,
+    /**
+     * Polygon fill colour. Polygon is not filled if it is null.
+     * Default black.
+     */
+    color: PropTypes.string,
+    /**
+     * Fill rule decides which areas are inside polygon when rings overlap. Use evenodd to make
+     * inner rings holes regardless of their directions. With nonzero, inner rings are holes only
+     * if they wind in the opposite direction of outer rings.
+     * Default nonzero.
+     */
+    fillRule: PropTypes.oneOf(['evenodd', 'nonzero']),
+    /**
+     * Unique key of the polygon. It is required by add, update, remove and setData which redraw
+     * single polygons without redrawing the whole canvas.
+     */
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    /**
+     * Polygon opacity applied to both fill and border, from 0 to 1.
+     * Default 1.
+     */
+    opacity: PropTypes.number,
+    /**
+     * A list of rings. Rings are closed automatically, the last point doesn't need to repeat the
+     * first point. Inner rings become holes according to fill rule.
+     * i.e. [[[0, 0], [100, 0], [100, 100], [0, 100]], [[25, 25], [75, 25], [75, 75], [25, 75]]]
+     */
+    path: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))).isRequired,
+  })),
+  /**
+   * Device pixel ratio.
+   * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
+   * by half shall we have sharp images. It is caller's duty to scale down canvas area to
+   * device screen size by setting CSS.
+   * https://www.html5rocks.com/en/tutorials/canvas/hidpi
+   * Default 1.
+   * I don't want to expose the implementation details of supporting high DPR devices to the user.
+   * Therefore, all configuration properties have unit of CSS pixel.
+   */
+  dpr: PropTypes.number,
+  /**
+   * getSnapshotBeforeRender is invoked right before calling canvas API to draw a polygon.
+   * It enables you to do time consuming manipulations of each polygon while taking advantage of
+   * none UI blocking tricks. If those time consuming works are done by yourself before passing
+   * them to Polygon, it ultimately results to a noticeable time elapse even though you have enough
+   * skills in writing non blocking javascript code. getSnapshotBeforeRender must return properties
+   * defined in data property (borderColor, borderWidth, color, fillRule, opacity and path).
+   */
+  getSnapshotBeforeRender: PropTypes.func,
+  /**
+   * Canvas height.
+   */
+  height: PropTypes.number.isRequired,
+  /**
+   * Whether border widths scale with viewport zoom. Set false to keep them fixed in
+   * CSS pixels no matter how viewport zooms.
+   * Default true.
+   */
+  scaleWithZoom: PropTypes.bool,
+  /**
+   * Viewport shared by layers to pan, zoom and rotate. Data coordinates are projected through
+   * viewport, therefore, render properties and findByPosition are in canvas CSS pixels.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
+  /**
+   * Canvas width.
+   */
+  width: PropTypes.number.isRequired,
+};
+
+export default Polygon;
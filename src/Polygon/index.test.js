@@ -0,0 +1,87 @@
+import createCanvas from '../testing/createCanvas';
+import mockIdleCallback from '../testing/mockIdleCallback';
+import Viewport from '../Viewport';
+import Polygon from '.';
+
+const outer = [[0, 0], [100, 0], [100, 100], [0, 100]];
+const hole = [[25, 25], [25, 75], [75, 75], [75, 25]];
+
+function createPolygon(props) {
+  const canvas = createCanvas();
+  const polygon = new Polygon({
+    canvas,
+    height: 200,
+    width: 200,
+    ...props,
+  });
+  return { ctx: canvas.ctx, polygon };
+}
+
+describe('Polygon', () => {
+  let restoreIdleCallback;
+
+  beforeEach(() => {
+    restoreIdleCallback = mockIdleCallback();
+  });
+
+  afterEach(() => {
+    restoreIdleCallback();
+  });
+
+  it('fills rings with fill rule and strokes borders with opacity', async () => {
+    const { ctx, polygon } = createPolygon({
+      data: [{
+        borderColor: 'blue',
+        borderWidth: 2,
+        color: 'red',
+        fillRule: 'evenodd',
+        opacity: 0.5,
+        path: [outer, hole],
+      }],
+    });
+
+    await polygon.render();
+
+    const names = ctx.calls.map(([name]) => name);
+    expect(names.filter((name) => name === 'closePath')).toHaveLength(2);
+    expect(ctx.calls).toContainEqual(['globalAlpha', 0.5]);
+    expect(ctx.calls).toContainEqual(['fill', 'evenodd']);
+    expect(ctx.calls).toContainEqual(['lineWidth', 2]);
+    expect(names.indexOf('stroke')).toBeGreaterThan(names.indexOf('fill'));
+    expect(polygon.data[0].renderProps.boundingBox).toEqual([-1, -1, 101, 101]);
+  });
+
+  it('finds polygons by position except in their holes', async () => {
+    const { polygon } = createPolygon({
+      data: [
+        { id: 'nonzero', path: [outer, hole] },
+        { fillRule: 'evenodd', id: 'evenodd', path: [outer, [...hole].reverse()] },
+        { id: 'overlapping', path: [outer, [...hole].reverse()] },
+      ],
+    });
+
+    await polygon.render();
+
+    const findIds = (position) => polygon.findByPosition(position).map(({ id }) => id);
+    expect(findIds({ x: 10, y: 10 })).toEqual(['nonzero', 'evenodd', 'overlapping']);
+    expect(findIds({ x: 50, y: 50 })).toEqual(['overlapping']);
+    expect(findIds({ x: 150, y: 50 })).toEqual([]);
+    expect(polygon.findByPosition({ x: 10, y: 10 })[0]).not.toHaveProperty('renderProps');
+  });
+
+  it('projects polygons through viewport and skips rings which are not areas', async () => {
+    const { polygon } = createPolygon({
+      data: [
+        { id: 'scaled', path: [[[0, 0], [10, 0], [10, 10]]] },
+        { id: 'line', path: [[[0, 0], [10, 10]]] },
+      ],
+      viewport: new Viewport({ scale: 2, translate: [50, 50] }),
+    });
+
+    await polygon.render();
+
+    expect(polygon.data[0].renderProps.path).toEqual([[[50, 50], [70, 50], [70, 70]]]);
+    expect(polygon.data[1].renderProps.boundingBox).toBeUndefined();
+    expect(polygon.findByPosition({ x: 65, y: 55 }).map(({ id }) => id)).toEqual(['scaled']);
+  });
+});
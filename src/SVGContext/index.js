@@ -0,0 +1,485 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+
+/**
+ * Escape characters which are not allowed in XML text and attribute values.
+ */
+function escapeXML(value) {
+  return `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Keep two decimal places so that documents stay small.
+ */
+function formatNumber(value) {
+  return `${Math.round(value * 100) / 100}`;
+}
+
+/**
+ * Return the product of two transform matrices, i.e. [a, b, c, d, e, f].
+ */
+function multiply([a, b, c, d, e, f], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a * a2 + c * b2,
+    b * a2 + d * b2,
+    a * c2 + c * d2,
+    b * c2 + d * d2,
+    a * e2 + c * f2 + e,
+    b * e2 + d * f2 + f,
+  ];
+}
+
+/**
+ * Linear gradient created by SVGContext. End points are transformed when gradient is created,
+ * and colour stops are written to document definitions once gradient is painted.
+ */
+class LinearGradient {
+  constructor(start, end) {
+    this.start = start;
+    this.end = end;
+    this.stops = [];
+    /**
+     * Element id which is assigned at the first time gradient is painted.
+     */
+    this.id = void 0;
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push([offset, color]);
+  }
+}
+
+/**
+ * SVGContext records drawing calls of a canvas 2D context as SVG elements so that layers export
+ * vector documents with the same render functions that draw canvases.
+ * Only the part of canvas API used by layers is supported. Path points are transformed as they
+ * are added, which is what canvas does, therefore, elements are written in document pixels.
+ * Pixel manipulation, i.e. putImageData, has no vector equivalent and is not supported.
+ * Clipping regions are written as clip paths, and a clip within another clip refers to the outer
+ * one so that regions intersect as they do on canvas.
+ */
+class SVGContext {
+  constructor(props = {}) {
+    const {
+      height,
+      width,
+    } = props;
+
+    this.height = height;
+    this.width = width;
+    /**
+     * Elements and definitions in paint order.
+     */
+    this.elements = [];
+    this.definitions = [];
+    /**
+     * Drawing state which is pushed by save and popped by restore.
+     */
+    this.fillStyle = 'black';
+    this.font = '10px sans-serif';
+    this.globalAlpha = 1;
+    this.lineCap = 'butt';
+    this.lineDash = [];
+    this.lineDashOffset = 0;
+    this.lineJoin = 'miter';
+    this.lineWidth = 1;
+    this.strokeStyle = 'black';
+    this.textAlign = 'start';
+    this.transform = [1, 0, 0, 1, 0, 0];
+    /**
+     * Id of the clip path applied to elements, undefined if nothing is clipped.
+     */
+    this.clipId = void 0;
+    this.states = [];
+    /**
+     * Current path as SVG path commands, and the last point in user space.
+     */
+    this.path = [];
+    this.point = void 0;
+  }
+
+  save() {
+    this.states.push({
+      clipId: this.clipId,
+      fillStyle: this.fillStyle,
+      font: this.font,
+      globalAlpha: this.globalAlpha,
+      lineCap: this.lineCap,
+      lineDash: this.lineDash,
+      lineDashOffset: this.lineDashOffset,
+      lineJoin: this.lineJoin,
+      lineWidth: this.lineWidth,
+      strokeStyle: this.strokeStyle,
+      textAlign: this.textAlign,
+      transform: this.transform,
+    });
+  }
+
+  restore() {
+    if (this.states.length === 0) return;
+    Object.assign(this, this.states.pop());
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.transform = [a, b, c, d, e, f];
+  }
+
+  translate(x, y) {
+    this.transform = multiply(this.transform, [1, 0, 0, 1, x, y]);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform = multiply(this.transform, [cos, sin, -sin, cos, 0, 0]);
+  }
+
+  scale(x, y) {
+    this.transform = multiply(this.transform, [x, 0, 0, y, 0, 0]);
+  }
+
+  setLineDash(segments) {
+    this.lineDash = [...segments];
+  }
+
+  getLineDash() {
+    return [...this.lineDash];
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new LinearGradient(this.transformPoint([x0, y0]), this.transformPoint([x1, y1]));
+  }
+
+  beginPath() {
+    this.path = [];
+    this.point = void 0;
+  }
+
+  moveTo(x, y) {
+    const [deviceX, deviceY] = this.transformPoint([x, y]);
+    this.path.push(`M${formatNumber(deviceX)} ${formatNumber(deviceY)}`);
+    this.point = [x, y];
+  }
+
+  lineTo(x, y) {
+    if (isNullVoid(this.point)) {
+      this.moveTo(x, y);
+      return;
+    }
+
+    const [deviceX, deviceY] = this.transformPoint([x, y]);
+    this.path.push(`L${formatNumber(deviceX)} ${formatNumber(deviceY)}`);
+    this.point = [x, y];
+  }
+
+  closePath() {
+    if (this.path.length === 0) return;
+    this.path.push('Z');
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  /**
+   * Canvas angles are clockwise from the positive x axis. A full turn is written as two half
+   * turns because an SVG arc can't start and end at the same point.
+   */
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    const fullTurn = Math.PI * 2;
+    let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+    sweep = sweep >= fullTurn ? fullTurn : ((sweep % fullTurn) + fullTurn) % fullTurn;
+    const direction = anticlockwise ? -1 : 1;
+    const getPoint = (angle) => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+
+    this.lineTo(...getPoint(startAngle));
+
+    if (sweep === fullTurn) {
+      this.arcSegment(getPoint(startAngle + direction * Math.PI), radius, false, !anticlockwise);
+      this.arcSegment(getPoint(startAngle), radius, false, !anticlockwise);
+      return;
+    }
+    this.arcSegment(
+      getPoint(startAngle + direction * sweep), radius, sweep > Math.PI, !anticlockwise,
+    );
+  }
+
+  /**
+   * Round the corner at control point [x1, y1] with an arc tangent to both lines from the current
+   * point to control point and from control point to [x2, y2].
+   */
+  arcTo(x1, y1, x2, y2, radius) {
+    if (isNullVoid(this.point)) this.moveTo(x1, y1);
+
+    const [x0, y0] = this.point;
+    const length1 = Math.hypot(x0 - x1, y0 - y1);
+    const length2 = Math.hypot(x2 - x1, y2 - y1);
+    const cross = (x1 - x0) * (y2 - y1) - (y1 - y0) * (x2 - x1);
+    if (radius === 0 || length1 === 0 || length2 === 0 || cross === 0) {
+      this.lineTo(x1, y1);
+      return;
+    }
+
+    const unit1 = [(x0 - x1) / length1, (y0 - y1) / length1];
+    const unit2 = [(x2 - x1) / length2, (y2 - y1) / length2];
+    const angle = Math.acos(Math.max(-1, Math.min(1, unit1[0] * unit2[0] + unit1[1] * unit2[1])));
+    const distance = radius / Math.tan(angle / 2);
+
+    this.lineTo(x1 + unit1[0] * distance, y1 + unit1[1] * distance);
+    this.arcSegment(
+      [x1 + unit2[0] * distance, y1 + unit2[1] * distance], radius, false, cross > 0,
+    );
+  }
+
+  /**
+   * Add an arc from the current point to the given point in user space. Clockwise means
+   * clockwise on screen.
+   */
+  arcSegment([x, y], radius, isLarge, isClockwise) {
+    const [a, b, c, d] = this.transform;
+    const determinant = a * d - b * c;
+    const [deviceX, deviceY] = this.transformPoint([x, y]);
+    const deviceRadius = formatNumber(radius * Math.sqrt(Math.abs(determinant)));
+    /**
+     * Mirroring transforms reverse the direction of arcs.
+     */
+    const sweep = isClockwise === determinant > 0 ? 1 : 0;
+
+    this.path.push([
+      `A${deviceRadius}`,
+      deviceRadius,
+      0,
+      isLarge ? 1 : 0,
+      sweep,
+      formatNumber(deviceX),
+      formatNumber(deviceY),
+    ].join(' '));
+    this.point = [x, y];
+  }
+
+  /**
+   * Fill rule is either nonzero, the default of both canvas and SVG, or evenodd.
+   */
+  fill(fillRule = 'nonzero') {
+    if (this.path.length === 0) return;
+
+    this.addElement('path', {
+      d: this.path.join(''),
+      fill: this.getPaint(this.fillStyle),
+      'fill-rule': fillRule === 'evenodd' ? fillRule : void 0,
+    });
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+
+    this.addElement('path', {
+      d: this.path.join(''),
+      fill: 'none',
+      ...this.getStrokeAttributes(),
+    });
+  }
+
+  clip() {
+    if (this.path.length === 0) return;
+
+    const id = `clip-${this.definitions.length + 1}`;
+    const clipPath = isNullVoid(this.clipId) ? '' : ` clip-path="url(#${this.clipId})"`;
+    this.definitions.push(
+      `<clipPath id="${id}"${clipPath}><path d="${this.path.join('')}"/></clipPath>`,
+    );
+    this.clipId = id;
+  }
+
+  /**
+   * Rectangles are drawn without touching the current path.
+   */
+  fillRect(x, y, width, height) {
+    this.drawRect(x, y, width, height, () => this.fill());
+  }
+
+  strokeRect(x, y, width, height) {
+    this.drawRect(x, y, width, height, () => this.stroke());
+  }
+
+  drawRect(x, y, width, height, paint) {
+    const { path, point } = this;
+
+    this.beginPath();
+    this.rect(x, y, width, height);
+    paint();
+
+    this.path = path;
+    this.point = point;
+  }
+
+  fillText(text, x, y) {
+    this.addText(text, x, y, {
+      fill: this.getPaint(this.fillStyle),
+    });
+  }
+
+  strokeText(text, x, y) {
+    this.addText(text, x, y, {
+      fill: 'none',
+      ...this.getStrokeAttributes(),
+    });
+  }
+
+  /**
+   * Text keeps its coordinates and is placed by the current transform so that rotated and scaled
+   * glyphs look the same as on canvas.
+   */
+  addText(text, x, y, attributes) {
+    const textAnchor = {
+      center: 'middle',
+      end: 'end',
+      right: 'end',
+    }[this.textAlign];
+
+    this.addElement('text', {
+      ...attributes,
+      style: `font: ${this.font}`,
+      'text-anchor': textAnchor,
+      transform: this.getTransformAttribute(),
+      x: formatNumber(x),
+      'xml:space': 'preserve',
+      y: formatNumber(y),
+    }, escapeXML(text));
+  }
+
+  /**
+   * Image is either an image element, whose source is referenced, or an image URL.
+   * Source rectangles are not supported.
+   */
+  drawImage(image, x, y, width = image.width, height = image.height) {
+    this.addElement('image', {
+      height: formatNumber(height),
+      preserveAspectRatio: 'none',
+      transform: this.getTransformAttribute(),
+      width: formatNumber(width),
+      x: formatNumber(x),
+      'xlink:href': typeof image === 'string' ? image : image.src,
+      y: formatNumber(y),
+    });
+  }
+
+  transformPoint([x, y]) {
+    const [a, b, c, d, e, f] = this.transform;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  /**
+   * Return the transform attribute, undefined if transform is identity.
+   */
+  getTransformAttribute() {
+    if (this.transform.every((value, index) => value === [1, 0, 0, 1, 0, 0][index])) return void 0;
+    return `matrix(${this.transform.map(formatNumber).join(' ')})`;
+  }
+
+  /**
+   * Stroke width and dash are scaled by the current transform because path points are already
+   * transformed.
+   */
+  getStrokeAttributes() {
+    const [a, b, c, d] = this.transform;
+    const scale = Math.sqrt(Math.abs(a * d - b * c));
+
+    return {
+      stroke: this.getPaint(this.strokeStyle),
+      'stroke-dasharray': this.lineDash.length === 0
+        ? void 0
+        : this.lineDash.map((segment) => formatNumber(segment * scale)).join(' '),
+      'stroke-dashoffset': this.lineDash.length === 0 || this.lineDashOffset === 0
+        ? void 0
+        : formatNumber(this.lineDashOffset * scale),
+      'stroke-linecap': this.lineCap === 'butt' ? void 0 : this.lineCap,
+      'stroke-linejoin': this.lineJoin === 'miter' ? void 0 : this.lineJoin,
+      /**
+       * Canvas default miter limit is 10, SVG default is 4.
+       */
+      'stroke-miterlimit': this.lineJoin === 'miter' ? '10' : void 0,
+      'stroke-width': formatNumber(this.lineWidth * scale),
+    };
+  }
+
+  /**
+   * Return the paint of the given fill or stroke style. Gradients are defined at the first time
+   * they are painted.
+   */
+  getPaint(style) {
+    if (!(style instanceof LinearGradient)) return style;
+
+    if (isNullVoid(style.id)) {
+      style.id = `gradient-${this.definitions.length + 1}`;
+      const stops = style.stops.map(([offset, color]) => {
+        return `<stop offset="${formatNumber(offset)}" stop-color="${escapeXML(color)}"/>`;
+      }).join('');
+      this.definitions.push([
+        `<linearGradient id="${style.id}" gradientUnits="userSpaceOnUse"`,
+        ` x1="${formatNumber(style.start[0])}" y1="${formatNumber(style.start[1])}"`,
+        ` x2="${formatNumber(style.end[0])}" y2="${formatNumber(style.end[1])}">`,
+        `${stops}</linearGradient>`,
+      ].join(''));
+    }
+    return `url(#${style.id})`;
+  }
+
+  /**
+   * Write an element with the given attributes. Undefined attributes are omitted, and content
+   * must be escaped already.
+   */
+  addElement(name, attributes, content) {
+    const allAttributes = {
+      ...attributes,
+      'clip-path': isNullVoid(this.clipId) ? void 0 : `url(#${this.clipId})`,
+      opacity: this.globalAlpha < 1 ? formatNumber(this.globalAlpha) : void 0,
+    };
+    const attributeText = Object.keys(allAttributes).filter((key) => {
+      return !isNullVoid(allAttributes[key]);
+    }).map((key) => ` ${key}="${escapeXML(allAttributes[key])}"`).join('');
+
+    this.elements.push(isNullVoid(content)
+      ? `<${name}${attributeText}/>`
+      : `<${name}${attributeText}>${content}</${name}>`);
+  }
+
+  /**
+   * Return the SVG document of everything drawn.
+   */
+  toString() {
+    const definitions = this.definitions.length === 0
+      ? ''
+      : `<defs>${this.definitions.join('')}</defs>`;
+
+    return [
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"',
+      ` width="${this.width}" height="${this.height}"`,
+      ` viewBox="0 0 ${this.width} ${this.height}">`,
+      definitions,
+      this.elements.join(''),
+      '</svg>',
+    ].join('');
+  }
+}
+
+SVGContext.propTypes = {
+  /**
+   * Document height in pixels.
+   */
+  height: PropTypes.number.isRequired,
+  /**
+   * Document width in pixels.
+   */
+  width: PropTypes.number.isRequired,
+};
+
+export default SVGContext;
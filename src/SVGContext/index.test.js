@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+import SVGContext from '.';
+
+describe('SVGContext', () => {
+  it('writes transformed paths with scaled stroke attributes', () => {
+    const ctx = new SVGContext({ height: 20, width: 10 });
+    ctx.translate(5, 5);
+    ctx.scale(2, 2);
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.setLineDash([1, 2]);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(1, 0);
+    ctx.stroke();
+
+    expect(ctx.toString()).toBe([
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"',
+      ' width="10" height="20" viewBox="0 0 10 20">',
+      '<path d="M5 5L7 5" fill="none" stroke="black" stroke-dasharray="2 4"',
+      ' stroke-linecap="round" stroke-miterlimit="10" stroke-width="4"/>',
+      '</svg>',
+    ].join(''));
+  });
+
+  it('writes opacity until state is restored', () => {
+    const ctx = new SVGContext({ height: 10, width: 10 });
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(1, 1, 8, 8);
+    ctx.restore();
+    ctx.fillRect(1, 1, 8, 8);
+
+    expect(ctx.elements).toEqual([
+      '<path d="M1 1L9 1L9 9L1 9Z" fill="black" opacity="0.5"/>',
+      '<path d="M1 1L9 1L9 9L1 9Z" fill="black"/>',
+    ]);
+  });
+
+  it('writes clipping regions until state is restored', () => {
+    const ctx = new SVGContext({ height: 10, width: 10 });
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 4, 4);
+    ctx.clip();
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(1, 1, 8, 8);
+    ctx.restore();
+    ctx.fillRect(1, 1, 8, 8);
+
+    expect(ctx.definitions).toEqual([
+      '<clipPath id="clip-1"><path d="M0 0L4 0L4 4L0 4Z"/></clipPath>',
+    ]);
+    expect(ctx.elements).toEqual([
+      '<path d="M1 1L9 1L9 9L1 9Z" fill="black" clip-path="url(#clip-1)" opacity="0.5"/>',
+      '<path d="M1 1L9 1L9 9L1 9Z" fill="black"/>',
+    ]);
+  });
+
+  it('intersects a clipping region with the one it is clipped within', () => {
+    const ctx = new SVGContext({ height: 10, width: 10 });
+    ctx.beginPath();
+    ctx.rect(0, 0, 4, 4);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.rect(2, 2, 4, 4);
+    ctx.clip();
+
+    expect(ctx.definitions).toEqual([
+      '<clipPath id="clip-1"><path d="M0 0L4 0L4 4L0 4Z"/></clipPath>',
+      '<clipPath id="clip-2" clip-path="url(#clip-1)"><path d="M2 2L6 2L6 6L2 6Z"/></clipPath>',
+    ]);
+  });
+
+  it('defines gradients once and escapes text', () => {
+    const ctx = new SVGContext({ height: 10, width: 10 });
+    const gradient = ctx.createLinearGradient(0, 0, 10, 0);
+    gradient.addColorStop(0, 'red');
+    gradient.addColorStop(1, 'blue');
+    ctx.fillStyle = gradient;
+    ctx.fillText('a<b', 1, 2);
+    ctx.fillRect(0, 0, 1, 1);
+
+    expect(ctx.definitions).toEqual([[
+      '<linearGradient id="gradient-1" gradientUnits="userSpaceOnUse"',
+      ' x1="0" y1="0" x2="10" y2="0">',
+      '<stop offset="0" stop-color="red"/><stop offset="1" stop-color="blue"/></linearGradient>',
+    ].join('')]);
+    expect(ctx.elements).toEqual([
+      [
+        '<text fill="url(#gradient-1)" style="font: 10px sans-serif" x="1" xml:space="preserve"',
+        ' y="2">a&lt;b</text>',
+      ].join(''),
+      '<path d="M0 0L1 0L1 1L0 1Z" fill="url(#gradient-1)"/>',
+    ]);
+  });
+
+  it('writes full circles as two half turns', () => {
+    const ctx = new SVGContext({ height: 10, width: 10 });
+    ctx.beginPath();
+    ctx.arc(0, 0, 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    expect(ctx.elements).toEqual([
+      '<path d="M5 0A5 5 0 0 1 -5 0A5 5 0 0 1 5 0" fill="black"/>',
+    ]);
+  });
+});
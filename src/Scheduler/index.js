@@ -1,104 +1,254 @@
+import PropTypes from 'prop-types';
+import createAbortError from '../utils/createAbortError';
+import FrameBudget from '../FrameBudget';
+import isNullVoid from '../utils/isNullVoid';
+
 /**
- * Scheduler helps to split a time consuming function to be executed in multiple frames.
- * In this way, time consuming functions won't block UI thread.
+ * Priority levels of tasks. Smaller numbers are processed first.
  */
-class Scheduler {
-  /**
-   * ID returned by requestIdleCallback.
-   * It's value is a number if a scheduled task has not completed, undefined otherwise.
-   */
-  id = void 0;
+const PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+/**
+ * Task applies callback function to array items one by one when frame budget allows.
+ */
+class Task {
+  constructor(props) {
+    const {
+      array,
+      budget = Infinity,
+      callback,
+      frameBudget,
+      onProgress,
+      priority = 'normal',
+      reject,
+      resolve,
+      signal,
+    } = props;
 
-  /**
-   * Apply callback function to array items one by one.
-   * Array items will be splitted to be executed in multiple frames so that
-   * main thread won't block.
-   */
-  execute = (array, callback) => {
     this.array = array;
     /**
-     * requestIdleCallback function goes through array one by one. Current index represents the
-     * index number of processing item in the array.
+     * Maximum milliseconds this task spends in a frame, and milliseconds spent in the current
+     * frame.
      */
-    this.currentIndex = 0;
+    this.budget = budget;
+    this.spent = 0;
     this.callback = callback;
+    this.frameBudget = frameBudget;
+    this.onProgress = onProgress;
+    this.priority = PRIORITIES[priority];
+    this.reject = reject;
+    this.resolve = resolve;
+    this.signal = signal;
+    /**
+     * Index of the next array item to process.
+     */
+    this.index = 0;
     /**
      * Save the returned value from the callback function, and these values are returned
-     * when this execute task completes.
+     * when this task completes.
      */
     this.result = [];
-
     /**
-     * Terminate old execution.
+     * Whether this task waits for an asynchronous callback.
      */
-    if (this.id) {
-      window.cancelIdleCallback(this.id);
-      /**
-       * Scheduler throws error if previous function is not completed.
-       */
-      this.reject('Cancelled');
+    this.busy = false;
+    /**
+     * Whether this task has resolved or rejected.
+     */
+    this.settled = false;
+
+    if (!isNullVoid(this.signal)) {
+      this.handleAbort = () => this.fail(createAbortError());
+      this.signal.addEventListener('abort', this.handleAbort);
+    }
+  }
+
+  /**
+   * Whether this task is ready to process the next item in the current frame.
+   */
+  isReady() {
+    return !this.settled && !this.busy && this.spent < this.budget;
+  }
+
+  /**
+   * Execute callback with the next array item.
+   */
+  step() {
+    if (this.index >= this.array.length) {
+      this.complete();
+      return;
+    }
+
+    let value;
+    try {
+      value = this.callback(this.array[this.index]);
+    } catch (error) {
+      this.fail(error);
+      return;
     }
 
     /**
-     * Allow all remaining executions to be delayed into the next frame.
+     * Wait for asynchronous callback without blocking other tasks.
      */
-    this.id = window.requestIdleCallback(this.requestIdleCallback);
+    if (!isNullVoid(value) && typeof value.then === 'function') {
+      this.busy = true;
+      value.then((resolvedValue) => {
+        this.busy = false;
+        this.advance(resolvedValue);
+        this.frameBudget.resume();
+      }, (error) => {
+        this.busy = false;
+        this.fail(error);
+      });
+      return;
+    }
+
+    this.advance(value);
+  }
+
+  /**
+   * Save the returned value of an item and report progress.
+   */
+  advance(value) {
+    if (this.settled) return;
+
+    this.result.push(value);
+    this.index += 1;
+
+    if (!isNullVoid(this.onProgress)) this.onProgress(this.index, this.array.length);
+
+    if (this.index >= this.array.length) this.complete();
+  }
+
+  /**
+   * Stop processing items and stop listening to abort signal.
+   */
+  settle() {
+    this.settled = true;
+    this.frameBudget.remove(this);
+
+    if (!isNullVoid(this.signal)) {
+      this.signal.removeEventListener('abort', this.handleAbort);
+    }
+  }
+
+  /**
+   * Resolve with returned values of all items.
+   */
+  complete() {
+    if (this.settled) return;
+
+    this.settle();
+    this.resolve(this.result);
+  }
+
+  /**
+   * Reject with the given error. Items which are not processed yet are skipped.
+   */
+  fail(error) {
+    if (this.settled) return;
+
+    this.settle();
+    this.reject(error);
+  }
+}
+
+/**
+ * Scheduler helps to split a time consuming function to be executed in multiple frames.
+ * In this way, time consuming functions won't block UI thread.
+ * Schedulers share the global frame budget unless they are given their own, therefore, layers
+ * rendering at the same time take turns rather than starve each other.
+ */
+class Scheduler {
+  /**
+   * Frame budget shared by schedulers by default.
+   */
+  static globalFrameBudget = new FrameBudget();
+
+  constructor(props = {}) {
+    const {
+      frameBudget = Scheduler.globalFrameBudget,
+    } = props;
+
+    this.frameBudget = frameBudget;
+  }
+
+  /**
+   * Task which has not completed. It is undefined if the last execution has completed.
+   */
+  task = void 0;
+
+  /**
+   * Apply callback function to array items one by one.
+   * Array items will be splitted to be executed in multiple frames so that
+   * main thread won't block.
+   * Options are budget, maximum milliseconds spent in a frame, onProgress(done, total), called
+   * after every item, priority, one of high, normal and low, and signal, an AbortSignal which
+   * cancels execution.
+   * Return a promise resolving with returned values of callback. It rejects with AbortError if
+   * execution is aborted or a new execution starts before it completes.
+   */
+  execute = (array, callback, options = {}) => {
+    const {
+      budget,
+      onProgress,
+      priority,
+      signal,
+    } = options;
 
     /**
-     * This promise will be resolved or rejected later.
+     * Terminate old execution.
      */
+    this.cancel();
+
     return new Promise((resolve, reject) => {
-      this.resolve = resolve;
-      this.reject = reject;
+      if (!isNullVoid(signal) && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const task = new Task({
+        array,
+        budget,
+        callback,
+        frameBudget: this.frameBudget,
+        onProgress,
+        priority,
+        reject: (error) => {
+          if (this.task === task) this.task = void 0;
+          reject(error);
+        },
+        resolve: (result) => {
+          if (this.task === task) this.task = void 0;
+          resolve(result);
+        },
+        signal,
+      });
+      this.task = task;
+      this.frameBudget.add(task);
     });
   }
 
   /**
-   * Execute callback with one array item at each time. Array will be mutated to empty at the end.
+   * Cancel the execution which has not completed. Its promise rejects with AbortError.
    */
-  requestIdleCallback = async (IdleDeadline) => {
-    /* eslint-disable-next-line no-constant-condition */
-    while (true) {
-      /**
-       * If array is empty, the scheduled task is complete.
-       */
-      if (this.currentIndex >= this.array.length) {
-        /**
-         * Assign undefined to id means execution is complete.
-         */
-        this.id = void 0;
-        /**
-         * Resolve promise.
-         */
-        this.resolve(this.result);
-        return;
-      }
-      /**
-       * Calculate how many spare time available in the current frame.
-       */
-      const timeRemaining = IdleDeadline.timeRemaining();
-      /**
-       * If there is not enough time in the current frame, allow executions to be delayed
-       * into the next frame.
-       */
-      if (timeRemaining === 0) {
-        break;
-      }
-      /**
-       * Execute callback function with array item.
-       * The returned value from running callback function is buffered and to be returned
-       * when the task completes.
-       */
-      /* eslint-disable-next-line no-await-in-loop */
-      this.result.push(await this.callback(this.array[this.currentIndex]));
-      this.currentIndex = this.currentIndex + 1;
+  cancel() {
+    if (!isNullVoid(this.task)) {
+      this.task.fail(createAbortError('Cancelled'));
     }
-
-    /**
-     * Allow all remaining executions to be delayed into the next frame.
-     */
-    this.id = window.requestIdleCallback(this.requestIdleCallback);
   }
 }
 
+Scheduler.propTypes = {
+  /**
+   * Frame budget in which tasks of this scheduler are processed.
+   * Default global frame budget shared by schedulers.
+   */
+  frameBudget: PropTypes.instanceOf(FrameBudget),
+};
+
 export default Scheduler;
@@ -0,0 +1,91 @@
+import FrameBudget from '../FrameBudget';
+import Platform from '../Platform';
+import Scheduler from '.';
+
+/**
+ * Frames are requested through platform. Every frame has a fixed deadline and is counted.
+ */
+function mockFrames(frameTime) {
+  const frames = { count: 0 };
+  Platform.global.config({
+    requestFrame: (callback) => {
+      const id = setTimeout(() => {
+        frames.count += 1;
+        const start = Date.now();
+        callback({ timeRemaining: () => Math.max(frameTime - (Date.now() - start), 0) });
+      }, 0);
+      return () => clearTimeout(id);
+    },
+  });
+  return frames;
+}
+
+describe('Scheduler', () => {
+  afterEach(() => {
+    Platform.global.config({});
+  });
+
+  it('resolves with returned values in order', async () => {
+    mockFrames(1000);
+    const scheduler = new Scheduler({ frameBudget: new FrameBudget() });
+
+    await expect(scheduler.execute([1, 2, 3], (value) => value * 2)).resolves.toEqual([2, 4, 6]);
+  });
+
+  it('finishes asynchronous items in one frame when the deadline allows', async () => {
+    const frames = mockFrames(1000);
+    const scheduler = new Scheduler({ frameBudget: new FrameBudget() });
+    const items = Array.from({ length: 200 }, (value, index) => index);
+
+    const result = await scheduler.execute(items, (value) => Promise.resolve(value));
+
+    expect(result).toEqual(items);
+    expect(frames.count).toBe(1);
+  });
+
+  it('splits items across frames when the deadline runs out', async () => {
+    const frames = mockFrames(2);
+    const scheduler = new Scheduler({ frameBudget: new FrameBudget() });
+    const busyWait = (value) => {
+      const start = Date.now();
+      while (Date.now() - start < 5);
+      return value;
+    };
+
+    await scheduler.execute([1, 2, 3], busyWait);
+
+    expect(frames.count).toBe(3);
+  });
+
+  it('reports progress after every item', async () => {
+    mockFrames(1000);
+    const scheduler = new Scheduler({ frameBudget: new FrameBudget() });
+    const onProgress = jest.fn();
+
+    await scheduler.execute([1, 2], (value) => value, { onProgress });
+
+    expect(onProgress.mock.calls).toEqual([[1, 2], [2, 2]]);
+  });
+
+  it('rejects the previous execution with AbortError when a new one starts', async () => {
+    mockFrames(1000);
+    const scheduler = new Scheduler({ frameBudget: new FrameBudget() });
+
+    const first = scheduler.execute([1, 2], (value) => value);
+    const second = scheduler.execute([3], (value) => value);
+
+    await expect(first).rejects.toHaveProperty('name', 'AbortError');
+    await expect(second).resolves.toEqual([3]);
+  });
+
+  it('rejects with AbortError when signal aborts', async () => {
+    mockFrames(1000);
+    const scheduler = new Scheduler({ frameBudget: new FrameBudget() });
+    const controller = new AbortController();
+
+    const execution = scheduler.execute([1, 2], (value) => value, { signal: controller.signal });
+    controller.abort();
+
+    await expect(execution).rejects.toHaveProperty('name', 'AbortError');
+  });
+});
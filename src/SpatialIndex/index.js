@@ -0,0 +1,202 @@
+/**
+ * SpatialIndex is a uniform grid bucket index which helps to find items by position without
+ * going through every item.
+ * Canvas is divided into square cells. Each item is saved in every cell its bounding box touches,
+ * therefore, finding items at a given position only requires to look up a single cell.
+ */
+class SpatialIndex {
+  /**
+   * Items whose bounding box touches more cells than this number are not saved in cells, instead,
+   * they are saved in a separate list which is always looked up. This prevents items with huge
+   * bounding boxes, i.e. a line across the whole canvas, from creating too many cells.
+   */
+  static maxCellsPerItem = 1024;
+
+  constructor(props = {}) {
+    const {
+      cellSize = 64,
+    } = props;
+
+    /**
+     * Cell width and height in CSS pixels.
+     */
+    this.cellSize = cellSize;
+
+    this.clear();
+  }
+
+  /**
+   * Insert entry into a list of entries sorted by order.
+   * New items always have the greatest order, therefore, they are appended in constant time.
+   */
+  static insertInOrder(entries, entry) {
+    let index = entries.length;
+    while (index > 0 && entries[index - 1].order > entry.order) {
+      index -= 1;
+    }
+    entries.splice(index, 0, entry);
+  }
+
+  /**
+   * Remove all items.
+   */
+  clear() {
+    /**
+     * Map cell key to a list of index entries.
+     */
+    this.cells = new Map();
+    /**
+     * Map item to its index entry so that an item can be removed without knowing its bounding box.
+     */
+    this.entries = new Map();
+    /**
+     * Index entries of items having huge bounding boxes.
+     */
+    this.oversized = [];
+    /**
+     * Every index entry is tagged with an increasing number so that search results are returned in
+     * insertion order, which is the order items are painted.
+     */
+    this.sequence = 0;
+  }
+
+  /**
+   * Return the range of cells covered by the given bounding box.
+   */
+  getCellRange([minX, minY, maxX, maxY]) {
+    return [
+      Math.floor(minX / this.cellSize),
+      Math.floor(minY / this.cellSize),
+      Math.floor(maxX / this.cellSize),
+      Math.floor(maxY / this.cellSize),
+    ];
+  }
+
+  /**
+   * Save item with its bounding box. i.e. [minX, minY, maxX, maxY].
+   * Saving an item which already exists replaces its bounding box and keeps its order.
+   */
+  insert(item, boundingBox) {
+    let order;
+    if (this.entries.has(item)) {
+      order = this.entries.get(item).order;
+      this.remove(item);
+    } else {
+      order = this.sequence;
+      this.sequence = this.sequence + 1;
+    }
+
+    const entry = {
+      boundingBox,
+      item,
+      order,
+    };
+    this.entries.set(item, entry);
+
+    const [minCol, minRow, maxCol, maxRow] = this.getCellRange(boundingBox);
+    const cellCount = (maxCol - minCol + 1) * (maxRow - minRow + 1);
+
+    /**
+     * Infinite or not a number bounding boxes also go to the oversized list.
+     */
+    if (!(cellCount <= SpatialIndex.maxCellsPerItem)) {
+      SpatialIndex.insertInOrder(this.oversized, entry);
+      return;
+    }
+
+    for (let col = minCol; col <= maxCol; col += 1) {
+      for (let row = minRow; row <= maxRow; row += 1) {
+        const key = `${col},${row}`;
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        SpatialIndex.insertInOrder(this.cells.get(key), entry);
+      }
+    }
+  }
+
+  /**
+   * Remove item from index.
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (entry === void 0) return;
+
+    this.entries.delete(item);
+
+    const oversizedIndex = this.oversized.indexOf(entry);
+    if (oversizedIndex !== -1) {
+      this.oversized.splice(oversizedIndex, 1);
+      return;
+    }
+
+    const [minCol, minRow, maxCol, maxRow] = this.getCellRange(entry.boundingBox);
+    for (let col = minCol; col <= maxCol; col += 1) {
+      for (let row = minRow; row <= maxRow; row += 1) {
+        const key = `${col},${row}`;
+        const cell = this.cells.get(key);
+        const entryIndex = cell.indexOf(entry);
+        cell.splice(entryIndex, 1);
+        if (cell.length === 0) this.cells.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Replace an indexed item with another item keeping its bounding box and order.
+   */
+  replace(previousItem, nextItem) {
+    const entry = this.entries.get(previousItem);
+    if (entry === void 0) return;
+
+    this.entries.delete(previousItem);
+    entry.item = nextItem;
+    this.entries.set(nextItem, entry);
+  }
+
+  /**
+   * Return a list of items whose bounding box contains the given position, in insertion order.
+   * Bounding boxes are coarse, therefore, callers should apply their own precise test.
+   */
+  search({ x, y }) {
+    const [col, row] = this.getCellRange([x, y, x, y]);
+    const cell = this.cells.get(`${col},${row}`) || [];
+
+    const candidates = this.oversized.length === 0
+      ? cell
+      : [...cell, ...this.oversized].sort((a, b) => a.order - b.order);
+
+    return candidates.filter(({ boundingBox }) => {
+      const [minX, minY, maxX, maxY] = boundingBox;
+      return minX <= x && x <= maxX && minY <= y && y <= maxY;
+    }).map(({ item }) => item);
+  }
+
+  /**
+   * Return a list of items whose bounding box intersects the given bounding box, in insertion
+   * order. i.e. [minX, minY, maxX, maxY].
+   */
+  searchBoundingBox(boundingBox) {
+    const [minX, minY, maxX, maxY] = boundingBox;
+    const [minCol, minRow, maxCol, maxRow] = this.getCellRange(boundingBox);
+    /**
+     * An item touching several cells should only be returned once.
+     */
+    const candidates = new Set(this.oversized);
+
+    for (let col = minCol; col <= maxCol; col += 1) {
+      for (let row = minRow; row <= maxRow; row += 1) {
+        (this.cells.get(`${col},${row}`) || []).forEach((entry) => {
+          candidates.add(entry);
+        });
+      }
+    }
+
+    return [...candidates].filter(({ boundingBox: itemBoundingBox }) => {
+      return itemBoundingBox[0] <= maxX
+        && minX <= itemBoundingBox[2]
+        && itemBoundingBox[1] <= maxY
+        && minY <= itemBoundingBox[3];
+    }).sort((a, b) => a.order - b.order).map(({ item }) => item);
+  }
+}
+
+export default SpatialIndex;
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+import SpatialIndex from '.';
+
+describe('SpatialIndex', () => {
+  it('finds items whose bounding boxes contain a position, in insertion order', () => {
+    const spatialIndex = new SpatialIndex({ cellSize: 10 });
+    spatialIndex.insert('b', [0, 0, 30, 30]);
+    spatialIndex.insert('a', [15, 15, 20, 20]);
+    spatialIndex.insert('c', [40, 40, 50, 50]);
+
+    expect(spatialIndex.search({ x: 18, y: 18 })).toEqual(['b', 'a']);
+    expect(spatialIndex.search({ x: 5, y: 5 })).toEqual(['b']);
+    expect(spatialIndex.search({ x: 35, y: 35 })).toEqual([]);
+  });
+
+  it('keeps the order of items inserted again and forgets removed items', () => {
+    const spatialIndex = new SpatialIndex({ cellSize: 10 });
+    spatialIndex.insert('a', [0, 0, 10, 10]);
+    spatialIndex.insert('b', [0, 0, 10, 10]);
+    spatialIndex.insert('a', [5, 5, 25, 25]);
+
+    expect(spatialIndex.search({ x: 5, y: 5 })).toEqual(['a', 'b']);
+    expect(spatialIndex.search({ x: 20, y: 20 })).toEqual(['a']);
+    expect(spatialIndex.search({ x: 0, y: 0 })).toEqual(['b']);
+
+    spatialIndex.remove('a');
+    expect(spatialIndex.search({ x: 5, y: 5 })).toEqual(['b']);
+    expect(spatialIndex.search({ x: 20, y: 20 })).toEqual([]);
+    expect(spatialIndex.cells.size).toBe(4);
+  });
+
+  it('keeps items with huge or infinite bounding boxes out of cells', () => {
+    const spatialIndex = new SpatialIndex({ cellSize: 1 });
+    spatialIndex.insert('small', [0, 0, 1, 1]);
+    spatialIndex.insert('huge', [0, 0, 1000, 1000]);
+    spatialIndex.insert('infinite', [-Infinity, -Infinity, Infinity, Infinity]);
+
+    expect(spatialIndex.oversized).toHaveLength(2);
+    expect(spatialIndex.search({ x: 1, y: 1 })).toEqual(['small', 'huge', 'infinite']);
+    expect(spatialIndex.searchBoundingBox([500, 500, 600, 600])).toEqual(['huge', 'infinite']);
+
+    spatialIndex.clear();
+    expect(spatialIndex.search({ x: 1, y: 1 })).toEqual([]);
+  });
+
+  it('finds items intersecting a bounding box once each and replaces items in place', () => {
+    const spatialIndex = new SpatialIndex({ cellSize: 10 });
+    spatialIndex.insert('a', [0, 0, 30, 30]);
+    spatialIndex.insert('b', [25, 25, 35, 35]);
+    spatialIndex.replace('a', 'c');
+
+    expect(spatialIndex.searchBoundingBox([20, 20, 40, 40])).toEqual(['c', 'b']);
+    expect(spatialIndex.searchBoundingBox([31, 0, 40, 20])).toEqual([]);
+    expect(spatialIndex.search({ x: 5, y: 5 })).toEqual(['c']);
+  });
+});
@@ -0,0 +1,340 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+import Platform from '../Platform';
+import SVGContext from '../SVGContext';
+import Viewport from '../Viewport';
+
+/**
+ * Apply CSS to the given canvas. Canvases created outside document, i.e. by node-canvas, have no
+ * style and are left as they are.
+ */
+function setCanvasStyle(canvas, style) {
+  if (isNullVoid(canvas.style)) return;
+  Object.assign(canvas.style, style);
+}
+
+/**
+ * Return a promise resolving with a Blob of the given canvas. OffscreenCanvas converts to Blob via
+ * a promise, and document canvas via a callback.
+ */
+function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ quality, type });
+  return new Promise((resolve) => {
+    canvas.toBlob(resolve, type, quality);
+  });
+}
+
+/**
+ * Stage owns a container and stacks one canvas per layer inside it.
+ * Layers are painted in the order they are added, the first layer is at the bottom.
+ * Stage applies width, height, dpr and viewport to all layers together so that callers are
+ * unaware of canvases.
+ */
+class Stage {
+  constructor(props = {}) {
+    /**
+     * A list of { canvas, layer, props } in paint order.
+     */
+    this.layers = [];
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Update container, size, dpr and viewport, and apply them to all layers.
+   */
+  config(props) {
+    const {
+      container,
+      dpr = 1,
+      height,
+      viewport,
+      width,
+    } = props;
+
+    /**
+     * These are required properties.
+     */
+    if (isNullVoid(container) || isNullVoid(height) || isNullVoid(width)) return;
+
+    /**
+     * Move canvases to the new container.
+     */
+    if (this.container !== container) {
+      this.layers.forEach(({ canvas }) => {
+        container.appendChild(canvas);
+      });
+    }
+
+    this.container = container;
+    this.dpr = dpr;
+    this.height = height;
+    this.viewport = viewport;
+    this.width = width;
+
+    this.layers.forEach((eachLayer) => {
+      this.configLayer(eachLayer.layer, eachLayer.props);
+    });
+  }
+
+  /**
+   * Create a canvas on top of existing layers and draw the given layer on it.
+   * Props are layer specific properties, i.e. data and getSnapshotBeforeRender. Canvas, dpr,
+   * height, viewport and width are provided by stage.
+   */
+  addLayer(layer, props = {}) {
+    const canvas = Platform.global.createCanvas();
+    /**
+     * Canvases are stacked on top of each other. Pointer events go through canvases to the
+     * container.
+     */
+    setCanvasStyle(canvas, {
+      left: '0',
+      pointerEvents: 'none',
+      position: 'absolute',
+      top: '0',
+    });
+    /**
+     * Canvas is appended as soon as stage has a container.
+     */
+    if (!isNullVoid(this.container)) this.container.appendChild(canvas);
+
+    this.layers.push({ canvas, layer, props });
+    this.updateZIndex();
+    this.configLayer(layer, props);
+
+    return layer;
+  }
+
+  /**
+   * Remove the given layer and its canvas.
+   */
+  removeLayer(layer) {
+    const stageLayer = this.layers.find((eachLayer) => eachLayer.layer === layer);
+    if (isNullVoid(stageLayer)) return;
+
+    if (!isNullVoid(this.container)) this.container.removeChild(stageLayer.canvas);
+    this.layers = this.layers.filter((eachLayer) => eachLayer !== stageLayer);
+    this.updateZIndex();
+  }
+
+  /**
+   * Move the given layer to the given position in paint order. 0 is the bottom.
+   */
+  moveLayer(layer, index) {
+    const stageLayer = this.layers.find((eachLayer) => eachLayer.layer === layer);
+    if (isNullVoid(stageLayer)) return;
+
+    this.layers = this.layers.filter((eachLayer) => eachLayer !== stageLayer);
+    this.layers.splice(index, 0, stageLayer);
+    this.updateZIndex();
+  }
+
+  /**
+   * Update layer specific properties and apply stage properties to the layer.
+   * Layer keeps its current data if data is not given, so that incremental updates are preserved
+   * when stage resizes.
+   */
+  configLayer(layer, props = {}) {
+    const stageLayer = this.layers.find((eachLayer) => eachLayer.layer === layer);
+    if (isNullVoid(stageLayer)) return;
+
+    stageLayer.props = props;
+
+    /**
+     * Canvas CSS size is always the stage size. Layers scale canvas area by DPR.
+     */
+    setCanvasStyle(stageLayer.canvas, {
+      height: `${this.height}px`,
+      width: `${this.width}px`,
+    });
+
+    layer.config({
+      data: layer.data,
+      ...props,
+      canvas: stageLayer.canvas,
+      dpr: this.dpr,
+      height: this.height,
+      viewport: this.viewport,
+      width: this.width,
+    });
+  }
+
+  /**
+   * Canvas z-index follows paint order.
+   */
+  updateZIndex() {
+    this.layers.forEach(({ canvas }, index) => {
+      setCanvasStyle(canvas, { zIndex: `${index}` });
+    });
+  }
+
+  /**
+   * Render all layers.
+   * Return a promise so that caller understands as soon as all layers complete.
+   * Promise resolves with a list of render results of layers in paint order, i.e. culled counts.
+   */
+  render() {
+    return Promise.all(this.layers.map(({ layer }) => layer.render()));
+  }
+
+  /**
+   * Return a single SVG document of all layers in paint order. Layers are drawn as they were
+   * drawn by their last renders. Layers which can't replay renders, i.e. Heatmap, are left out.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+
+    this.layers.forEach(({ layer }) => {
+      if (typeof layer.replay === 'function') layer.replay(ctx);
+    });
+
+    return ctx.toString();
+  }
+
+  /**
+   * Composite layers in paint order on a new canvas. Return a promise resolving with the canvas.
+   * Options are backgroundColor, filling the image before layers are drawn, crop, the area to
+   * export in CSS pixels, i.e. [minX, minY, maxX, maxY], default the whole stage, layers, a list
+   * of layers to export, default all layers, and scale, image pixels per CSS pixel independent of
+   * screen DPR, default stage DPR.
+   * Layers are drawn again at export scale by replaying their last renders so that images stay
+   * sharp at any scale. Layers drawing images, i.e. Marker, load images of their last renders
+   * before replay. Layers which can't replay renders, i.e. Heatmap, are copied from their
+   * canvases. Promise rejects if such a layer renders in worker, because its canvas has been
+   * transferred and is blank.
+   */
+  async renderSnapshot(options = {}) {
+    const {
+      backgroundColor,
+      crop = [0, 0, this.width, this.height],
+      layers = this.layers.map(({ layer }) => layer),
+      scale = this.dpr,
+    } = options;
+    const [minX, minY, maxX, maxY] = crop;
+    const stageLayers = this.layers.filter(({ layer }) => layers.includes(layer));
+
+    stageLayers.forEach(({ layer }) => {
+      if (typeof layer.replay !== 'function' && !isNullVoid(layer.workerLayer)) {
+        throw new Error(`${layer.constructor.name} rendered in worker can't be exported`);
+      }
+    });
+
+    const replayImages = await Promise.all(stageLayers.map(({ layer }) => {
+      return typeof layer.loadReplayImages === 'function' ? layer.loadReplayImages() : void 0;
+    }));
+
+    const canvas = Platform.global.createCanvas();
+    canvas.width = Math.round((maxX - minX) * scale);
+    canvas.height = Math.round((maxY - minY) * scale);
+    const ctx = canvas.getContext('2d');
+    /**
+     * Layers draw in CSS pixels of stage. Move the crop area to the top left corner of image.
+     */
+    ctx.scale(scale, scale);
+    ctx.translate(-minX, -minY);
+
+    if (!isNullVoid(backgroundColor)) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(minX, minY, maxX - minX, maxY - minY);
+    }
+
+    try {
+      stageLayers.forEach((stageLayer, index) => {
+        if (typeof stageLayer.layer.replay === 'function') {
+          stageLayer.layer.replay(ctx, replayImages[index]);
+          return;
+        }
+        ctx.drawImage(stageLayer.canvas, 0, 0, this.width, this.height);
+      });
+    } finally {
+      replayImages.forEach((eachReplayImages) => {
+        if (!isNullVoid(eachReplayImages)) eachReplayImages.release();
+      });
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Return a promise resolving with a Blob of the composited layers. See renderSnapshot for
+   * options. Additional options are type, image MIME type, default image/png, and quality, a
+   * number between 0 and 1 for lossy types.
+   */
+  toBlob(options = {}) {
+    const {
+      quality,
+      type = 'image/png',
+    } = options;
+    return this.renderSnapshot(options).then((canvas) => canvasToBlob(canvas, type, quality));
+  }
+
+  /**
+   * Return a promise resolving with a data URL of the composited layers. Options are the same as
+   * toBlob.
+   * OffscreenCanvas has no toDataURL, therefore, its Blob is read as data URL instead, which
+   * requires FileReader.
+   */
+  toDataURL(options = {}) {
+    const {
+      quality,
+      type = 'image/png',
+    } = options;
+
+    return this.renderSnapshot(options).then((canvas) => {
+      if (typeof canvas.toDataURL === 'function') return canvas.toDataURL(type, quality);
+
+      if (typeof FileReader === 'undefined') {
+        throw new Error('toDataURL requires FileReader for canvases without toDataURL');
+      }
+      return canvasToBlob(canvas, type, quality).then((blob) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      }));
+    });
+  }
+
+  /**
+   * Return a list of hits from all layers in paint order. Each hit is { item, layer }.
+   */
+  findByPosition({ x, y }) {
+    return this.layers.reduce((hits, { layer }) => {
+      return [
+        ...hits,
+        ...layer.findByPosition({ x, y }).map((item) => ({ item, layer })),
+      ];
+    }, []);
+  }
+}
+
+Stage.propTypes = {
+  /**
+   * DOM element holding layer canvases. Canvases are absolutely positioned, therefore, container
+   * should be positioned, i.e. position relative. Canvases are created by Platform, therefore,
+   * outside browsers container can be anything having appendChild and removeChild.
+   */
+  container: PropTypes.object.isRequired,
+  /**
+   * Device pixel ratio applied to all layers.
+   * Default 1.
+   */
+  dpr: PropTypes.number,
+  /**
+   * Stage height in CSS pixels applied to all layers.
+   */
+  height: PropTypes.number.isRequired,
+  /**
+   * Viewport shared by all layers.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
+  /**
+   * Stage width in CSS pixels applied to all layers.
+   */
+  width: PropTypes.number.isRequired,
+};
+
+export default Stage;
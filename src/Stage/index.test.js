@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+import Circle from '../Circle';
+import Line from '../Line';
+import Marker from '../Marker';
+import Platform from '../Platform';
+import Polygon from '../Polygon';
+import createCanvas from '../testing/createCanvas';
+import Stage from '.';
+
+/**
+ * OffscreenCanvas stand-in. It has no style and no toDataURL, and its blobs are drawing calls.
+ */
+function createOffscreenCanvas() {
+  const canvas = createCanvas();
+  canvas.convertToBlob = ({ type }) => Promise.resolve({ calls: canvas.ctx.calls, type });
+  return canvas;
+}
+
+/**
+ * Whether the given calls draw an image of the given icon.
+ */
+function drawsIcon(calls, icon) {
+  return calls.some(([name, image]) => name === 'drawImage' && image.icon === icon);
+}
+
+describe('Stage', () => {
+  beforeEach(() => {
+    Platform.global.config({ createCanvas: createOffscreenCanvas });
+  });
+
+  afterEach(() => {
+    Platform.global.config({});
+  });
+
+  it('creates layer canvases through platform without document', async () => {
+    const container = { appendChild: jest.fn(), removeChild: jest.fn() };
+    const stage = new Stage({ container, height: 100, width: 100 });
+    const line = stage.addLayer(new Line(), {
+      data: [{ path: [[10, 10], [90, 10]], width: 2 }],
+    });
+
+    await expect(stage.render()).resolves.toEqual([{ culled: 0 }]);
+    expect(container.appendChild).toHaveBeenCalledTimes(1);
+    const hits = stage.findByPosition({ x: 50, y: 10 });
+    expect(hits).toHaveLength(1);
+    expect(hits[0].layer).toBe(line);
+
+    stage.removeLayer(line);
+    expect(container.removeChild).toHaveBeenCalledTimes(1);
+  });
+
+  it('exports markers whose icons have been evicted from cache', async () => {
+    Platform.global.config({
+      createCanvas: createOffscreenCanvas,
+      loadImage: (icon) => Promise.resolve({ height: 1, icon, width: 1 }),
+    });
+    const stage = new Stage({ container: { appendChild() {} }, height: 100, width: 100 });
+    const marker = stage.addLayer(new Marker(), {
+      data: [{ height: 5, icon: 'a.png', position: [10, 10], width: 5 }],
+    });
+    await stage.render();
+    marker.clearCache();
+
+    const { calls } = await stage.toBlob();
+
+    expect(drawsIcon(calls, 'a.png')).toBe(true);
+  });
+
+  it('replays circles and polygons at export scale and in SVG', async () => {
+    const stage = new Stage({ container: { appendChild() {} }, height: 100, width: 100 });
+    stage.addLayer(new Polygon(), {
+      data: [{ color: 'red', fillRule: 'evenodd', path: [[[0, 0], [20, 0], [20, 20]]] }],
+    });
+    stage.addLayer(new Circle(), {
+      data: [{ color: 'blue', position: [50, 50], radius: 5 }],
+    });
+    await stage.render();
+
+    const canvas = await stage.renderSnapshot({ scale: 3 });
+
+    /**
+     * Layers are drawn as paths on the export canvas rather than copied from their canvases.
+     */
+    expect([canvas.width, canvas.height]).toEqual([300, 300]);
+    expect(canvas.ctx.calls).toContainEqual(['scale', 3, 3]);
+    expect(canvas.ctx.calls).toContainEqual(['fill', 'evenodd']);
+    expect(canvas.ctx.calls).toContainEqual(['arc', 50, 50, 5, 0, 2 * Math.PI]);
+    expect(canvas.ctx.calls.some(([name]) => name === 'drawImage')).toBe(false);
+
+    const svg = stage.toSVG();
+    expect(svg).toContain('<path d="M0 0L20 0L20 20Z" fill="red" fill-rule="evenodd"/>');
+    expect(svg).toContain('A5 5 0 0 1 55 50" fill="blue"/>');
+  });
+
+  it('reads data URL of canvases without toDataURL via FileReader', async () => {
+    const stage = new Stage({ container: { appendChild() {} }, height: 100, width: 100 });
+
+    await expect(stage.toDataURL()).rejects.toThrow('toDataURL requires FileReader');
+
+    global.FileReader = class {
+      readAsDataURL(blob) {
+        this.result = `data:${blob.type};base64,`;
+        this.onload();
+      }
+    };
+    await expect(stage.toDataURL({ type: 'image/jpeg' })).resolves.toBe('data:image/jpeg;base64,');
+    delete global.FileReader;
+  });
+
+  it('rejects exports of layers whose canvases are transferred to worker', async () => {
+    const stage = new Stage({ container: { appendChild() {} }, height: 100, width: 100 });
+    stage.addLayer({ config() {}, workerLayer: {} });
+
+    await expect(stage.toBlob()).rejects.toThrow("rendered in worker can't be exported");
+  });
+});
@@ -1,24 +1,112 @@
 import PropTypes from 'prop-types';
+import diffData from '../utils/diffData';
 import isNullVoid from '../utils/isNullVoid';
+import isOverlapping from '../utils/isOverlapping';
+import redrawRegion from '../utils/redrawRegion';
 import Scheduler from '../Scheduler';
+import SpatialIndex from '../SpatialIndex';
+import SVGContext from '../SVGContext';
+import traceRoundedRect from '../utils/traceRoundedRect';
+import Viewport from '../Viewport';
+
+/**
+ * Return the bounding box of the last render of the given text, undefined if it is not drawn.
+ */
+function getBoundingBox(text) {
+  return isNullVoid(text.renderProps) ? void 0 : text.renderProps.boundingBox;
+}
+
+/**
+ * Break a paragraph into lines no wider than max width. Words are separated by spaces. A word
+ * wider than max width stays on its own line because it can't be broken.
+ */
+function wrapParagraph(paragraph, maxWidth, measure) {
+  if (isNullVoid(maxWidth)) return [paragraph];
+
+  return paragraph.split(' ').reduce((lines, word) => {
+    if (lines.length === 0) return [word];
+
+    const lastLine = lines[lines.length - 1];
+    const nextLine = `${lastLine} ${word}`;
+    if (measure(nextLine) <= maxWidth) return [...lines.slice(0, -1), nextLine];
+    return [...lines, word];
+  }, []);
+}
+
+/**
+ * Return texts in paint order. With declutter, texts are placed in descending priority order.
+ */
+function getPaintOrder(data, declutter) {
+  if (!declutter) return data;
+  return [...data].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
 
 class Text {
   /**
    * Render a single text on the given canvas context.
+   * Style is optional and defines font, wrapping, background and halo. See propTypes of data.
+   * Text is culled if it is entirely outside the visible bounding box.
    */
   static render(
     textObject, ctx,
-    anchorOrigin, anchorOriginDescription, color, fontSize, position, text,
+    anchorOrigin, anchorOriginDescription, color, fontSize, position, text, style,
+    visibleBoundingBox,
   ) {
+    Text.layout(
+      textObject, ctx,
+      anchorOrigin, anchorOriginDescription, color, fontSize, position, text, style,
+    );
+
+    if (isNullVoid(textObject.renderProps)) return;
+
     /**
-     * Skip if it text is empty.
+     * Skip if it is entirely outside the visible area.
      */
-    if (isNullVoid(text) || text === '') return;
+    if (!isNullVoid(visibleBoundingBox)
+      && !isOverlapping(textObject.renderProps.boundingBox, visibleBoundingBox)) {
+      textObject.renderProps.culled = true;
+      return;
+    }
+
+    Text.draw(ctx, textObject.renderProps);
+  }
+
+  /**
+   * Calculate render properties of a single text without drawing it. Text is measured on the given
+   * canvas context.
+   */
+  static layout(
+    textObject, ctx,
+    anchorOrigin, anchorOriginDescription, color, fontSize, position, text, style = {},
+  ) {
+    const {
+      backgroundColor,
+      backgroundPadding = 0,
+      backgroundRadius = 0,
+      fontFamily = 'sans-serif',
+      fontStyle = 'normal',
+      fontWeight = 'normal',
+      haloColor = 'white',
+      haloWidth = 0,
+      lineHeight = 1.2,
+      maxWidth,
+      textAlign = 'left',
+    } = style;
+
+    /**
+     * Skip if it text is empty. Render properties of the previous render are discarded because
+     * this text is no longer on canvas.
+     */
+    if (isNullVoid(text) || text === '') {
+      textObject.renderProps = void 0;
+      return;
+    }
 
     /**
      * Round number values because decimal points significantly affects canvas performance.
      */
     const internalFontSize = Math.round(fontSize);
+    const internalPadding = Math.round(backgroundPadding);
     const internalPosition = [Math.round(position[0]), Math.round(position[1])];
 
     /**
@@ -27,27 +115,46 @@ class Text {
      */
     const renderProps = {
       anchorOriginDescription,
+      backgroundColor,
+      backgroundRadius: Math.round(backgroundRadius),
       color,
-      font: `${internalFontSize}px sans-serif`,
+      font: `${fontStyle} ${fontWeight} ${internalFontSize}px ${fontFamily}`,
       fontSize: internalFontSize,
+      haloColor,
+      haloWidth: Math.round(haloWidth),
+      lineHeight: Math.round(internalFontSize * lineHeight),
+      padding: internalPadding,
       position: internalPosition,
       text,
+      textAlign,
     };
     textObject.renderProps = renderProps;
 
     ctx.save();
 
     /**
-     * Set text colour and font.
+     * Break text into lines by line breaks and max width, and measure every line.
      */
-    ctx.fillStyle = renderProps.color;
     ctx.font = renderProps.font;
+    const measure = (line) => Math.round(ctx.measureText(line).width);
+    renderProps.lines = `${text}`.split('\n').reduce((lines, paragraph) => {
+      return [...lines, ...wrapParagraph(paragraph, maxWidth, measure)];
+    }, []).map((line) => ({ text: line, width: measure(line) }));
+
+    ctx.restore();
 
     /**
-     * Measure text width.
+     * Text width is the width of the widest line. The first line is a font size tall and every
+     * following line adds a line height.
+     */
+    renderProps.textWidth = Math.max(...renderProps.lines.map(({ width }) => width));
+    renderProps.textHeight = renderProps.fontSize
+      + (renderProps.lines.length - 1) * renderProps.lineHeight;
+    /**
+     * Box is the text surrounded by padding. Anchors and hit-testing are relative to the box.
      */
-    const internalWidth = Math.round(ctx.measureText(text).width);
-    renderProps.width = internalWidth;
+    renderProps.width = renderProps.textWidth + internalPadding * 2;
+    renderProps.height = renderProps.textHeight + internalPadding * 2;
 
     /**
      * anchorOriginDescription has higher priority if both anchorOrigin and anchorOriginDescription
@@ -58,7 +165,7 @@ class Text {
       /**
        * Anchor origin will be overriden by anchor description if it is defined.
        */
-      const textHeight = renderProps.fontSize;
+      const textHeight = renderProps.height;
       const textWidth = renderProps.width;
 
       switch (anchorOriginDescription) {
@@ -101,14 +208,72 @@ class Text {
        */
       internalAnchorOrigin = [0, 0];
     }
-    textObject.anchorOrigin = internalAnchorOrigin;
     renderProps.anchorOrigin = internalAnchorOrigin;
 
-    ctx.fillText(
-      renderProps.text,
+    /**
+     * Box is drawn above its anchored position. i.e. [minX, minY, maxX, maxY].
+     */
+    renderProps.box = [
       renderProps.position[0] + renderProps.anchorOrigin[0],
+      renderProps.position[1] + renderProps.anchorOrigin[1] - renderProps.height,
+      renderProps.position[0] + renderProps.anchorOrigin[0] + renderProps.width,
       renderProps.position[1] + renderProps.anchorOrigin[1],
-    );
+    ];
+    /**
+     * Bounding box is used to index text for finding texts by position and for clearing the area
+     * text covers. Halo is stroked outside the box.
+     */
+    renderProps.boundingBox = [
+      renderProps.box[0] - renderProps.haloWidth,
+      renderProps.box[1] - renderProps.haloWidth,
+      renderProps.box[2] + renderProps.haloWidth,
+      renderProps.box[3] + renderProps.haloWidth,
+    ];
+  }
+
+  /**
+   * Draw a single text with its render properties on the given canvas context.
+   */
+  static draw(ctx, renderProps) {
+    const {
+      box,
+      fontSize,
+      lineHeight,
+      padding,
+      textWidth,
+    } = renderProps;
+
+    ctx.save();
+
+    if (!isNullVoid(renderProps.backgroundColor)) {
+      ctx.fillStyle = renderProps.backgroundColor;
+      traceRoundedRect(ctx, box, renderProps.backgroundRadius);
+      ctx.fill();
+    }
+
+    /**
+     * Set text colour and font.
+     */
+    ctx.fillStyle = renderProps.color;
+    ctx.font = renderProps.font;
+    /**
+     * Halo is stroked under text fill, therefore, only the outer half of stroke is visible.
+     */
+    ctx.strokeStyle = renderProps.haloColor;
+    ctx.lineWidth = renderProps.haloWidth * 2;
+    ctx.lineJoin = 'round';
+
+    renderProps.lines.forEach((line, index) => {
+      let offset = 0;
+      if (renderProps.textAlign === 'center') offset = Math.round((textWidth - line.width) / 2);
+      if (renderProps.textAlign === 'right') offset = textWidth - line.width;
+
+      const x = box[0] + padding + offset;
+      const y = box[1] + padding + fontSize + index * lineHeight;
+
+      if (renderProps.haloWidth > 0) ctx.strokeText(line.text, x, y);
+      ctx.fillText(line.text, x, y);
+    });
 
     ctx.restore();
   }
@@ -123,6 +288,11 @@ class Text {
      * In this way, time consuming function won't block UI thread.
      */
     this.scheduler = new Scheduler();
+    /**
+     * Incremental updates redraw canvas regions one after another. This promise resolves as soon
+     * as the last redraw completes.
+     */
+    this.redrawing = Promise.resolve();
   }
 
   /**
@@ -132,8 +302,12 @@ class Text {
     const {
       canvas,
       data = [],
+      declutter = false,
+      declutterPlacements = ['bottom-left', 'top-left', 'bottom-right', 'top-right'],
       dpr = 1,
       height,
+      scaleWithZoom = true,
+      viewport = new Viewport(),
       width,
     } = props;
 
@@ -143,6 +317,11 @@ class Text {
     if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
 
     this.dpr = dpr;
+    /**
+     * Canvas size in CSS pixels. Texts entirely outside canvas are culled.
+     */
+    this.height = height;
+    this.width = width;
 
     /**
      * We will manipulate canvas context later.
@@ -159,7 +338,41 @@ class Text {
     canvas.width = width * this.dpr;
     this.ctx.scale(this.dpr, this.dpr);
 
+    /**
+     * Data coordinates are projected through viewport before rendering.
+     */
+    this.viewport = viewport;
+    /**
+     * Whether font sizes and anchor origins scale with viewport zoom or stay fixed in CSS pixels.
+     */
+    this.scaleWithZoom = scaleWithZoom;
     this.data = data;
+    /**
+     * Hide texts colliding with texts of higher priority after trying alternative placements.
+     */
+    this.declutter = declutter;
+    this.declutterPlacements = declutterPlacements;
+    /**
+     * Texts are indexed by their bounding boxes as soon as they are rendered so that finding texts
+     * by position doesn't go through the whole dataset.
+     */
+    this.spatialIndex = new SpatialIndex();
+  }
+
+  /**
+   * Text layer keeps no cache. It is defined so that every layer releases its caches the same
+   * way.
+   */
+  clearCache() {}
+
+  /**
+   * Cancel pending render and drop texts.
+   */
+  destroy() {
+    this.scheduler.cancel();
+    this.clearCache();
+    this.data = [];
+    if (!isNullVoid(this.spatialIndex)) this.spatialIndex.clear();
   }
 
   /**
@@ -168,30 +381,18 @@ class Text {
    * pointer positions.
    */
   findByPosition({ x, y }) {
-    return this.data.filter(({ renderProps }) => {
-      /**
-       * This scenario happens if mouse event triggers before render completes.
-       */
-      if (isNullVoid(renderProps)) return false;
-
-      const {
-        anchorOrigin,
-        /**
-         * Currently, text cannot wrap.
-         */
-        fontSize: height,
-        position,
-        width,
-      } = renderProps;
+    /**
+     * This scenario happens if mouse event triggers before config.
+     */
+    if (isNullVoid(this.spatialIndex)) return [];
 
+    return this.spatialIndex.search({ x, y }).filter(({ renderProps }) => {
       /**
-       * Canvas is scaled to make image sharper in high DPR devices. Therefore, when finding lines
-       * by mouse events, mouse pointer position should scale by DPR ratio.
+       * Box covers all lines of text and background padding.
        */
-      return position[0] + anchorOrigin[0] <= x
-        && x <= position[0] + anchorOrigin[0] + width
-        && position[1] + anchorOrigin[1] >= y
-        && y >= position[1] + anchorOrigin[1] - height;
+      const [minX, minY, maxX, maxY] = renderProps.box;
+
+      return minX <= x && x <= maxX && minY <= y && y <= maxY;
     }).map(({ renderProps, ...other }) => {
       /**
        * Internal render properties should not expose.
@@ -200,32 +401,284 @@ class Text {
     });
   }
 
+  /**
+   * Render a single text and index it by its bounding box.
+   */
+  renderItem(eachText) {
+    const {
+      anchorOrigin,
+      anchorOriginDescription,
+      backgroundColor,
+      backgroundPadding = 0,
+      backgroundRadius = 0,
+      color = 'black',
+      fontFamily,
+      fontSize = 10,
+      fontStyle,
+      fontWeight,
+      haloColor,
+      haloWidth = 0,
+      lineHeight,
+      maxWidth,
+      position,
+      text,
+      textAlign,
+    } = eachText;
+
+    /**
+     * Project text to canvas. Texts always stay upright no matter how viewport rotates.
+     */
+    const sizeScale = this.scaleWithZoom ? this.viewport.scale : 1;
+    const screenAnchorOrigin = isNullVoid(anchorOrigin)
+      ? anchorOrigin
+      : [anchorOrigin[0] * sizeScale, anchorOrigin[1] * sizeScale];
+
+    const screenPosition = this.viewport.toScreen(position);
+    const style = {
+      backgroundColor,
+      backgroundPadding: backgroundPadding * sizeScale,
+      backgroundRadius: backgroundRadius * sizeScale,
+      fontFamily,
+      fontStyle,
+      fontWeight,
+      haloColor,
+      haloWidth: haloWidth * sizeScale,
+      lineHeight,
+      maxWidth: isNullVoid(maxWidth) ? maxWidth : maxWidth * sizeScale,
+      textAlign,
+    };
+
+    /**
+     * Text is placed by its own anchor first. If declutter is enabled, alternative placements are
+     * tried one after another until text doesn't collide with any text placed before.
+     */
+    const placements = this.declutter
+      ? [
+        anchorOriginDescription,
+        ...this.declutterPlacements.filter((placement) => placement !== anchorOriginDescription),
+      ]
+      : [anchorOriginDescription];
+    const placementIndex = placements.findIndex((placement) => {
+      Text.layout(
+        eachText, this.ctx,
+        screenAnchorOrigin, placement, color, fontSize * sizeScale, screenPosition, text, style,
+      );
+
+      if (!this.declutter || isNullVoid(eachText.renderProps)) return true;
+
+      const { boundingBox } = eachText.renderProps;
+      return !this.spatialIndex.searchBoundingBox(boundingBox).some((otherText) => {
+        return otherText !== eachText
+          && isOverlapping(boundingBox, otherText.renderProps.boundingBox);
+      });
+    });
+
+    /**
+     * Empty texts are not drawn and don't have render properties.
+     */
+    if (isNullVoid(eachText.renderProps)) {
+      this.spatialIndex.remove(eachText);
+      return;
+    }
+
+    /**
+     * Texts colliding at all placements are hidden, and they are not found by position.
+     */
+    if (placementIndex === -1) {
+      eachText.renderProps.hidden = true;
+      this.spatialIndex.remove(eachText);
+      return;
+    }
+
+    /**
+     * Texts entirely outside canvas are culled. They are not drawn and not found by position.
+     */
+    if (!isOverlapping(eachText.renderProps.boundingBox, [0, 0, this.width, this.height])) {
+      eachText.renderProps.culled = true;
+      this.spatialIndex.remove(eachText);
+      return;
+    }
+
+    Text.draw(this.ctx, eachText.renderProps);
+
+    this.spatialIndex.insert(eachText, eachText.renderProps.boundingBox);
+  }
+
   /**
    * Draw texts one by one.
+   * If declutter is enabled, texts are placed in descending priority order so that texts of
+   * higher priority are never hidden by texts of lower priority.
    * Return a promise so that caller understands as soon as render completes.
+   * Promise resolves with the number of texts culled outside canvas. i.e. { culled: 3 }.
    */
   render() {
-    return this.scheduler.execute(this.data, (eachText) => {
-      const {
-        anchorOrigin,
-        anchorOriginDescription,
-        color = 'black',
-        fontSize = 10,
-        position,
-        text,
-      } = eachText;
+    /**
+     * Texts rendered previously are no longer on canvas.
+     */
+    this.spatialIndex.clear();
+
+    const texts = getPaintOrder(this.data, this.declutter);
+
+    return this.scheduler.execute(texts, (eachText) => this.renderItem(eachText)).then(() => {
+      return {
+        culled: texts.filter(({ renderProps }) => {
+          return !isNullVoid(renderProps) && renderProps.culled;
+        }).length,
+      };
+    });
+  }
 
+  /**
+   * Clear canvas and render all texts.
+   */
+  refresh() {
+    const { canvas } = this.ctx;
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, canvas.width, canvas.height);
+    this.ctx.restore();
+
+    return this.render();
+  }
+
+  /**
+   * Clear the given bounding box and redraw texts inside it once previous redraws complete.
+   * Texts in the given list are always rendered so that their render properties are refreshed.
+   */
+  redraw(boundingBox, texts = []) {
+    /**
+     * Changing a single text may change placements of other texts, therefore, decluttered texts
+     * are always rendered fully.
+     */
+    if (this.declutter) {
       /**
-       * Assign default values.
+       * Changes before the pending refresh starts share the same refresh.
        */
-      eachText.color = color;
-      eachText.fontSize = fontSize;
+      if (isNullVoid(this.pendingRefresh)) {
+        this.pendingRefresh = this.redrawing.then(() => {
+          this.pendingRefresh = void 0;
+          return this.refresh();
+        });
+        this.redrawing = this.pendingRefresh.catch(() => {});
+      }
+      return this.pendingRefresh;
+    }
 
-      Text.render(
-        eachText, this.ctx,
-        anchorOrigin, anchorOriginDescription, color, fontSize, position, text,
-      );
+    const redrawing = this.redrawing.then(() => redrawRegion(
+      this.ctx, this.data, this.spatialIndex, boundingBox, texts,
+      (eachText) => this.renderItem(eachText),
+    ));
+    /**
+     * A failed redraw should not block the following redraws.
+     */
+    this.redrawing = redrawing.catch(() => {});
+    return redrawing;
+  }
+
+  /**
+   * Redraw where the text was and then where the text is.
+   */
+  async redrawText(text, previousBoundingBox) {
+    await this.redraw(previousBoundingBox, [text]);
+
+    const boundingBox = getBoundingBox(text);
+    if (!isNullVoid(boundingBox)) {
+      await this.redraw(boundingBox);
+    }
+  }
+
+  /**
+   * Append texts to data and draw them without redrawing the whole canvas.
+   */
+  add(texts) {
+    this.data = [...this.data, ...texts];
+    return Promise.all(texts.map((text) => this.redrawText(text)));
+  }
+
+  /**
+   * Apply patch to the text with the given id and redraw only the affected area.
+   */
+  update(id, patch) {
+    const text = this.data.find((eachText) => eachText.id === id);
+    if (isNullVoid(text)) return Promise.resolve();
+
+    const previousBoundingBox = getBoundingBox(text);
+    Object.assign(text, patch);
+    return this.redrawText(text, previousBoundingBox);
+  }
+
+  /**
+   * Remove the text with the given id and redraw only the area it used to cover.
+   */
+  remove(id) {
+    const text = this.data.find((eachText) => eachText.id === id);
+    if (isNullVoid(text)) return Promise.resolve();
+
+    this.data = this.data.filter((eachText) => eachText !== text);
+    this.spatialIndex.remove(text);
+    return this.redraw(getBoundingBox(text));
+  }
+
+  /**
+   * Replace data with a new list of texts keyed by id, and redraw only texts which are added,
+   * removed or updated. Canvas is fully rendered if the order of existing texts changes.
+   */
+  setData(data) {
+    const {
+      added,
+      removed,
+      reordered,
+      unchanged,
+      updated,
+    } = diffData(this.data, data);
+
+    if (reordered) {
+      this.data = data;
+      return this.render();
+    }
+
+    /**
+     * New text objects take over render properties and index entries from the previous ones.
+     */
+    [...unchanged, ...updated].forEach(([previousText, nextText]) => {
+      nextText.renderProps = previousText.renderProps;
+      this.spatialIndex.replace(previousText, nextText);
+    });
+    removed.forEach((text) => {
+      this.spatialIndex.remove(text);
     });
+
+    this.data = data;
+
+    return Promise.all([
+      ...removed.map((text) => this.redraw(getBoundingBox(text))),
+      ...updated.map(([previousText, nextText]) => {
+        return this.redrawText(nextText, getBoundingBox(previousText));
+      }),
+      ...added.map((text) => this.redrawText(text)),
+    ]);
+  }
+
+  /**
+   * Draw texts of the last render on the given context in the same order. Context is either a
+   * canvas context, i.e. to export images, or an SVG context.
+   */
+  replay(ctx) {
+    getPaintOrder(this.data, this.declutter).forEach(({ renderProps }) => {
+      if (isNullVoid(renderProps) || renderProps.culled || renderProps.hidden) return;
+      Text.draw(ctx, renderProps);
+    });
+  }
+
+  /**
+   * Return an SVG document of texts drawn by the last render, see SVGContext. Render
+   * properties are replayed so that the document looks the same as canvas.
+   */
+  toSVG() {
+    const ctx = new SVGContext({ height: this.height, width: this.width });
+    this.replay(ctx);
+    return ctx.toString();
   }
 }
 
@@ -257,27 +710,107 @@ Text.propTypes = {
       'bottom-center', 'bottom-left', 'bottom-right', 'center', 'middle-left', 'middle-right',
       'top-center', 'top-left', 'top-right',
     ]),
+    /**
+     * Background box colour. Background box is not drawn if it is omitted.
+     */
+    backgroundColor: PropTypes.string,
+    /**
+     * Space between text and the edges of its box. Anchors and hit-testing apply to the box.
+     * Default 0.
+     */
+    backgroundPadding: PropTypes.number,
+    /**
+     * Corner radius of background box.
+     * Default 0.
+     */
+    backgroundRadius: PropTypes.number,
     /**
      * Text colour.
      * Default black.
      */
     color: PropTypes.string,
+    /**
+     * Font family. i.e. 'Helvetica, Arial, sans-serif'.
+     * Default sans-serif.
+     */
+    fontFamily: PropTypes.string,
     /**
      * Font size in unit pixel.
      * Default 10.
      */
     fontSize: PropTypes.number,
+    /**
+     * Font style. i.e. italic.
+     * Default normal.
+     */
+    fontStyle: PropTypes.string,
+    /**
+     * Font weight. i.e. bold or 600.
+     * Default normal.
+     */
+    fontWeight: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    /**
+     * Halo colour stroked around text to keep text legible over busy backgrounds.
+     * Default white.
+     */
+    haloColor: PropTypes.string,
+    /**
+     * Halo width outside text. Halo is not drawn if it is 0.
+     * Default 0.
+     */
+    haloWidth: PropTypes.number,
+    /**
+     * Unique key of the text. It is required by add, update, remove and setData which redraw
+     * single texts without redrawing the whole canvas.
+     */
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    /**
+     * Distance between baselines of two lines relative to font size.
+     * Default 1.2.
+     */
+    lineHeight: PropTypes.number,
+    /**
+     * Text wraps at spaces so that lines are no wider than max width. Text breaks lines only at
+     * line breaks '\n' if it is omitted.
+     */
+    maxWidth: PropTypes.number,
     /**
      * Text position. i.e. [x, y].
      * Text anchor origin point is placed to this position.
      */
     position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * Texts of higher priority are placed first when declutter is enabled, therefore, texts of
+     * lower priority are hidden if they collide.
+     * Default 0.
+     */
+    priority: PropTypes.number,
     /**
      * Text content.
      * Default ''.
      */
     text: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    /**
+     * Horizontal alignment of lines within text box.
+     * Default left.
+     */
+    textAlign: PropTypes.oneOf(['center', 'left', 'right']),
   })),
+  /**
+   * Avoid label collisions. Texts are placed in descending priority order. A text colliding with
+   * texts placed before tries declutterPlacements one after another, and it is hidden if it still
+   * collides. Hidden texts are not found by position.
+   * Default false.
+   */
+  declutter: PropTypes.bool,
+  /**
+   * Alternative anchor origin descriptions tried in order when declutter is enabled.
+   * Default ['bottom-left', 'top-left', 'bottom-right', 'top-right'].
+   */
+  declutterPlacements: PropTypes.arrayOf(PropTypes.oneOf([
+    'bottom-center', 'bottom-left', 'bottom-right', 'center', 'middle-left', 'middle-right',
+    'top-center', 'top-left', 'top-right',
+  ])),
   /**
    * Device pixel ratio.
    * 4K device has dpr 2. Canvas is painted on a quadruple size area. With canvas CSS scales down
@@ -293,6 +826,18 @@ Text.propTypes = {
    * Canvas height.
    */
   height: PropTypes.number.isRequired,
+  /**
+   * Whether font sizes and anchor origins scale with viewport zoom. Set false to keep them fixed in
+   * CSS pixels no matter how viewport zooms.
+   * Default true.
+   */
+  scaleWithZoom: PropTypes.bool,
+  /**
+   * Viewport shared by layers to pan, zoom and rotate. Data coordinates are projected through
+   * viewport, therefore, render properties and findByPosition are in canvas CSS pixels.
+   * Default identity viewport.
+   */
+  viewport: PropTypes.instanceOf(Viewport),
   /**
    * Canvas width.
    */
@@ -0,0 +1,174 @@
+import createCanvas from '../testing/createCanvas';
+import mockIdleCallback from '../testing/mockIdleCallback';
+import Text from '.';
+
+/**
+ * Texts measure half of their font size per character, so a four character text of font size 10
+ * is 20 pixels wide.
+ */
+function createText(props) {
+  const canvas = createCanvas();
+  const text = new Text({
+    canvas,
+    height: 200,
+    width: 200,
+    ...props,
+  });
+  return { ctx: canvas.ctx, text };
+}
+
+describe('Text', () => {
+  let restoreIdleCallback;
+
+  beforeEach(() => {
+    restoreIdleCallback = mockIdleCallback();
+  });
+
+  afterEach(() => {
+    restoreIdleCallback();
+  });
+
+  describe('declutter', () => {
+    const position = [50, 50];
+    let data;
+
+    beforeEach(() => {
+      data = [
+        { id: 'hidden', position, priority: -1, text: 'eeee' },
+        { id: 'lowest', position, text: 'cccc' },
+        { id: 'lower', position, priority: 1, text: 'dddd' },
+        { id: 'low', position, priority: 2, text: 'bbbb' },
+        { id: 'high', position, priority: 3, text: 'aaaa' },
+      ];
+    });
+
+    it('places texts by priority and tries alternative placements', async () => {
+      const { ctx, text } = createText({ data, declutter: true });
+
+      await text.render();
+
+      expect(ctx.calls.filter(([name]) => name === 'fillText')).toEqual([
+        ['fillText', 'aaaa', 50, 50],
+        ['fillText', 'bbbb', 50, 60],
+        ['fillText', 'dddd', 30, 50],
+        ['fillText', 'cccc', 30, 60],
+      ]);
+      expect(data[0].renderProps.hidden).toBe(true);
+    });
+
+    it('does not find hidden texts by position', async () => {
+      const { text } = createText({ data, declutter: true });
+
+      await text.render();
+
+      const findIds = (point) => text.findByPosition(point).map(({ id }) => id);
+      expect(findIds({ x: 60, y: 45 })).toEqual(['high']);
+      expect(findIds({ x: 40, y: 55 })).toEqual(['lowest']);
+    });
+
+    it('tries the given placements only', async () => {
+      const { ctx, text } = createText({
+        data,
+        declutter: true,
+        declutterPlacements: ['top-right'],
+      });
+
+      await text.render();
+
+      expect(ctx.calls.filter(([name]) => name === 'fillText')).toEqual([
+        ['fillText', 'aaaa', 50, 50],
+        ['fillText', 'bbbb', 30, 60],
+      ]);
+    });
+
+    it('draws colliding texts if declutter is disabled', async () => {
+      const { ctx, text } = createText({ data });
+
+      await text.render();
+
+      expect(ctx.calls.filter(([name]) => name === 'fillText')).toHaveLength(5);
+    });
+  });
+
+  describe('multiline', () => {
+    it('wraps text by max width and line breaks and aligns lines', async () => {
+      const { ctx, text } = createText({
+        data: [{
+          maxWidth: 30,
+          position: [100, 100],
+          text: 'aa bb cccc\ndd',
+          textAlign: 'center',
+        }],
+      });
+
+      await text.render();
+
+      /**
+       * Lines are 25, 20 and 10 pixels wide, and baselines are 12 pixels apart.
+       */
+      expect(ctx.calls.filter(([name]) => name === 'fillText')).toEqual([
+        ['fillText', 'aa bb', 100, 76],
+        ['fillText', 'cccc', 103, 88],
+        ['fillText', 'dd', 108, 100],
+      ]);
+      expect(text.findByPosition({ x: 120, y: 70 })).toHaveLength(1);
+      expect(text.findByPosition({ x: 120, y: 60 })).toHaveLength(0);
+    });
+
+    it('draws background box under halo and text', async () => {
+      const data = [{
+        anchorOriginDescription: 'top-left',
+        backgroundColor: 'yellow',
+        backgroundPadding: 2,
+        backgroundRadius: 3,
+        haloColor: 'white',
+        haloWidth: 1,
+        position: [100, 100],
+        text: 'abcd',
+      }];
+      const { ctx, text } = createText({ data });
+
+      await text.render();
+
+      const names = ctx.calls.map(([name]) => name);
+      expect(names.indexOf('fill')).toBeLessThan(names.indexOf('strokeText'));
+      expect(names.indexOf('strokeText')).toBeLessThan(names.indexOf('fillText'));
+      expect(ctx.calls).toContainEqual(['moveTo', 103, 100]);
+      expect(ctx.calls).toContainEqual(['arcTo', 124, 100, 124, 114, 3]);
+      expect(ctx.calls).toContainEqual(['lineWidth', 2]);
+      expect(ctx.calls).toContainEqual(['strokeText', 'abcd', 102, 112]);
+      expect(ctx.calls).toContainEqual(['fillText', 'abcd', 102, 112]);
+      /**
+       * Halo is outside the box, therefore, it extends the area text covers.
+       */
+      expect(data[0].renderProps.boundingBox).toEqual([99, 99, 125, 115]);
+    });
+  });
+
+  describe('setData', () => {
+    const createData = () => [
+      { anchorOrigin: [0, 0], id: 1, position: [10, 20], text: 'a' },
+      { id: 2, position: [50, 60], text: 'b' },
+    ];
+
+    it('keeps default values out of data', async () => {
+      const data = createData();
+      const { text } = createText({ data });
+
+      await text.render();
+
+      expect(data.map(({ renderProps, ...other }) => other)).toEqual(createData());
+    });
+
+    it('does not redraw texts equal to the previous ones', async () => {
+      const { ctx, text } = createText({ data: createData() });
+      await text.render();
+      const renderedCalls = ctx.calls.length;
+
+      await text.setData(createData());
+
+      expect(ctx.calls.slice(renderedCalls).filter(([name]) => name === 'fillText')).toEqual([]);
+      expect(text.findByPosition({ x: 12, y: 15 }).map(({ id }) => id)).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import PropTypes from 'prop-types';
+
+/**
+ * Viewport is a camera shared by layers. It transforms data coordinates to canvas coordinates by
+ * scaling, rotating and finally translating.
+ * Layers project data coordinates through viewport before calling canvas APIs, therefore, render
+ * properties and findByPosition work in canvas CSS pixels no matter how viewport transforms.
+ */
+class Viewport {
+  constructor(props = {}) {
+    /**
+     * Save props.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Update transform.
+   * Layers must render again to honour the new transform.
+   */
+  config(props) {
+    const {
+      rotation = 0,
+      scale = 1,
+      translate = [0, 0],
+    } = props;
+
+    this.rotation = rotation;
+    this.scale = scale;
+    this.translate = translate;
+  }
+
+  /**
+   * Return canvas position of the given data position. i.e. [x, y].
+   * Rotation is clockwise, which is the same as Marker rotation.
+   */
+  toScreen([x, y]) {
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+
+    return [
+      this.translate[0] + this.scale * (x * cos - y * sin),
+      this.translate[1] + this.scale * (x * sin + y * cos),
+    ];
+  }
+
+  /**
+   * Return data position of the given canvas position, i.e. mouse pointer position. i.e. [x, y].
+   * This is the inverse transform of toScreen.
+   */
+  toWorld([x, y]) {
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const translatedX = (x - this.translate[0]) / this.scale;
+    const translatedY = (y - this.translate[1]) / this.scale;
+
+    return [
+      translatedX * cos + translatedY * sin,
+      -translatedX * sin + translatedY * cos,
+    ];
+  }
+}
+
+Viewport.propTypes = {
+  /**
+   * Rotate data coordinate system clockwise around canvas top left corner before translating.
+   * Angles are in radians. Default 0.
+   */
+  rotation: PropTypes.number,
+  /**
+   * Zoom level. 2 draws data twice as large. Default 1.
+   */
+  scale: PropTypes.number,
+  /**
+   * Move data coordinate system horizontally and vertically in CSS pixels after scaling and
+   * rotating. i.e. [x, y] Default [0, 0].
+   */
+  translate: PropTypes.arrayOf(PropTypes.number),
+};
+
+export default Viewport;
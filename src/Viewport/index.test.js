@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+import Viewport from '.';
+
+describe('Viewport', () => {
+  it('scales, rotates clockwise and translates data positions', () => {
+    const viewport = new Viewport({ rotation: Math.PI / 2, scale: 2, translate: [10, 20] });
+    const [x, y] = viewport.toScreen([5, 0]);
+
+    expect(x).toBeCloseTo(10);
+    expect(y).toBeCloseTo(30);
+  });
+
+  it('maps canvas positions back to data positions', () => {
+    const viewport = new Viewport({ rotation: 0.3, scale: 1.5, translate: [-4, 7] });
+    const [x, y] = viewport.toWorld(viewport.toScreen([12, -8]));
+
+    expect(x).toBeCloseTo(12);
+    expect(y).toBeCloseTo(-8);
+  });
+
+  it('defaults to the identity transform and resets omitted props on config', () => {
+    const viewport = new Viewport({ scale: 3 });
+    viewport.config({ translate: [1, 2] });
+
+    expect(viewport.toScreen([5, 6])).toEqual([6, 8]);
+  });
+});
@@ -0,0 +1,123 @@
+import PropTypes from 'prop-types';
+import Grid from '../Grid';
+import isNullVoid from '../utils/isNullVoid';
+import Line from '../Line';
+import Marker from '../Marker';
+import Viewport from '../Viewport';
+
+/**
+ * Layers which can render in worker.
+ */
+const LAYERS = {
+  Grid,
+  Line,
+  Marker,
+};
+
+/**
+ * WorkerHost is the worker side of layers rendered in a web worker, see WorkerLayer. It creates a
+ * layer on every transferred canvas, renders data posted by the main thread with the same static
+ * render functions, and posts render properties back.
+ * Create it in worker script, i.e. new WorkerHost({ scope: self }).
+ */
+class WorkerHost {
+  constructor(props = {}) {
+    const {
+      scope,
+    } = props;
+
+    /**
+     * Map layer key to { layer, props }.
+     */
+    this.layers = new Map();
+    this.scope = scope;
+
+    this.scope.addEventListener('message', this.handleMessage);
+  }
+
+  /**
+   * Create or update a layer.
+   */
+  config({ canvas, key, layer, props }) {
+    const workerLayer = this.layers.get(key);
+
+    if (isNullVoid(workerLayer)) {
+      const layerProps = { ...props, canvas };
+      this.layers.set(key, {
+        layer: new LAYERS[layer](layerProps),
+        props: layerProps,
+      });
+      return;
+    }
+
+    workerLayer.props = { ...props, canvas: workerLayer.props.canvas };
+  }
+
+  /**
+   * Render the posted data and post render properties of every item back in the same order.
+   */
+  render({ data, id, key, viewport }) {
+    const workerLayer = this.layers.get(key);
+
+    /**
+     * Configuring layer again clears canvas.
+     */
+    workerLayer.layer.config({
+      ...workerLayer.props,
+      data,
+      viewport: new Viewport(viewport),
+    });
+
+    workerLayer.layer.render().then((result) => {
+      this.scope.postMessage({
+        id,
+        key,
+        renderProps: data.map(({ renderProps }) => renderProps),
+        result,
+        type: 'rendered',
+      });
+    }, (error) => {
+      this.scope.postMessage({
+        error: {
+          message: error.message,
+          name: error.name,
+        },
+        id,
+        key,
+        type: 'error',
+      });
+    });
+  }
+
+  handleMessage = ({ data: message }) => {
+    switch (message.type) {
+      case 'config':
+        this.config(message);
+        break;
+      case 'destroy':
+        this.layers.delete(message.key);
+        break;
+      case 'render':
+        this.render(message);
+        break;
+      default:
+    }
+  }
+
+  /**
+   * Stop listening to the main thread.
+   */
+  destroy() {
+    this.scope.removeEventListener('message', this.handleMessage);
+    this.layers = new Map();
+  }
+}
+
+WorkerHost.propTypes = {
+  /**
+   * Worker global scope, i.e. self, or a stand-in having postMessage and addEventListener.
+   */
+  scope: PropTypes.object.isRequired,
+};
+
+export default WorkerHost;
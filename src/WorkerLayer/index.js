@@ -0,0 +1,197 @@
+import createAbortError from '../utils/createAbortError';
+import isNullVoid from '../utils/isNullVoid';
+
+/**
+ * Every worker layer is tagged with an increasing number so that layers sharing a worker receive
+ * their own messages only.
+ */
+let sequence = 0;
+
+/**
+ * WorkerLayer is the main thread side of a layer rendered in a web worker.
+ * Layer canvas is transferred to worker via transferControlToOffscreen. Worker runs the same
+ * layer, see WorkerHost, and returns render properties so that layer keeps finding items by
+ * position on the main thread.
+ * Worker is anything having postMessage, addEventListener and removeEventListener, therefore, a
+ * stand-in can replace web worker in environments without workers, i.e. Node.
+ */
+class WorkerLayer {
+  /**
+   * Throw if any of the given layer properties is defined. They are either functions, which can't
+   * be posted to worker, or features which worker doesn't render.
+   */
+  static assertUnsupported(layer, props) {
+    Object.keys(props).forEach((name) => {
+      if (!isNullVoid(props[name])) {
+        throw new Error(`${layer} ${name} is not supported in worker mode`);
+      }
+    });
+  }
+
+  /**
+   * Destroy the given worker layer of a layer which leaves worker mode or moves to another worker.
+   * Throw if layer keeps the canvas which has been transferred to worker, because a transferred
+   * canvas is controlled by worker for good and can't be drawn or transferred again.
+   */
+  static leave(workerLayer, canvas) {
+    if (workerLayer.canvas === canvas) {
+      throw new Error(
+        `${workerLayer.layer} canvas has been transferred to worker. Configure another canvas to `
+        + 'leave worker mode or to change worker',
+      );
+    }
+
+    workerLayer.destroy();
+  }
+
+  constructor(props) {
+    const {
+      layer,
+      worker,
+    } = props;
+
+    sequence += 1;
+    /**
+     * Identify this layer in messages.
+     */
+    this.key = sequence;
+    /**
+     * Name of the layer class which worker renders, i.e. Line.
+     */
+    this.layer = layer;
+    this.worker = worker;
+    /**
+     * Canvas which has been transferred to worker. A canvas can only be transferred once.
+     */
+    this.canvas = void 0;
+    /**
+     * Map render id to { resolve, reject } of renders waiting for worker.
+     */
+    this.pending = new Map();
+    this.renderId = 0;
+    /**
+     * Render requested by incremental updates which hasn't been posted yet.
+     */
+    this.requested = void 0;
+
+    this.worker.addEventListener('message', this.handleMessage);
+  }
+
+  /**
+   * Post layer properties to worker. Canvas is transferred at the first time. Properties must be
+   * cloneable, i.e. functions are not allowed.
+   */
+  config(canvas, props) {
+    if (this.canvas === canvas) {
+      this.worker.postMessage({
+        key: this.key,
+        layer: this.layer,
+        props,
+        type: 'config',
+      });
+      return;
+    }
+
+    this.canvas = canvas;
+    const offscreenCanvas = canvas.transferControlToOffscreen();
+    this.worker.postMessage({
+      canvas: offscreenCanvas,
+      key: this.key,
+      layer: this.layer,
+      props,
+      type: 'config',
+    }, [offscreenCanvas]);
+  }
+
+  /**
+   * Render data in worker with the given viewport. Render properties returned by worker are
+   * assigned to data items, which are then indexed by their bounding boxes.
+   * Return a promise resolving with the render result of worker layer.
+   */
+  render(data, viewport, spatialIndex) {
+    this.renderId += 1;
+    const id = this.renderId;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { reject, resolve });
+      this.worker.postMessage({
+        /**
+         * Render properties of previous renders are not needed by worker.
+         */
+        data: data.map(({ renderProps, ...other }) => other),
+        id,
+        key: this.key,
+        type: 'render',
+        viewport: {
+          rotation: viewport.rotation,
+          scale: viewport.scale,
+          translate: viewport.translate,
+        },
+      });
+    }).then(({ renderProps, result }) => {
+      spatialIndex.clear();
+      data.forEach((item, index) => {
+        item.renderProps = renderProps[index];
+
+        /**
+         * Items which are not drawn are not indexed.
+         */
+        if (isNullVoid(item.renderProps)
+          || isNullVoid(item.renderProps.boundingBox)
+          || item.renderProps.culled) return;
+        spatialIndex.insert(item, item.renderProps.boundingBox);
+      });
+
+      return result;
+    });
+  }
+
+  /**
+   * Render in worker once the current task completes. Renders requested before then share the
+   * same render. Arguments are read when render starts so that they are up to date.
+   */
+  requestRender(getArguments) {
+    if (isNullVoid(this.requested)) {
+      this.requested = Promise.resolve().then(() => {
+        this.requested = void 0;
+        return this.render(...getArguments());
+      });
+    }
+    return this.requested;
+  }
+
+  /**
+   * Settle the render which worker responds to.
+   */
+  handleMessage = ({ data: message }) => {
+    if (message.key !== this.key || !this.pending.has(message.id)) return;
+
+    const { reject, resolve } = this.pending.get(message.id);
+    this.pending.delete(message.id);
+
+    if (message.type === 'error') {
+      /**
+       * Errors are posted as plain objects because they are not always cloneable.
+       */
+      const error = new Error(message.error.message);
+      error.name = message.error.name;
+      reject(error);
+      return;
+    }
+
+    resolve(message);
+  }
+
+  /**
+   * Stop listening to worker. Renders waiting for worker reject with AbortError because worker
+   * responses are no longer received.
+   */
+  destroy() {
+    this.worker.removeEventListener('message', this.handleMessage);
+    this.worker.postMessage({ key: this.key, type: 'destroy' });
+    this.pending.forEach(({ reject }) => reject(createAbortError('Destroyed')));
+    this.pending = new Map();
+  }
+}
+
+export default WorkerLayer;
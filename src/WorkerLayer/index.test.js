@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+import v8 from 'v8';
+import Line from '../Line';
+import Marker from '../Marker';
+import Platform from '../Platform';
+import createCanvas from '../testing/createCanvas';
+import WorkerHost from '../WorkerHost';
+import WorkerLayer from '.';
+
+/**
+ * Canvas stand-in which can be transferred to worker once.
+ */
+function createTransferableCanvas() {
+  const canvas = createCanvas();
+  canvas.transferControlToOffscreen = () => ({ getContext: () => canvas.ctx });
+  return canvas;
+}
+
+/**
+ * Message channel stand-in. Messages are cloned as browsers do, except for transferred canvases,
+ * and delivered asynchronously.
+ */
+function createChannel() {
+  const createPort = () => {
+    const listeners = new Set();
+    return {
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener),
+      receive: ({ canvas, ...message }) => {
+        const data = v8.deserialize(v8.serialize(message));
+        if (canvas !== void 0) data.canvas = canvas;
+        setTimeout(() => {
+          listeners.forEach((listener) => listener({ data }));
+        }, 0);
+      },
+    };
+  };
+  const worker = createPort();
+  const scope = createPort();
+  worker.postMessage = (message) => scope.receive(message);
+  scope.postMessage = (message) => worker.receive(message);
+
+  return { scope, worker };
+}
+
+describe('WorkerLayer', () => {
+  let host;
+  let worker;
+
+  beforeEach(() => {
+    const channel = createChannel();
+    host = new WorkerHost({ scope: channel.scope });
+    worker = channel.worker;
+    Platform.global.config({
+      loadImage: (icon) => Promise.resolve({ height: 1, icon, width: 1 }),
+    });
+  });
+
+  afterEach(() => {
+    host.destroy();
+    Platform.global.config({});
+  });
+
+  it('renders lines in worker and indexes render properties on the main thread', async () => {
+    const canvas = createTransferableCanvas();
+    const line = new Line({
+      canvas,
+      data: [
+        { path: [[10, 10], [90, 10]], width: 2 },
+        { path: [[500, 500], [600, 500]], width: 2 },
+      ],
+      height: 100,
+      width: 100,
+      worker,
+    });
+
+    const result = await line.render();
+
+    expect(result).toEqual({ culled: 1 });
+    expect(line.data[0].renderProps.boundingBox).toBeDefined();
+    expect(line.findByPosition({ x: 50, y: 10 })).toHaveLength(1);
+    expect(canvas.ctx.calls.some(([name]) => name === 'stroke')).toBe(true);
+  });
+
+  it('renders markers in worker and refreshes without a main thread context', async () => {
+    const marker = new Marker({
+      canvas: createTransferableCanvas(),
+      data: [{ height: 10, icon: 'a.png', position: [10, 10], width: 10 }],
+      height: 100,
+      width: 100,
+      worker,
+    });
+
+    await expect(marker.render()).resolves.toEqual({ culled: 0, failed: [] });
+    await expect(marker.collapseClusters()).resolves.toEqual({ culled: 0, failed: [] });
+    expect(marker.findByPosition({ x: 15, y: 15 })).toHaveLength(1);
+  });
+
+  it('rejects renders waiting for worker when layer is destroyed', async () => {
+    const line = new Line({
+      canvas: createTransferableCanvas(),
+      data: [{ path: [[10, 10], [90, 10]], width: 2 }],
+      height: 100,
+      width: 100,
+      worker,
+    });
+
+    const rendering = line.render();
+    line.destroy();
+
+    await expect(rendering).rejects.toHaveProperty('name', 'AbortError');
+    expect(line.data).toEqual([]);
+  });
+
+  it('leaves worker mode only with a canvas which has not been transferred', async () => {
+    const props = {
+      data: [{ path: [[10, 10], [90, 10]], width: 2 }],
+      height: 100,
+      width: 100,
+    };
+    const canvas = createTransferableCanvas();
+    const line = new Line({ ...props, canvas, worker });
+    const rendering = line.render();
+
+    expect(() => line.config({ ...props, canvas })).toThrow(
+      'Line canvas has been transferred to worker',
+    );
+
+    const otherCanvas = createTransferableCanvas();
+    line.config({ ...props, canvas: otherCanvas });
+
+    await expect(rendering).rejects.toHaveProperty('name', 'AbortError');
+    await expect(line.render()).resolves.toEqual({ culled: 0 });
+    expect(otherCanvas.ctx.calls.some(([name]) => name === 'stroke')).toBe(true);
+  });
+
+  it('throws if properties which cannot be posted are combined with worker', () => {
+    expect(() => new Line({
+      canvas: createTransferableCanvas(),
+      getSnapshotBeforeRender: (line) => line,
+      height: 100,
+      width: 100,
+      worker,
+    })).toThrow('Line getSnapshotBeforeRender is not supported in worker mode');
+    expect(() => new Marker({
+      canvas: createTransferableCanvas(),
+      cluster: { radius: 40 },
+      height: 100,
+      width: 100,
+      worker,
+    })).toThrow('Marker cluster is not supported in worker mode');
+  });
+
+  it('throws for the given properties which are defined', () => {
+    expect(() => WorkerLayer.assertUnsupported('Grid', { lattice: void 0 })).not.toThrow();
+    expect(() => WorkerLayer.assertUnsupported('Grid', { lattice: {} })).toThrow();
+  });
+});
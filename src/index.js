@@ -1,5 +1,21 @@
+export { default as Circle } from './Circle';
+export { default as Clusterer } from './Clusterer';
+export { default as ColorScale } from './ColorScale';
+export { default as FrameBudget } from './FrameBudget';
 export { default as Grid } from './Grid';
+export { default as Heatmap } from './Heatmap';
+export { default as IconCache } from './IconCache';
 export { default as Line } from './Line';
+export { default as LRUCache } from './LRUCache';
 export { default as Marker } from './Marker';
+export { default as Platform } from './Platform';
+export { default as PointerEvents } from './PointerEvents';
+export { default as Polygon } from './Polygon';
 export { default as Scheduler } from './Scheduler';
+export { default as SpatialIndex } from './SpatialIndex';
+export { default as Stage } from './Stage';
+export { default as SVGContext } from './SVGContext';
 export { default as Text } from './Text';
+export { default as Viewport } from './Viewport';
+export { default as WorkerHost } from './WorkerHost';
+export { default as WorkerLayer } from './WorkerLayer';
@@ -0,0 +1,15 @@
+import createContext from './createContext';
+
+/**
+ * Canvas stand-in for specs whose 2D context records drawing calls, see createContext. The
+ * context is exposed as ctx as well.
+ */
+export default function createCanvas(methods) {
+  const canvas = {
+    getContext: () => canvas.ctx,
+    height: 1,
+    width: 1,
+  };
+  canvas.ctx = createContext(methods, canvas);
+  return canvas;
+}
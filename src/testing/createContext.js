@@ -0,0 +1,57 @@
+/**
+ * Return the font size in pixels of a CSS font, i.e. 12 of 'bold 12px sans-serif'.
+ */
+function getFontSize(font) {
+  const match = /(\d+(\.\d+)?)px/.exec(font);
+  return match === null ? 10 : Number(match[1]);
+}
+
+/**
+ * Canvas 2D context stand-in for specs. It accepts every drawing call and records calls and
+ * property assignments in order, i.e. ['fillText', 'a', 0, 10] or ['fillStyle', 'red'].
+ * Methods returning values return what a blank canvas would: measureText measures every character
+ * half a font size wide and getImageData returns transparent pixels. Drawing a closed bitmap throws
+ * as browsers do. Given methods replace default ones, and they are recorded as well.
+ */
+export default function createContext(methods = {}, canvas) {
+  const calls = [];
+  const state = {
+    canvas,
+    font: '10px sans-serif',
+  };
+  const defaultMethods = {
+    createImageData: (width, height) => {
+      return { data: new Uint8ClampedArray(width * height * 4), height, width };
+    },
+    createLinearGradient: () => ({ addColorStop() {} }),
+    drawImage: (image) => {
+      if (image.closed) throw new Error('InvalidStateError');
+    },
+    getImageData: (x, y, width, height) => {
+      return { data: new Uint8ClampedArray(width * height * 4), height, width };
+    },
+    measureText: (text) => ({ width: (`${text}`.length * getFontSize(state.font)) / 2 }),
+  };
+
+  return new Proxy(state, {
+    get(target, name) {
+      if (name === 'calls') return calls;
+      if (name in target) return target[name];
+      /**
+       * Context is not a promise.
+       */
+      if (typeof name === 'symbol' || name === 'then') return void 0;
+
+      const method = methods[name] || defaultMethods[name];
+      return (...args) => {
+        calls.push([name, ...args]);
+        return method === void 0 ? void 0 : method(...args);
+      };
+    },
+    set(target, name, value) {
+      calls.push([name, value]);
+      target[name] = value;
+      return true;
+    },
+  });
+}
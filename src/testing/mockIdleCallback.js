@@ -0,0 +1,17 @@
+/**
+ * Replace requestIdleCallback of window with a stand-in whose idle periods are long enough to
+ * render everything of a spec at once. Return a function restoring the original one.
+ */
+export default function mockIdleCallback() {
+  const { cancelIdleCallback, requestIdleCallback } = window;
+
+  window.requestIdleCallback = (callback) => setTimeout(() => {
+    callback({ didTimeout: false, timeRemaining: () => 1000 });
+  }, 0);
+  window.cancelIdleCallback = (id) => clearTimeout(id);
+
+  return () => {
+    window.cancelIdleCallback = cancelIdleCallback;
+    window.requestIdleCallback = requestIdleCallback;
+  };
+}
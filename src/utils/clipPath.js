@@ -0,0 +1,96 @@
+/**
+ * Clip a segment to a bounding box by Liang-Barsky algorithm. Return ratios along the segment
+ * where the visible part starts and ends, i.e. [0, 1] if the whole segment is inside, undefined if
+ * the segment is outside.
+ */
+function clipSegment([startX, startY], [endX, endY], [minX, minY, maxX, maxY]) {
+  const dx = endX - startX;
+  const dy = endY - startY;
+  let startRatio = 0;
+  let endRatio = 1;
+
+  /**
+   * Each pair is the direction towards an edge and the distance from start point to the edge.
+   */
+  const edges = [
+    [-dx, startX - minX],
+    [dx, maxX - startX],
+    [-dy, startY - minY],
+    [dy, maxY - startY],
+  ];
+
+  for (let index = 0; index < edges.length; index += 1) {
+    const [direction, distance] = edges[index];
+
+    if (direction === 0) {
+      /**
+       * Segment is parallel to the edge and outside.
+       */
+      if (distance < 0) return void 0;
+    } else {
+      const ratio = distance / direction;
+      if (direction < 0) {
+        startRatio = Math.max(startRatio, ratio);
+      } else {
+        endRatio = Math.min(endRatio, ratio);
+      }
+      if (startRatio > endRatio) return void 0;
+    }
+  }
+
+  return [startRatio, endRatio];
+}
+
+/**
+ * Clip a path to a bounding box, i.e. [minX, minY, maxX, maxY], and return the visible parts.
+ * Path is a list of vertices { index, point }, where index refers to the point of the original
+ * path. Vertices created where path crosses the bounding box refer to the original point outside
+ * the bounding box.
+ */
+export default function clipPath(vertices, boundingBox) {
+  const parts = [];
+  let part = [];
+
+  /**
+   * Return the vertex at the given ratio along a segment.
+   */
+  const interpolate = (start, end, ratio, index) => {
+    return {
+      index,
+      point: [
+        Math.round(start.point[0] + (end.point[0] - start.point[0]) * ratio),
+        Math.round(start.point[1] + (end.point[1] - start.point[1]) * ratio),
+      ],
+    };
+  };
+
+  vertices.slice(1).forEach((end, index) => {
+    const start = vertices[index];
+    const ratios = clipSegment(start.point, end.point, boundingBox);
+
+    if (ratios === void 0) {
+      if (part.length !== 0) parts.push(part);
+      part = [];
+      return;
+    }
+
+    const [startRatio, endRatio] = ratios;
+
+    if (part.length === 0) {
+      part.push(startRatio === 0 ? start : interpolate(start, end, startRatio, start.index));
+    }
+    part.push(endRatio === 1 ? end : interpolate(start, end, endRatio, end.index));
+
+    /**
+     * Path leaves the bounding box.
+     */
+    if (endRatio < 1) {
+      parts.push(part);
+      part = [];
+    }
+  });
+
+  if (part.length !== 0) parts.push(part);
+
+  return parts;
+}
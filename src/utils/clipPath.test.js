@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+import clipPath from './clipPath';
+
+/**
+ * Return vertices of a path whose indexes are the indexes of points.
+ */
+function toVertices(path) {
+  return path.map((point, index) => ({ index, point }));
+}
+
+describe('clipPath', () => {
+  it('splits path into parts inside the bounding box', () => {
+    const vertices = toVertices([[-5, 5], [5, 5], [15, 5], [15, 8], [5, 8]]);
+
+    expect(clipPath(vertices, [0, 0, 10, 10])).toEqual([
+      [{ index: 0, point: [0, 5] }, { index: 1, point: [5, 5] }, { index: 2, point: [10, 5] }],
+      [{ index: 3, point: [10, 8] }, { index: 4, point: [5, 8] }],
+    ]);
+  });
+
+  it('keeps paths inside the bounding box and drops paths outside', () => {
+    const inside = toVertices([[1, 1], [9, 1], [9, 9]]);
+
+    expect(clipPath(inside, [0, 0, 10, 10])).toEqual([inside]);
+    expect(clipPath(toVertices([[20, 0], [20, 20], [-5, 20]]), [0, 0, 10, 10])).toEqual([]);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Create an error named AbortError, which is what fetch and other abortable APIs reject with.
+ * DOMException is preferred, however, it cannot be constructed in old browsers.
+ */
+export default function createAbortError(message = 'Aborted') {
+  try {
+    return new DOMException(message, 'AbortError');
+  } catch (error) {
+    const abortError = new Error(message);
+    abortError.name = 'AbortError';
+    return abortError;
+  }
+}
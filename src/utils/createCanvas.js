@@ -0,0 +1,8 @@
+/**
+ * Create a canvas which is never attached to document. Workers don't have document, therefore,
+ * OffscreenCanvas is created instead.
+ */
+export default function createCanvas() {
+  if (typeof window !== 'undefined') return window.document.createElement('canvas');
+  return new OffscreenCanvas(1, 1);
+}
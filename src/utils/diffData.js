@@ -0,0 +1,88 @@
+/**
+ * Whether the given value is an object literal, i.e. { x: 1 }, rather than an instance of a class.
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Whether two property values are equal. Arrays and object literals, i.e. positions and paths, are
+ * compared by their contents because callers usually pass fresh copies of them. Other values are
+ * compared by identity.
+ */
+function isEqual(value, otherValue) {
+  if (value === otherValue) return true;
+
+  if (Array.isArray(value) && Array.isArray(otherValue)) {
+    return value.length === otherValue.length
+      && value.every((item, index) => isEqual(item, otherValue[index]));
+  }
+
+  if (isPlainObject(value) && isPlainObject(otherValue)) {
+    const keys = Object.keys(value);
+    return keys.length === Object.keys(otherValue).length
+      && keys.every((key) => {
+        return Object.prototype.hasOwnProperty.call(otherValue, key)
+          && isEqual(value[key], otherValue[key]);
+      });
+  }
+
+  return false;
+}
+
+/**
+ * Compare two lists of keyed items and return items added, removed, updated and unchanged.
+ * Items are keyed by their id property. An item is updated if it is a different object whose own
+ * properties are not equal to the previous one, ignoring render properties. Arrays and object
+ * literals are compared by their contents. Unchanged items are different objects which are equal
+ * to the previous ones.
+ * Updated and unchanged are lists of [previousItem, nextItem] pairs.
+ * Reordered is true if items existing in both lists appear in a different order.
+ */
+export default function diffData(previousData, nextData) {
+  const previousItems = new Map(previousData.map((item) => [item.id, item]));
+  const nextIds = new Set(nextData.map(({ id }) => id));
+
+  const added = [];
+  const unchanged = [];
+  const updated = [];
+  /**
+   * Ids of items existing in both lists, in the order of next data.
+   */
+  const kept = [];
+
+  nextData.forEach((nextItem) => {
+    if (!previousItems.has(nextItem.id)) {
+      added.push(nextItem);
+      return;
+    }
+
+    kept.push(nextItem.id);
+
+    const previousItem = previousItems.get(nextItem.id);
+    if (previousItem === nextItem) return;
+
+    const keys = new Set([...Object.keys(previousItem), ...Object.keys(nextItem)]);
+    keys.delete('renderProps');
+    if ([...keys].every((key) => isEqual(previousItem[key], nextItem[key]))) {
+      unchanged.push([previousItem, nextItem]);
+    } else {
+      updated.push([previousItem, nextItem]);
+    }
+  });
+
+  const removed = previousData.filter(({ id }) => !nextIds.has(id));
+  const previousKept = previousData.filter(({ id }) => nextIds.has(id)).map(({ id }) => id);
+  const reordered = kept.some((id, index) => previousKept[index] !== id);
+
+  return {
+    added,
+    removed,
+    reordered,
+    unchanged,
+    updated,
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import diffData from './diffData';
+
+describe('diffData', () => {
+  it('finds added, removed, updated and unchanged items by id', () => {
+    const kept = { id: 1, value: 'a' };
+    const previous = { id: 2, value: 'b' };
+    const copied = { id: 3, renderProps: {}, value: 'c' };
+    const removed = { id: 4 };
+    const updated = { id: 2, value: 'B' };
+    const copy = { id: 3, value: 'c' };
+    const added = { id: 5 };
+
+    expect(diffData([kept, previous, copied, removed], [kept, updated, copy, added])).toEqual({
+      added: [added],
+      removed: [removed],
+      reordered: false,
+      unchanged: [[copied, copy]],
+      updated: [[previous, updated]],
+    });
+  });
+
+  it('reports items existing in both lists appearing in a different order', () => {
+    const items = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    expect(diffData(items, [items[0], { id: 4 }, items[2]]).reordered).toBe(false);
+    expect(diffData(items, [items[2], items[0], items[1]]).reordered).toBe(true);
+  });
+
+  it('compares arrays and object literals by their contents', () => {
+    const createData = () => [
+      { id: 1, path: [[0, 0], [1, 1]], style: { dash: [1, 2] } },
+      { id: 2, position: [0, 0] },
+      { date: new Date(0), id: 3 },
+    ];
+    const previousData = createData();
+    const nextData = createData();
+    nextData[1].position = [0, 1];
+
+    expect(diffData(previousData, nextData)).toMatchObject({
+      unchanged: [[previousData[0], nextData[0]]],
+      updated: [[previousData[1], nextData[1]], [previousData[2], nextData[2]]],
+    });
+  });
+});
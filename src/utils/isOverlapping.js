@@ -0,0 +1,10 @@
+/**
+ * Whether two bounding boxes overlap. i.e. [minX, minY, maxX, maxY].
+ * Bounding boxes sharing an edge don't overlap.
+ */
+export default function isOverlapping(boundingBox, otherBoundingBox) {
+  return boundingBox[0] < otherBoundingBox[2]
+    && otherBoundingBox[0] < boundingBox[2]
+    && boundingBox[1] < otherBoundingBox[3]
+    && otherBoundingBox[1] < boundingBox[3];
+}
@@ -0,0 +1,28 @@
+/**
+ * Image class loads image asynchronously and image is initiated only if onLoad function
+ * being called. Promise rejects if image fails to load, i.e. broken URLs or undecodable data.
+ * Workers have no Image class, and image is fetched and decoded to an ImageBitmap instead.
+ */
+export default function loadImage(imageSource) {
+  if (typeof Image === 'undefined') {
+    return fetch(imageSource)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load image ${imageSource}: ${response.status}`);
+        }
+        return response.blob();
+      })
+      .then((blob) => createImageBitmap(blob));
+  }
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      resolve(image);
+    };
+    image.onerror = () => {
+      reject(new Error(`Failed to load image ${imageSource}`));
+    };
+    image.src = imageSource;
+  });
+}
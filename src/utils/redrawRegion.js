@@ -0,0 +1,59 @@
+import isNullVoid from './isNullVoid';
+
+/**
+ * Clear the given region on canvas and redraw items which intersect it in the order they appear
+ * in data. Items listed in forced items are always redrawn even if they are not indexed yet.
+ * Drawing is clipped by the region so that items partially inside the region don't paint twice.
+ * An empty region is used if bounding box is omitted. In this case, forced items are rendered to
+ * refresh their render properties without painting any pixel.
+ * loadItem is optional and returns a promise resolving with what an item needs to be drawn, i.e.
+ * marker images. Every item is loaded before canvas is clipped so that the clip never stays on
+ * canvas context while waiting.
+ * renderItem receives item, the integer region, i.e. [minX, minY, maxX, maxY], and what loadItem
+ * resolves with. It must draw synchronously.
+ */
+export default async function redrawRegion(
+  ctx, data, spatialIndex, boundingBox, forcedItems, renderItem, loadItem = () => void 0,
+) {
+  /**
+   * Anti-aliased edges paint slightly outside bounding boxes, therefore, region is expanded by a
+   * pixel and aligned to integer pixels.
+   */
+  const region = isNullVoid(boundingBox)
+    ? [0, 0, 0, 0]
+    : [
+      Math.floor(boundingBox[0]) - 1,
+      Math.floor(boundingBox[1]) - 1,
+      Math.ceil(boundingBox[2]) + 1,
+      Math.ceil(boundingBox[3]) + 1,
+    ];
+  const [minX, minY, maxX, maxY] = region;
+
+  /**
+   * Items removed from data are no longer redrawn.
+   */
+  const order = new Map(data.map((item, index) => [item, index]));
+  const items = [...new Set([...spatialIndex.searchBoundingBox(region), ...forcedItems])]
+    .filter((item) => order.has(item))
+    .sort((a, b) => order.get(a) - order.get(b));
+
+  const loadedItems = await Promise.all(items.map((item) => loadItem(item)));
+
+  ctx.save();
+
+  ctx.beginPath();
+  ctx.rect(minX, minY, maxX - minX, maxY - minY);
+  ctx.clip();
+  ctx.clearRect(minX, minY, maxX - minX, maxY - minY);
+
+  /**
+   * Clip is restored even if an item fails to draw.
+   */
+  try {
+    items.forEach((item, index) => {
+      renderItem(item, region, loadedItems[index]);
+    });
+  } finally {
+    ctx.restore();
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import SpatialIndex from '../SpatialIndex';
+import createContext from '../testing/createContext';
+import redrawRegion from './redrawRegion';
+
+describe('redrawRegion', () => {
+  const a = { id: 'a' };
+  const b = { id: 'b' };
+  const c = { id: 'c' };
+  const removed = { id: 'removed' };
+  let spatialIndex;
+
+  beforeEach(() => {
+    spatialIndex = new SpatialIndex();
+    spatialIndex.insert(c, [0, 0, 10, 10]);
+    spatialIndex.insert(a, [5, 5, 15, 15]);
+    spatialIndex.insert(b, [50, 50, 60, 60]);
+    spatialIndex.insert(removed, [0, 0, 1, 1]);
+  });
+
+  it('loads items before clipping and then draws them in data order', async () => {
+    const ctx = createContext();
+    const drawn = [];
+    let finishLoading;
+    const loading = new Promise((resolve) => {
+      finishLoading = resolve;
+    });
+
+    const redrawing = redrawRegion(
+      ctx, [a, b, c], spatialIndex, [0.5, 0.5, 9.5, 9.5], [b],
+      (item, region, loaded) => drawn.push([item.id, region, loaded]),
+      (item) => loading.then(() => `${item.id}.png`),
+    );
+    await Promise.resolve();
+    expect(ctx.calls).toEqual([]);
+
+    finishLoading();
+    await redrawing;
+
+    expect(ctx.calls.map(([name]) => name)).toEqual([
+      'save', 'beginPath', 'rect', 'clip', 'clearRect', 'restore',
+    ]);
+    expect(ctx.calls).toContainEqual(['rect', -1, -1, 12, 12]);
+    expect(drawn).toEqual([
+      ['a', [-1, -1, 11, 11], 'a.png'],
+      ['b', [-1, -1, 11, 11], 'b.png'],
+      ['c', [-1, -1, 11, 11], 'c.png'],
+    ]);
+  });
+
+  it('restores clip if an item fails to draw', async () => {
+    const ctx = createContext();
+
+    await expect(redrawRegion(ctx, [a], spatialIndex, [0, 0, 10, 10], [], () => {
+      throw new Error('Failed to draw');
+    })).rejects.toThrow('Failed to draw');
+
+    expect(ctx.calls[ctx.calls.length - 1]).toEqual(['restore']);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Time budget in milliseconds of a frame if idle callbacks are unavailable. It leaves time for
+ * browser to paint at 60 frames per second.
+ */
+const FALLBACK_FRAME_BUDGET = 8;
+
+/**
+ * Return the current time in milliseconds.
+ */
+export function now() {
+  if (typeof performance !== 'undefined') return performance.now();
+  return Date.now();
+}
+
+/**
+ * Call callback with an IdleDeadline like object at the next idle period. Fall back to
+ * requestAnimationFrame and then to setTimeout, i.e. in Safari and Node, where deadline allows a
+ * fixed time budget from the moment callback is called.
+ * Return a function which cancels the request.
+ */
+export default function requestFrame(callback) {
+  const hasWindow = typeof window !== 'undefined';
+
+  if (hasWindow && typeof window.requestIdleCallback === 'function') {
+    const id = window.requestIdleCallback(callback);
+    return () => window.cancelIdleCallback(id);
+  }
+
+  const runWithFallbackDeadline = () => {
+    const start = now();
+    callback({
+      didTimeout: false,
+      timeRemaining: () => Math.max(FALLBACK_FRAME_BUDGET - (now() - start), 0),
+    });
+  };
+
+  if (hasWindow && typeof window.requestAnimationFrame === 'function') {
+    const id = window.requestAnimationFrame(runWithFallbackDeadline);
+    return () => window.cancelAnimationFrame(id);
+  }
+
+  const id = setTimeout(runWithFallbackDeadline, 0);
+  return () => clearTimeout(id);
+}
@@ -0,0 +1,64 @@
+/**
+ * Return the squared distance from the given point to a segment.
+ */
+function getSquaredSegmentDistance([x, y], [startX, startY], [endX, endY]) {
+  const dx = endX - startX;
+  const dy = endY - startY;
+  const squaredLength = dx * dx + dy * dy;
+  const ratio = squaredLength === 0
+    ? 0
+    : Math.min(Math.max(((x - startX) * dx + (y - startY) * dy) / squaredLength, 0), 1);
+  const distanceX = x - (startX + ratio * dx);
+  const distanceY = y - (startY + ratio * dy);
+
+  return distanceX * distanceX + distanceY * distanceY;
+}
+
+/**
+ * Simplify a path by Douglas-Peucker algorithm and return indexes of the points which are kept, in
+ * ascending order. Points closer than tolerance to the simplified path are dropped. The first and
+ * the last points are always kept.
+ * Ranges are processed by a stack rather than recursion so that paths of hundreds of thousands
+ * points don't exceed the call stack.
+ */
+export default function simplifyPath(path, tolerance) {
+  const lastIndex = path.length - 1;
+  if (lastIndex < 2 || tolerance <= 0) return path.map((point, index) => index);
+
+  const squaredTolerance = tolerance * tolerance;
+  const isKept = new Uint8Array(path.length);
+  isKept[0] = 1;
+  isKept[lastIndex] = 1;
+
+  const ranges = [[0, lastIndex]];
+  while (ranges.length !== 0) {
+    const [first, last] = ranges.pop();
+
+    /**
+     * Find the point farthest from the segment connecting both ends of the range.
+     */
+    let farthestIndex = -1;
+    let farthestDistance = squaredTolerance;
+    for (let index = first + 1; index < last; index += 1) {
+      const distance = getSquaredSegmentDistance(path[index], path[first], path[last]);
+      if (distance > farthestDistance) {
+        farthestIndex = index;
+        farthestDistance = distance;
+      }
+    }
+
+    /**
+     * Keep the farthest point if it is beyond tolerance, and simplify both sides of it.
+     */
+    if (farthestIndex !== -1) {
+      isKept[farthestIndex] = 1;
+      ranges.push([first, farthestIndex], [farthestIndex, last]);
+    }
+  }
+
+  const indexes = [];
+  isKept.forEach((kept, index) => {
+    if (kept === 1) indexes.push(index);
+  });
+  return indexes;
+}
@@ -0,0 +1,25 @@
+/**
+ * @jest-environment node
+ */
+import simplifyPath from './simplifyPath';
+
+describe('simplifyPath', () => {
+  it('keeps indexes of points beyond tolerance from the simplified path', () => {
+    const path = [[0, 0], [1, 0.1], [2, 0], [3, 5], [4, 0]];
+
+    expect(simplifyPath(path, 1)).toEqual([0, 2, 3, 4]);
+    expect(simplifyPath(path, 10)).toEqual([0, 4]);
+  });
+
+  it('keeps every point without tolerance or with less than three points', () => {
+    expect(simplifyPath([[0, 0], [1, 0], [2, 0]], 0)).toEqual([0, 1, 2]);
+    expect(simplifyPath([[0, 0], [1, 0]], 1)).toEqual([0, 1]);
+    expect(simplifyPath([], 1)).toEqual([]);
+  });
+
+  it('simplifies paths of hundreds of thousands points', () => {
+    const path = Array.from({ length: 200000 }, (value, index) => [index, index % 2]);
+
+    expect(simplifyPath(path, 2)).toEqual([0, 199999]);
+  });
+});
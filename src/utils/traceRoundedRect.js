@@ -0,0 +1,15 @@
+/**
+ * Create a rectangle path with rounded corners. Radius is limited to half of the shorter side.
+ * Rectangle is a bounding box, i.e. [minX, minY, maxX, maxY].
+ */
+export default function traceRoundedRect(ctx, [minX, minY, maxX, maxY], radius) {
+  const internalRadius = Math.max(Math.min(radius, (maxX - minX) / 2, (maxY - minY) / 2), 0);
+
+  ctx.beginPath();
+  ctx.moveTo(minX + internalRadius, minY);
+  ctx.arcTo(maxX, minY, maxX, maxY, internalRadius);
+  ctx.arcTo(maxX, maxY, minX, maxY, internalRadius);
+  ctx.arcTo(minX, maxY, minX, minY, internalRadius);
+  ctx.arcTo(minX, minY, maxX, minY, internalRadius);
+  ctx.closePath();
+}
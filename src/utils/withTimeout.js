@@ -0,0 +1,24 @@
+/**
+ * Return a promise settling as the given promise does, or rejecting with an error named
+ * TimeoutError if the given promise doesn't settle in time.
+ * Timeout is in milliseconds. Infinity waits forever.
+ */
+export default function withTimeout(promise, timeout, message = 'Timed out') {
+  if (!Number.isFinite(timeout)) return promise;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const timeoutError = new Error(message);
+      timeoutError.name = 'TimeoutError';
+      reject(timeoutError);
+    }, timeout);
+
+    promise.then((value) => {
+      clearTimeout(timer);
+      resolve(value);
+    }, (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * @jest-environment node
+ */
+import withTimeout from './withTimeout';
+
+describe('withTimeout', () => {
+  it('settles as the given promise does in time', async () => {
+    const error = new Error('Failed');
+
+    await expect(withTimeout(Promise.resolve(1), 1000)).resolves.toBe(1);
+    await expect(withTimeout(Promise.reject(error), 1000)).rejects.toBe(error);
+  });
+
+  it('rejects with TimeoutError if the given promise does not settle in time', async () => {
+    const pending = new Promise(() => {});
+
+    await expect(withTimeout(pending, 10, 'Too slow')).rejects.toMatchObject({
+      message: 'Too slow',
+      name: 'TimeoutError',
+    });
+  });
+
+  it('waits forever for infinite timeouts', () => {
+    const promise = Promise.resolve();
+
+    expect(withTimeout(promise, Infinity)).toBe(promise);
+  });
+});